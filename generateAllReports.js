@@ -15,6 +15,20 @@ const csvModbusTTID = require("./csvModbusTTID");
 const csvModbusPosition = require("./csvModbusPosition");
 const csvSortedBatchRead = require("./csvSortedBatchRead");
 const { setModbusMode } = require("./modbus-set-mode-api");
+const { confirmModbusMode, confirmOptionsFromEnv } = require("./modbusModeProbe");
+const { schedulerOptionsFromEnv } = require("./modbusScheduler");
+const { buildSnapshot, saveSnapshot, DEFAULT_SNAPSHOT_DIR } = require("./modbusSnapshot");
+const { validateSnapshot, writeValidationReport } = require("./modbusValidator");
+const { loadRules, mergeRuleSummaries } = require("./modbusRules");
+const { buildTestSuites, writeTestResults } = require("./modbusTestResults");
+const { buildRecords, writeRecords, parseRecordFormats } = require("./modbusRecords");
+const { parseReporters, getReporter, DEFAULT_REPORTERS } = require("./modbusReporters");
+const { FAVICON_LINK, ICONS_STYLE } = require("./modbusHtmlAssets");
+const { writeDashboard } = require("./modbusDashboard");
+const { writeSiteMap } = require("./modbusSiteMap");
+const { staleAfterSecFromEnv, siteStaleness, formatDuration } = require("./modbusTime");
+const { collectAlerts, updateAlertHistory, writeAlertHistoryPage, DEFAULT_ALERT_HISTORY_DIR } = require("./modbusAlerts");
+const { discoverDevices, loadInventory, saveInventory, inventoryTargets, defaultInventoryPath } = require("./modbusDiscovery");
 
 // 3) Safety: catch any unhandled errors so we always see output
 process.on("unhandledRejection", (err) => {
@@ -32,14 +46,14 @@ const mask = (v) => (v ? v.slice(0, 3) + "…" + v.slice(-4) : "");
 
 // Output directory helpers
 const OUT_DIR = path.resolve(__dirname, "modbus_csv_outputs");
-function resetOutputDir() {
+function resetOutputDir(dir = OUT_DIR) {
   try {
-    if (fs.existsSync(OUT_DIR)) {
-      fs.rmSync(OUT_DIR, { recursive: true, force: true });
-      console.log(`🧹 Deleted existing output dir: ${OUT_DIR}`);
+    if (fs.existsSync(dir)) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      console.log(`🧹 Deleted existing output dir: ${dir}`);
     }
-    fs.mkdirSync(OUT_DIR, { recursive: true });
-    console.log(`📂 Created fresh output dir:   ${OUT_DIR}`);
+    fs.mkdirSync(dir, { recursive: true });
+    console.log(`📂 Created fresh output dir:   ${dir}`);
   } catch (e) {
     console.error("❌ Failed to reset output dir:", e?.message || e);
     throw e;
@@ -47,16 +61,37 @@ function resetOutputDir() {
 }
 
 // 4) Core function
+// `options` lets a caller (e.g. the fleet runner) override the per-site settings that
+// otherwise come from the environment, and write into a folder of its own.
 async function generateAllReports(
   site = env("SITE", "192.168.12.73"),
   ttidCsvPath = env("TTID_CSV_PATH", "./sample_ttids.csv"),
-  positionCsvPath = env("POSITION_CSV_PATH", "./sample_positions.csv")
+  positionCsvPath = env("POSITION_CSV_PATH", "./sample_positions.csv"),
+  options = {}
 ) {
   const ENV_VERBOSE = String(process.env.VERBOSE).toLowerCase() === "true";
-  const gqlUrl = env("GRAPHQL_URL", `https://${site}/graphql`);
-  const accessToken = env("ACCESS_TOKEN", "");
-  const xsrfToken = env("XSRF_TOKEN", "");
-  const xsrfCookie = env("_XSRF_COOKIE", "");
+  const outputDir = options.outputDir || OUT_DIR;
+  const gqlUrl = options.graphqlUrl || env("GRAPHQL_URL", `https://${site}/graphql`);
+  const modbusPort = Number(options.modbusPort ?? env("MODBUS_PORT", 502));
+  const scheduler = schedulerOptionsFromEnv();
+  const credentials = options.credentials || {};
+  const accessToken = credentials.accessToken ?? env("ACCESS_TOKEN", "");
+  const xsrfToken = credentials.xsrfToken ?? env("XSRF_TOKEN", "");
+  const xsrfCookie = credentials.xsrfCookie ?? env("_XSRF_COOKIE", "");
+  const confirmMode = options.confirmMode ?? String(env("MODE_CONFIRM", "true")).toLowerCase() !== "false";
+  const confirmTiming = confirmMode ? confirmOptionsFromEnv() : {};
+  const rules = options.rules || loadRules();
+  const reporters = options.reporters || parseReporters(env("REPORTERS", DEFAULT_REPORTERS.join(",")));
+  reporters.forEach(getReporter); // unknown reporters fail before any mode switch
+  const staleAfterSec = staleAfterSecFromEnv(options.staleAfterSec ?? process.env.STALE_AFTER_SEC);
+  // Discovery probes each mode's slots before reading it; an inventory from an earlier
+  // discovery is reused as is. Either one replaces the TTID/Position CSVs.
+  const discover = options.discover ?? String(env("DISCOVER", "false")).toLowerCase() === "true";
+  const inventoryPath = options.inventoryPath || env("INVENTORY_PATH", "") || defaultInventoryPath(site);
+  let inventory = null;
+  if (!discover && (options.inventoryPath || env("INVENTORY_PATH", ""))) {
+    inventory = loadInventory(inventoryPath);
+  }
 
   // Loud startup diagnostics
   console.log("==============================================");
@@ -64,8 +99,15 @@ async function generateAllReports(
   console.log("• CWD:          ", process.cwd());
   console.log("• .env path:    ", path.resolve(process.cwd(), ".env"));
   console.log("• Site:         ", site);
+  console.log("• Output dir:   ", outputDir);
+  console.log("• Modbus port:  ", modbusPort);
+  console.log("• Polling:      ", `${scheduler.concurrency} connections, ${scheduler.timeoutMs}ms timeout, ${scheduler.retries} retries`);
   console.log("• GRAPHQL_URL:  ", gqlUrl);
+  console.log("• Confirm mode: ", confirmMode);
   console.log("• VERBOSE:      ", ENV_VERBOSE);
+  console.log("• Reporters:    ", reporters.join(", "));
+  console.log("• Stale after:  ", `${staleAfterSec}s behind the NC clock`);
+  console.log("• Targets:      ", discover ? `discovery → ${inventoryPath}` : inventory ? `inventory ${inventoryPath}` : "CSV files");
   console.log("• TTID CSV:     ", fs.existsSync(ttidCsvPath) ? ttidCsvPath : `(missing) ${ttidCsvPath}`);
   console.log("• Position CSV: ", fs.existsSync(positionCsvPath) ? positionCsvPath : `(missing) ${positionCsvPath}`);
   console.log("• ACCESS_TOKEN: ", mask(accessToken));
@@ -74,24 +116,47 @@ async function generateAllReports(
   console.log("==============================================");
 
   // 🔥 Clean output directory BEFORE generating anything
-  resetOutputDir();
+  resetOutputDir(outputDir);
 
   const allResults = [];
   const errors = [];
 
+  // Switches the NC's Modbus mode and, unless disabled, waits until both the config
+  // read-back and the register layout show it; throws so the category fails loudly.
+  async function switchMode(mode) {
+    const graphql = { url: gqlUrl, accessToken, xsrfToken, xsrfCookie };
+    const set = await setModbusMode(mode, { ...graphql, verbose: ENV_VERBOSE });
+    if (!set.ok) console.warn(`⚠️  setModbusMode(${mode}) did not apply: ${set.reason || "request failed"}`);
+    if (!confirmMode) return;
+
+    console.log(`\n⏳ Confirming ${mode} mode…`);
+    const confirmed = await confirmModbusMode(mode, { site, port: modbusPort, graphql, ...confirmTiming });
+    if (!confirmed.ok) throw new Error(confirmed.reason);
+    console.log(`✅ ${mode} mode confirmed (${confirmed.attempts} check(s), ${confirmed.elapsedMs}ms)`);
+  }
+
+  // Targets for a mode's reader from discovery or the inventory; null means "use the CSV"
+  async function targetsFor(mode) {
+    if (discover) {
+      console.log(`\n🔭 Discovering ${mode} devices…`);
+      const discovery = await discoverDevices({ site, port: modbusPort, mode, scheduler });
+      inventory = saveInventory(inventoryPath, site, mode, discovery);
+      console.log(`✅ ${discovery.devices.length} device(s) found in ${discovery.scanned} slots`);
+    }
+    const targets = inventoryTargets(inventory, mode);
+    if (inventory && !targets) console.warn(`⚠️  Inventory has no ${mode} devices, reading the CSV instead`);
+    return targets;
+  }
+  const canRead = (mode, csvPath) => Boolean(discover || inventory?.modes?.[mode] || (csvPath && fs.existsSync(csvPath)));
+
   // 1) TTID Sorted (modern/TTID mapping)
-  if (ttidCsvPath && fs.existsSync(ttidCsvPath)) {
+  if (canRead("ttid", ttidCsvPath)) {
     try {
-      await setModbusMode("ttid", {
-        url: gqlUrl,
-        accessToken,
-        xsrfToken,
-        xsrfCookie,
-        verbose: ENV_VERBOSE,
-      });
+      await switchMode("ttid");
+      const ttids = await targetsFor("ttid");
 
       console.log("\n📊 Generating TTID Sorted Reports…");
-      const ttidResult = await csvModbusTTID({ site, TYPE: "row" }, ttidCsvPath);
+      const ttidResult = await csvModbusTTID({ site, TYPE: "row", port: modbusPort, outputDir, rules, reporters, staleAfterSec, ttids }, ttidCsvPath);
 
       if (ttidResult?.error) {
         console.error("❌ TTID processing error:", ttidResult.error);
@@ -102,8 +167,11 @@ async function generateAllReports(
         console.log(`   • Index:   ${ttidResult.indexPath}`);
         allResults.push({
           category: "TTID Sorted",
+          mode: "ttid",
           reports: ttidResult.reports,
           indexPath: ttidResult.indexPath,
+          rules: mergeRuleSummaries(ttidResult.reports.map(r => r.rules)),
+          staleness: ttidResult.staleness,
           success: true,
         });
       }
@@ -117,18 +185,13 @@ async function generateAllReports(
   }
 
   // 2) Legacy Unsorted (position-based assets)
-  if (positionCsvPath && fs.existsSync(positionCsvPath)) {
+  if (canRead("legacy-unsorted", positionCsvPath)) {
     try {
-      await setModbusMode("legacy-unsorted", {
-        url: gqlUrl,
-        accessToken,
-        xsrfToken,
-        xsrfCookie,
-        verbose: ENV_VERBOSE,
-      });
+      await switchMode("legacy-unsorted");
+      const positions = await targetsFor("legacy-unsorted");
 
       console.log("\n📊 Generating Legacy Unsorted Reports…");
-      const positionResult = await csvModbusPosition({ site, type: "assets" }, positionCsvPath);
+      const positionResult = await csvModbusPosition({ site, type: "assets", port: modbusPort, outputDir, rules, reporters, staleAfterSec, positions }, positionCsvPath);
 
       if (positionResult?.error) {
         console.error("❌ Legacy Unsorted processing error:", positionResult.error);
@@ -139,8 +202,11 @@ async function generateAllReports(
         console.log(`   • Index:   ${positionResult.indexPath}`);
         allResults.push({
           category: "Legacy Unsorted",
+          mode: "legacy-unsorted",
           reports: positionResult.reports,
           indexPath: positionResult.indexPath,
+          rules: mergeRuleSummaries(positionResult.reports.map(r => r.rules)),
+          staleness: positionResult.staleness,
           success: true,
         });
       }
@@ -154,21 +220,25 @@ async function generateAllReports(
   }
 
   // 3) Legacy Sorted (position-based with detection)
-  if (positionCsvPath && fs.existsSync(positionCsvPath)) {
+  if (canRead("legacy-sorted", positionCsvPath)) {
     try {
-      await setModbusMode("legacy-sorted", {
-        url: gqlUrl,
-        accessToken,
-        xsrfToken,
-        xsrfCookie,
-        verbose: ENV_VERBOSE,
-      });
+      await switchMode("legacy-sorted");
+      const positions = await targetsFor("legacy-sorted");
 
       console.log("\n📊 Generating Legacy Sorted Reports…");
+      if (positions) {
+        console.log(`   • Discovered positions: ${positions["legacy-tracker"]?.length || 0} trackers, ${positions["legacy-weather"]?.length || 0} weather stations`);
+      }
       const sortedResult = await csvSortedBatchRead({
         site,
         type: "legacy-tracker",
         csvPath: positionCsvPath,
+        port: modbusPort,
+        outputDir,
+        rules,
+        reporters,
+        staleAfterSec,
+        positions,
       });
 
       if (sortedResult?.error) {
@@ -180,8 +250,11 @@ async function generateAllReports(
         console.log(`   • Index:   ${sortedResult.indexPath}`);
         allResults.push({
           category: "Legacy Sorted",
+          mode: "legacy-sorted",
           reports: sortedResult.reports,
           indexPath: sortedResult.indexPath,
+          rules: mergeRuleSummaries(sortedResult.reports.map(r => r.rules)),
+          staleness: sortedResult.staleness,
           success: true,
         });
       }
@@ -194,14 +267,121 @@ async function generateAllReports(
     console.warn("⚠️  Skipping Legacy Sorted: Position CSV not found.");
   }
 
-  // 4) Master index page
+  // Field rule results across every category read (each report checked its own rows)
+  const ruleTotals = mergeRuleSummaries(allResults.map(cat => cat.rules));
+  if (ruleTotals.checked) {
+    console.log(ruleTotals.failed
+      ? `\n⚠️  ${ruleTotals.failed} of ${ruleTotals.checked} rule checks failed${ruleTotals.critical ? ` (${ruleTotals.critical} critical)` : ""}`
+      : `\n✅ All ${ruleTotals.checked} rule checks passed`);
+  }
+  const staleness = siteStaleness(allResults);
+  if (staleness?.checked) {
+    console.log(staleness.stale
+      ? `⏱️  ${staleness.stale} of ${staleness.checked} devices stale (Last Reported more than ${formatDuration(staleAfterSec)} behind ${staleness.clockSource})`
+      : `✅ All ${staleness.checked} devices reported within ${formatDuration(staleAfterSec)} of ${staleness.clockSource}`);
+  }
+
+  const snapshot = buildSnapshot(site, allResults);
+
+  // 4) Cross-mode validation: the same devices should show up consistently in every layout read
+  let validation = null;
+  if (options.validate !== false && allResults.length > 1) {
+    console.log("\n🔎 Validating devices across modes…");
+    try {
+      const result = validateSnapshot(snapshot);
+      validation = { ...result, ...writeValidationReport(result, outputDir) };
+      const counts = Object.entries(result.summary).filter(([, n]) => n > 0).map(([t, n]) => `${n} ${t}`);
+      console.log(counts.length
+        ? `⚠️  ${result.issues.length} cross-mode issue(s): ${counts.join(", ")}`
+        : `✅ ${result.devices.length} devices consistent across ${result.modes.join(", ")}`);
+      console.log(`✅ Validation report: ${validation.htmlPath}`);
+    } catch (err) {
+      console.error("❌ Validation failed:", err.message);
+      if (ENV_VERBOSE) console.error(err);
+    }
+  }
+
+  // 5) Site dashboard and site map: charts of the row boxes' values and device positions, next to the master index
+  let dashboard = null;
+  if (options.dashboard !== false && allResults.length > 0) {
+    try {
+      dashboard = writeDashboard(site, allResults, outputDir);
+      console.log(`📈 Dashboard generated: ${dashboard.htmlPath} (${dashboard.devices} row boxes)`);
+    } catch (err) {
+      console.error("❌ Dashboard failed:", err.message);
+      if (ENV_VERBOSE) console.error(err);
+    }
+  }
+  let siteMap = null;
+  if (options.siteMap !== false && allResults.length > 0) {
+    try {
+      siteMap = writeSiteMap(site, allResults, outputDir);
+      console.log(`🗺️  Site map generated: ${siteMap.htmlPath} (${siteMap.placed} of ${siteMap.devices} devices placed, ${siteMap.flagged} flagged)`);
+    } catch (err) {
+      console.error("❌ Site map failed:", err.message);
+      if (ENV_VERBOSE) console.error(err);
+    }
+  }
+
+  // NC alert log, merged into the site's alert history (kept outside the wiped output dir)
+  let alerts = null;
+  if (options.alertHistory !== false && allResults.length > 0) {
+    try {
+      const history = updateAlertHistory(site, collectAlerts(allResults), options.alertHistoryDir || env("ALERT_HISTORY_DIR", DEFAULT_ALERT_HISTORY_DIR));
+      alerts = { ...history, htmlPath: writeAlertHistoryPage(site, history, outputDir) };
+      console.log(`🔔 Alert history: ${alerts.alerts.length} alert(s), ${alerts.added} new (${alerts.path})`);
+    } catch (err) {
+      console.error("❌ Alert history failed:", err.message);
+      if (ENV_VERBOSE) console.error(err);
+    }
+  }
+
+  // 6) Master index page
   console.log("\n🧭 Generating Master Index page…");
-  const masterIndexPath = path.join(OUT_DIR, `${site}_master_index.html`);
-  const html = generateMasterIndex(site, allResults, errors, masterIndexPath);
+  const masterIndexPath = path.join(outputDir, `${site}_master_index.html`);
+  const html = generateMasterIndex(site, allResults, errors, masterIndexPath, options.homeHref, validation, ruleTotals, dashboard, siteMap, alerts, staleness);
   fs.writeFileSync(masterIndexPath, html);
   console.log(`✅ Master Index generated: ${masterIndexPath}`);
 
-  // 5) Summary
+  // 7) Snapshot of every decoded value, for run-to-run diffs (kept outside the wiped output dir)
+  let snapshotPath = null;
+  if (options.snapshot !== false && allResults.length > 0) {
+    try {
+      const snapshotDir = options.snapshotDir || env("SNAPSHOT_DIR", DEFAULT_SNAPSHOT_DIR);
+      snapshotPath = saveSnapshot(snapshot, snapshotDir);
+      console.log(`📸 Snapshot saved: ${snapshotPath}`);
+    } catch (err) {
+      console.error("❌ Snapshot failed:", err.message);
+    }
+  }
+
+  // 8) One JSON record per field (typed values, raw registers, explicit errors) for downstream tools
+  const records = buildRecords(site, allResults);
+  let recordsPaths = [];
+  try {
+    const recordFormats = options.recordFormats || parseRecordFormats(env("RECORD_FORMATS", "ndjson"));
+    recordsPaths = writeRecords(records, outputDir, site, recordFormats);
+    for (const file of recordsPaths) console.log(`🧾 Records written: ${file}`);
+  } catch (err) {
+    console.error("❌ Writing records failed:", err.message);
+  }
+
+  // 9) JUnit XML / TAP for CI: categories, devices and every failing read or rule check
+  const testSuites = buildTestSuites(site, { categories: allResults, errors, validation });
+  let testResults = {};
+  try {
+    testResults = writeTestResults(testSuites, {
+      junitPath: options.junitPath !== undefined ? options.junitPath : env("JUNIT_PATH", null),
+      tapPath: options.tapPath !== undefined ? options.tapPath : env("TAP_PATH", null),
+      name: site,
+    });
+    if (testResults.junitPath) console.log(`🧪 JUnit XML written: ${testResults.junitPath}`);
+    if (testResults.tapPath) console.log(`🧪 TAP written: ${testResults.tapPath}`);
+  } catch (err) {
+    console.error("❌ Writing test results failed:", err.message);
+  }
+
+  // 10) Summary
   console.log("\n==============================================");
   console.log("📋 GENERATION SUMMARY");
   console.log("==============================================");
@@ -211,6 +391,14 @@ async function generateAllReports(
     `📊 Total Reports:         ${allResults.reduce((sum, cat) => sum + cat.reports.length, 0)}`
   );
   console.log(`🏠 Master Index:          ${masterIndexPath}`);
+  if (discover) console.log(`🗂️  Device Inventory:      ${inventoryPath}`);
+  if (dashboard) console.log(`📈 Dashboard:             ${dashboard.htmlPath}`);
+  if (siteMap) console.log(`🗺️  Site Map:              ${siteMap.htmlPath}`);
+  if (alerts) console.log(`🔔 NC Alerts:             ${alerts.alerts.length} (${alerts.added} new)`);
+  if (snapshotPath) console.log(`📸 Snapshot:              ${snapshotPath}`);
+  if (validation) console.log(`🔎 Cross-Mode Issues:     ${validation.issues.length}`);
+  if (ruleTotals.checked) console.log(`📏 Rule Failures:         ${ruleTotals.failed} (${ruleTotals.critical} critical)`);
+  if (staleness?.checked) console.log(`⏱️  Stale Devices:         ${staleness.stale} of ${staleness.checked}`);
 
   if (allResults.length > 0) {
     console.log("\n📁 Generated Categories:");
@@ -228,13 +416,25 @@ async function generateAllReports(
     totalCategories: allResults.length,
     totalReports: allResults.reduce((sum, cat) => sum + cat.reports.length, 0),
     masterIndexPath,
+    dashboardPath: dashboard?.htmlPath ?? null,
+    siteMapPath: siteMap?.htmlPath ?? null,
+    alertHistoryPath: alerts?.path ?? null,
+    snapshotPath,
+    records,
+    recordsPaths,
+    inventoryPath: discover || inventory ? inventoryPath : null,
+    validation,
+    rules: ruleTotals,
+    staleness,
+    testSuites,
+    ...testResults,
     categories: allResults,
     errors,
   };
 }
 
 // 5) Master index page builder (same as before)
-function generateMasterIndex(site, allResults, errors, masterIndexPath) {
+function generateMasterIndex(site, allResults, errors, masterIndexPath, homeHref = "#", validation = null, rules = null, dashboard = null, siteMap = null, alerts = null, staleness = null) {
   const timestamp = new Date().toLocaleString();
   const rel = (to) => {
     const fromDir = path.dirname(masterIndexPath);
@@ -247,7 +447,7 @@ function generateMasterIndex(site, allResults, errors, masterIndexPath) {
 <meta charset="UTF-8" />
 <meta name="viewport" content="width=device-width,initial-scale=1" />
 <title>All Modbus Reports - ${site}</title>
-<link rel="icon" href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.10.5/icons/file-earmark-bar-graph.svg">
+${FAVICON_LINK}
 <style>
   body{background:linear-gradient(120deg,#f8fafc 0%,#e0e7ef 100%);margin:0;padding:0;min-height:100vh;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif}
   .container{max-width:1200px;margin:2.5em auto;background:#fff;border-radius:18px;box-shadow:0 6px 32px #b0b8c940,0 1.5px 4px #b0b8c930;padding:2.5em 2em 2em}
@@ -278,10 +478,10 @@ function generateMasterIndex(site, allResults, errors, masterIndexPath) {
   .home-btn:hover{background:#f1f5f9}
   @media(max-width:768px){.container{padding:1.5em 1em}.stats-bar{flex-direction:column;gap:1em}h1{font-size:2em}}
 </style>
-<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.10.5/font/bootstrap-icons.css">
+${ICONS_STYLE}
 </head>
 <body>
-  <a href="#" class="home-btn" title="Home"><i class="bi bi-house"></i></a>
+  <a href="${homeHref}" class="home-btn" title="Home"><i class="bi bi-house"></i></a>
   <div class="container">
     <div class="header">
       <span class="header-icon"><i class="bi bi-file-earmark-bar-graph"></i></span>
@@ -293,6 +493,8 @@ function generateMasterIndex(site, allResults, errors, masterIndexPath) {
       <div class="stat-item"><div class="stat-number">${allResults.length}</div><div class="stat-label">Categories</div></div>
       <div class="stat-item"><div class="stat-number">${allResults.reduce((s,c)=>s+c.reports.length,0)}</div><div class="stat-label">Total Reports</div></div>
       <div class="stat-item"><div class="stat-number">${errors.length}</div><div class="stat-label">Errors</div></div>
+      ${rules?.checked ? `<div class="stat-item"><div class="stat-number"${rules.critical ? ' style="color:#be123c"' : ""}>${rules.failed}</div><div class="stat-label">Rule Failures</div></div>` : ""}
+      ${staleness?.checked ? `<div class="stat-item" title="Last Reported more than ${formatDuration(staleness.staleAfterSec)} behind ${staleness.clockSource} (${staleness.category})"><div class="stat-number"${staleness.stale ? ' style="color:#b45309"' : ""}>${staleness.stale} / ${staleness.checked}</div><div class="stat-label">Stale Devices</div></div>` : ""}
     </div>
 
     ${errors.length ? `
@@ -301,6 +503,60 @@ function generateMasterIndex(site, allResults, errors, masterIndexPath) {
         ${errors.map(e => `<div class="error-message"><strong>${e.type}:</strong> ${e.error}</div>`).join("")}
       </div>` : ""}
 
+    ${validation ? `
+      <div class="category-card" style="margin-bottom:2em;${validation.issues.length ? "border-color:#fecaca;" : ""}">
+        <div class="category-title"><i class="bi bi-shield-check"></i>Cross-Mode Validation</div>
+        <div class="category-description">
+          ${validation.issues.length
+            ? `${validation.issues.length} issue(s) across ${validation.devices.length} devices: ${Object.entries(validation.summary).filter(([, n]) => n > 0).map(([t, n]) => `${n} ${t}`).join(", ")}.`
+            : `All ${validation.devices.length} devices match across ${validation.modes.join(", ")}.`}
+        </div>
+        <a class="report-link" href="${rel(validation.htmlPath)}"><i class="bi bi-eye"></i> View Validation Report</a>
+      </div>` : ""}
+
+    ${dashboard ? `
+      <div class="category-card" style="margin-bottom:2em;">
+        <div class="category-title"><i class="bi bi-bar-chart"></i>Site Dashboard</div>
+        <div class="category-description">
+          ${dashboard.devices
+            ? `Angles, battery voltage, RSSI and solar vs charger current of ${dashboard.devices} row boxes (${dashboard.source.category}).`
+            : "No row boxes were read in this run."}
+        </div>
+        <a class="report-link" href="${rel(dashboard.htmlPath)}"><i class="bi bi-eye"></i> View Dashboard</a>
+      </div>` : ""}
+
+    ${siteMap ? `
+      <div class="category-card" style="margin-bottom:2em;${siteMap.flagged ? "border-color:#fcd34d;" : ""}">
+        <div class="category-title"><i class="bi bi-geo-alt"></i>Site Map</div>
+        <div class="category-description">
+          ${siteMap.devices
+            ? `${siteMap.placed} of ${siteMap.devices} devices placed around the network controller (${siteMap.source})${siteMap.flagged ? `, ${siteMap.flagged} flagged for read errors, tracking faults or stale Last Reported` : ""}.`
+            : "No device positions were read in this run."}
+        </div>
+        <a class="report-link" href="${rel(siteMap.htmlPath)}"><i class="bi bi-eye"></i> View Site Map</a>
+      </div>` : ""}
+
+    ${alerts ? `
+      <div class="category-card" style="margin-bottom:2em;${alerts.added ? "border-color:#fcd34d;" : ""}">
+        <div class="category-title"><i class="bi bi-bell"></i>NC Alert History</div>
+        <div class="category-description">
+          ${alerts.alerts.length
+            ? `${alerts.alerts.length} alert(s) logged by the network controller across runs${alerts.added ? `, ${alerts.added} new in this run` : ""}. Latest: ${alerts.alerts[0].typeName}${alerts.alerts[0].message ? ` – ${alerts.alerts[0].message}` : ""}.`
+            : "The network controller has not logged any alerts yet."}
+        </div>
+        <a class="report-link" href="${rel(alerts.htmlPath)}"><i class="bi bi-eye"></i> View Alert History</a>
+      </div>` : ""}
+
+    ${rules?.checked ? `
+      <div class="category-card" style="margin-bottom:2em;${rules.critical ? "border-color:#fecaca;" : rules.failed ? "border-color:#fcd34d;" : ""}">
+        <div class="category-title"><i class="bi bi-rulers"></i>Field Rules</div>
+        <div class="category-description">
+          ${rules.failed
+            ? `${rules.failed} of ${rules.checked} checks failed on ${rules.devices} device(s)${rules.critical ? `, ${rules.critical} critical` : ""}: ${allResults.filter(c => c.rules?.failed).map(c => `${c.category} ${c.rules.failed}`).join(", ")}. Failing values are highlighted in each report.`
+            : `All ${rules.checked} checks passed.`}
+        </div>
+      </div>` : ""}
+
     <div class="category-grid">
       ${allResults.map(category => `
         <div class="category-card">
@@ -329,7 +585,7 @@ function generateMasterIndex(site, allResults, errors, masterIndexPath) {
                     : r.positionsProcessed !== undefined
                       ? `Positions: ${r.positionsProcessed} | Entries: ${r.resultsCount}`
                       : `Entries: ${r.resultsCount}`
-                  }
+                  }${r.rules?.failed ? ` | Rule failures: ${r.rules.failed}${r.rules.critical ? ` (${r.rules.critical} critical)` : ""}` : ""}${r.staleness?.stale ? ` | Stale: ${r.staleness.stale}` : ""}
                 </div>
                 <a class="report-link" href="${rel(r.htmlPath)}"><i class="bi bi-eye"></i> View Report</a>
               </div>`).join("")}
@@ -345,15 +601,17 @@ function generateMasterIndex(site, allResults, errors, masterIndexPath) {
 }
 
 // 6) Export for programmatic use
-module.exports = { generateAllReports };
+module.exports = { generateAllReports, resetOutputDir, OUT_DIR };
 
 // 7) CLI runner — THIS IS WHAT ENSURES THE SCRIPT ACTUALLY RUNS
 if (require.main === module) {
   (async () => {
     try {
-      const site = env("SITE", "192.168.12.73");
-      const ttidCsv = env("TTID_CSV_PATH", "./sample_ttids.csv");
-      const positionCsv = env("POSITION_CSV_PATH", "./sample_positions.csv");
+      // node generateAllReports.js [site] [ttid_csv] [position_csv]; anything left out comes from .env
+      const [siteArg, ttidArg, positionArg] = process.argv.slice(2);
+      const site = siteArg || env("SITE", "192.168.12.73");
+      const ttidCsv = ttidArg || env("TTID_CSV_PATH", "./sample_ttids.csv");
+      const positionCsv = positionArg || env("POSITION_CSV_PATH", "./sample_positions.csv");
       const result = await generateAllReports(site, ttidCsv, positionCsv);
       if (result.success) {
         console.log("\n🎉 All reports generated successfully!");
@@ -361,6 +619,10 @@ if (require.main === module) {
       } else {
         console.log("\n⚠️  Generation finished with warnings/errors. See logs above.");
       }
+      if (result.rules?.critical) {
+        console.error(`❌ ${result.rules.critical} critical rule check(s) failed`);
+        process.exitCode = 2;
+      }
     } catch (err) {
       console.error("❌ Fatal error:", err?.stack || err);
       process.exit(1);
@@ -0,0 +1,302 @@
+// generateFleetReports.js
+// Runs generateAllReports for every site in a fleet manifest, each into its own folder,
+// and writes a fleet-level index linking every site's master index.
+
+const path = require("path");
+const fs = require("fs");
+const dotenv = require("dotenv");
+
+const { generateAllReports, resetOutputDir, OUT_DIR } = require("./generateAllReports");
+const { mapConcurrent } = require("./modbusScheduler");
+const { DEFAULT_SNAPSHOT_DIR } = require("./modbusSnapshot");
+const { writeTestResults } = require("./modbusTestResults");
+const { FAVICON_LINK, ICONS_STYLE } = require("./modbusHtmlAssets");
+
+const FLEET_INDEX_NAME = "fleet_index.html";
+
+// ---------------- Manifest ----------------
+
+/** Folder-safe version of a site name */
+const folderName = (name) => String(name).trim().replace(/[^\w.-]+/g, "_");
+
+/**
+ * Loads and validates a fleet manifest. Relative paths inside it resolve
+ * against the manifest's own folder.
+ *
+ * {
+ *   "parallel": 2,                       // sites run at once (default 1)
+ *   "sites": [{
+ *     "name": "north-field",             // output folder + label (default: site)
+ *     "site": "192.168.12.73",           // NC host for Modbus TCP
+ *     "graphqlUrl": "https://…/graphql", // default https://<site>/graphql
+ *     "credentials": "./creds/north.env",// ACCESS_TOKEN / XSRF_TOKEN / _XSRF_COOKIE (default: .env)
+ *     "ttidCsv": "./sample_ttids.csv",
+ *     "positionCsv": "./sample_positions.csv",
+ *     "modbusPort": 502
+ *   }]
+ * }
+ */
+function loadFleetManifest(manifestPath) {
+  const baseDir = path.dirname(path.resolve(manifestPath));
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  const resolve = (p) => (p ? path.resolve(baseDir, p) : p);
+
+  if (!Array.isArray(manifest.sites) || manifest.sites.length === 0) {
+    throw new Error(`No sites listed in ${manifestPath}`);
+  }
+
+  const seen = new Set();
+  const sites = manifest.sites.map((entry, i) => {
+    if (!entry?.site) throw new Error(`sites[${i}] is missing "site"`);
+    const name = String(entry.name || entry.site);
+    const folder = folderName(name);
+    if (seen.has(folder)) throw new Error(`Duplicate site name "${name}" in ${manifestPath}`);
+    seen.add(folder);
+
+    return {
+      name,
+      folder,
+      site: String(entry.site),
+      graphqlUrl: entry.graphqlUrl || `https://${entry.site}/graphql`,
+      credentials: resolve(entry.credentials),
+      ttidCsv: resolve(entry.ttidCsv),
+      positionCsv: resolve(entry.positionCsv),
+      modbusPort: entry.modbusPort,
+    };
+  });
+
+  return { parallel: Number(manifest.parallel || 1), sites };
+}
+
+/** Reads a site's credentials file (dotenv format) without touching process.env */
+function loadCredentials(credentialsPath) {
+  if (!credentialsPath) return undefined;
+  if (!fs.existsSync(credentialsPath)) throw new Error(`Credentials file not found: ${credentialsPath}`);
+  const parsed = dotenv.parse(fs.readFileSync(credentialsPath));
+  return {
+    accessToken: parsed.ACCESS_TOKEN || "",
+    xsrfToken: parsed.XSRF_TOKEN || "",
+    xsrfCookie: parsed._XSRF_COOKIE || "",
+  };
+}
+
+// ---------------- Runner ----------------
+
+/**
+ * Generates reports for every site in the manifest.
+ *
+ * @param {string} manifestPath
+ * @param {{parallel?:number, outputDir?:string, junitPath?:string, tapPath?:string}} [options] - parallel overrides the manifest
+ * @returns {Promise<{fleetIndexPath:string, sites:object[], succeeded:number, failed:number}>}
+ */
+async function generateFleetReports(manifestPath, options = {}) {
+  const manifest = loadFleetManifest(manifestPath);
+  const outputDir = options.outputDir || OUT_DIR;
+  const parallel = Math.max(1, Number(options.parallel || manifest.parallel));
+
+  console.log("==============================================");
+  console.log("🌐 Starting fleet Modbus report run");
+  console.log("• Manifest:     ", path.resolve(manifestPath));
+  console.log("• Sites:        ", manifest.sites.map(s => s.name).join(", "));
+  console.log("• Parallel:     ", parallel);
+  console.log("==============================================");
+
+  resetOutputDir(outputDir);
+
+  const results = await mapConcurrent(manifest.sites, parallel, async (entry) => {
+    const siteDir = path.join(outputDir, entry.folder);
+    const startedAt = Date.now();
+    console.log(`\n🏭 [${entry.name}] Generating reports for ${entry.site}…`);
+
+    try {
+      const result = await generateAllReports(entry.site, entry.ttidCsv, entry.positionCsv, {
+        outputDir: siteDir,
+        graphqlUrl: entry.graphqlUrl,
+        modbusPort: entry.modbusPort,
+        credentials: loadCredentials(entry.credentials),
+        homeHref: `../${FLEET_INDEX_NAME}`,
+        snapshotDir: path.join(process.env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR, entry.folder),
+        // One combined JUnit/TAP file for the fleet is written below
+        junitPath: null,
+        tapPath: null,
+      });
+
+      return {
+        ...entry,
+        status: !result.success ? "failed" : result.errors.length ? "partial" : "ok",
+        succeededCategories: result.totalCategories,
+        failedCategories: result.errors.length,
+        totalReports: result.totalReports,
+        masterIndexPath: result.masterIndexPath,
+        rules: result.rules,
+        testSuites: result.testSuites,
+        errors: result.errors,
+        durationMs: Date.now() - startedAt,
+      };
+    } catch (err) {
+      console.error(`❌ [${entry.name}] Site run failed:`, err.message);
+      return {
+        ...entry,
+        status: "failed",
+        succeededCategories: 0,
+        failedCategories: 0,
+        totalReports: 0,
+        masterIndexPath: null,
+        rules: null,
+        testSuites: [{
+          name: `${entry.site} Site`,
+          cases: [{ classname: `${entry.site}.site`, name: "Site run", failure: { type: "site", message: err.message, details: "" } }],
+        }],
+        errors: [{ type: "Site", error: err.message }],
+        durationMs: Date.now() - startedAt,
+      };
+    }
+  });
+
+  const fleetIndexPath = path.join(outputDir, FLEET_INDEX_NAME);
+  fs.writeFileSync(fleetIndexPath, generateFleetIndex(results, fleetIndexPath));
+
+  const testResults = writeTestResults(results.flatMap(r => r.testSuites), {
+    junitPath: options.junitPath !== undefined ? options.junitPath : (process.env.JUNIT_PATH || null),
+    tapPath: options.tapPath !== undefined ? options.tapPath : (process.env.TAP_PATH || null),
+    name: "fleet",
+  });
+
+  const succeeded = results.filter(r => r.status === "ok").length;
+  const failed = results.filter(r => r.status === "failed").length;
+  const criticalRules = results.reduce((sum, r) => sum + (r.rules?.critical || 0), 0);
+
+  console.log("\n==============================================");
+  console.log("📋 FLEET SUMMARY");
+  console.log("==============================================");
+  for (const r of results) {
+    const icon = r.status === "ok" ? "✅" : r.status === "partial" ? "⚠️ " : "❌";
+    console.log(`${icon} ${r.name}: ${r.succeededCategories} ok / ${r.failedCategories} failed categories, ${r.totalReports} reports (${r.durationMs}ms)${r.rules?.failed ? `, ${r.rules.failed} rule failures (${r.rules.critical} critical)` : ""}`);
+  }
+  console.log(`🏠 Fleet Index: ${fleetIndexPath}`);
+  if (testResults.junitPath) console.log(`🧪 JUnit XML:   ${testResults.junitPath}`);
+  if (testResults.tapPath) console.log(`🧪 TAP:         ${testResults.tapPath}`);
+
+  return { fleetIndexPath, sites: results, succeeded, failed, criticalRules, ...testResults };
+}
+
+// ---------------- Fleet index page ----------------
+
+function generateFleetIndex(results, fleetIndexPath) {
+  const timestamp = new Date().toLocaleString();
+  const rel = (to) => path.relative(path.dirname(fleetIndexPath), to).replace(/\\/g, "/");
+  const count = (status) => results.filter(r => r.status === status).length;
+  const badge = {
+    ok: `<span class="badge badge-ok"><i class="bi bi-check-circle"></i> OK</span>`,
+    partial: `<span class="badge badge-partial"><i class="bi bi-exclamation-circle"></i> Partial</span>`,
+    failed: `<span class="badge badge-failed"><i class="bi bi-x-circle"></i> Failed</span>`,
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width,initial-scale=1" />
+<title>Fleet Modbus Reports</title>
+${FAVICON_LINK}
+<style>
+  body{background:linear-gradient(120deg,#f8fafc 0%,#e0e7ef 100%);margin:0;padding:0;min-height:100vh;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif}
+  .container{max-width:1200px;margin:2.5em auto;background:#fff;border-radius:18px;box-shadow:0 6px 32px #b0b8c940,0 1.5px 4px #b0b8c930;padding:2.5em 2em 2em}
+  .header{display:flex;align-items:center;gap:1em;margin-bottom:2em;text-align:center;flex-direction:column}
+  .header-icon{font-size:3em;color:#16a34a}
+  h1{font-size:2.5em;font-weight:700;color:#22223b;margin:0;letter-spacing:1px}
+  .subtitle{color:#64748b;font-size:1.1em;margin-top:.5em}
+  .stats-bar{display:flex;justify-content:space-between;align-items:center;background:#f1f5f9;padding:1em 1.5em;border-radius:10px;margin-bottom:2em}
+  .stat-item{text-align:center}
+  .stat-number{font-size:1.5em;font-weight:700;color:#16a34a}
+  .stat-label{font-size:.9em;color:#64748b;margin-top:.2em}
+  .site-grid{display:grid;gap:1.5em;grid-template-columns:repeat(auto-fill,minmax(320px,1fr))}
+  .site-card{background:#f9fafb;border:2px solid #e7fbe9;border-radius:16px;padding:1.5em;transition:.3s}
+  .site-card:hover{border-color:#16a34a;transform:translateY(-3px);box-shadow:0 8px 25px #b0b8c920}
+  .site-card.failed{border-color:#fecaca;background:#fef2f2}
+  .site-title{font-size:1.3em;font-weight:700;color:#166534;margin-bottom:.3em;display:flex;align-items:center;justify-content:space-between;gap:.5em}
+  .site-host{color:#64748b;font-size:.9em;margin-bottom:1em}
+  .site-stats{color:#334155;font-size:.95em;margin-bottom:1em;line-height:1.6}
+  .badge{display:inline-block;padding:.2em .6em;border-radius:6px;font-size:.75em;font-weight:600}
+  .badge-ok{background:#f0fdf4;color:#166534;border:1px solid #bbf7d0}
+  .badge-partial{background:#fffbeb;color:#92400e;border:1px solid #fde68a}
+  .badge-failed{background:#ffeaea;color:#b00;border:1px solid #fca5a5}
+  .error-message{color:#7f1d1d;background:#fef2f2;padding:.6em .8em;border-radius:8px;border-left:4px solid #dc2626;font-size:.9em;margin-bottom:.5em}
+  .report-link{display:inline-block;background:#16a34a;color:#fff;padding:.6em 1em;border-radius:6px;text-decoration:none;font-weight:600;transition:.2s;font-size:.9em}
+  .report-link:hover{background:#15803d;transform:translateY(-1px)}
+  @media(max-width:768px){.container{padding:1.5em 1em}.stats-bar{flex-direction:column;gap:1em}h1{font-size:2em}}
+</style>
+${ICONS_STYLE}
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <span class="header-icon"><i class="bi bi-globe2"></i></span>
+      <h1>Fleet Modbus Reports</h1>
+      <div class="subtitle">${results.length} sites | Generated: ${timestamp}</div>
+    </div>
+
+    <div class="stats-bar">
+      <div class="stat-item"><div class="stat-number">${results.length}</div><div class="stat-label">Sites</div></div>
+      <div class="stat-item"><div class="stat-number">${count("ok")}</div><div class="stat-label">Succeeded</div></div>
+      <div class="stat-item"><div class="stat-number">${count("partial")}</div><div class="stat-label">Partial</div></div>
+      <div class="stat-item"><div class="stat-number">${count("failed")}</div><div class="stat-label">Failed</div></div>
+      <div class="stat-item"><div class="stat-number">${results.reduce((s, r) => s + r.totalReports, 0)}</div><div class="stat-label">Total Reports</div></div>
+    </div>
+
+    <div class="site-grid">
+      ${results.map(r => `
+        <div class="site-card${r.status === "failed" ? " failed" : ""}">
+          <div class="site-title"><span><i class="bi bi-hdd-network"></i> ${r.name}</span>${badge[r.status]}</div>
+          <div class="site-host">${r.site} | ${(r.durationMs / 1000).toFixed(1)}s</div>
+          <div class="site-stats">
+            Categories: ${r.succeededCategories} succeeded, ${r.failedCategories} failed<br>
+            Reports: ${r.totalReports}${r.rules?.checked ? `<br>
+            Rule checks: ${r.rules.checked - r.rules.failed} passed, ${r.rules.failed} failed${r.rules.critical ? `, <strong style="color:#be123c">${r.rules.critical} critical</strong>` : ""}` : ""}
+          </div>
+          ${r.errors.map(e => `<div class="error-message"><strong>${e.type}:</strong> ${e.error}</div>`).join("")}
+          ${r.masterIndexPath ? `<a class="report-link" href="${rel(r.masterIndexPath)}"><i class="bi bi-eye"></i> View Site Reports</a>` : ""}
+        </div>`).join("")}
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+// ---------------- Exports ----------------
+module.exports = { generateFleetReports, loadFleetManifest };
+
+// ---------------- CLI ----------------
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = process.argv.slice(2);
+      const getFlag = (name, fallback) => {
+        const i = args.findIndex(a => a === `--${name}`);
+        return (i !== -1 && i + 1 < args.length) ? args[i + 1] : fallback;
+      };
+
+      const manifestPath = getFlag("manifest", process.env.FLEET_MANIFEST_PATH);
+      if (!manifestPath || !fs.existsSync(manifestPath)) {
+        console.error("Usage: node generateFleetReports.js --manifest fleet_manifest.json [--parallel 2]");
+        process.exit(1);
+      }
+
+      const result = await generateFleetReports(manifestPath, { parallel: getFlag("parallel") });
+      if (result.failed === 0) {
+        console.log("\n🎉 Fleet run finished!");
+      } else {
+        console.log(`\n⚠️  Fleet run finished with ${result.failed} failed site(s). See logs above.`);
+        process.exitCode = 1;
+      }
+      if (result.criticalRules > 0) {
+        console.error(`❌ ${result.criticalRules} critical rule check(s) failed across the fleet`);
+        process.exitCode = process.exitCode || 2;
+      }
+      console.log(`📊 Open the fleet index: ${result.fleetIndexPath}`);
+    } catch (err) {
+      console.error("❌ Fatal error:", err?.stack || err);
+      process.exit(1);
+    }
+  })();
+}
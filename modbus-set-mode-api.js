@@ -17,6 +17,12 @@ const MODE_MAP = {
   "legacy-sorted":   { enableLegacyMode: true,  enableModbusSorting: true  },
 };
 
+/** Mode whose MODE_MAP flags a Modbus service config shows, or null (flags missing or unknown) */
+function modeFromConfig(config) {
+  if (typeof config?.enableLegacyMode !== "boolean" || typeof config?.enableModbusSorting !== "boolean") return null;
+  return Object.keys(MODE_MAP).find(m => Object.entries(MODE_MAP[m]).every(([k, v]) => config[k] === v)) || null;
+}
+
 // We’ll dynamically build the mutation with different selection sets.
 const SELECTIONS = [
   'modbusService { enableModbusService enableModbusWrites enableModbusSorting enableLegacyMode }', // optimistic
@@ -215,8 +221,61 @@ async function setModbusMode(mode, options = {}) {
   return result;
 }
 
+const CONFIG_QUERY = `
+    query modbusServiceConfig {
+      systemConfig {
+        modbusService { enableModbusService enableModbusWrites enableModbusSorting enableLegacyMode }
+      }
+    }
+  `;
+
+/**
+ * Library API: getModbusServiceConfig
+ * Reads the NC's current Modbus service flags (service, writes, legacy, sorting).
+ * @param {{url?:string, accessToken?:string, xsrfToken?:string, xsrfCookie?:string, cookie?:string, timeoutMs?:number}} options
+ * @returns {Promise<{ok:boolean, config?:object, error?:string}>} never throws
+ */
+async function getModbusServiceConfig(options = {}) {
+  const url = options.url || DEFAULT_URL;
+  const headers = makeHeaders({
+    url,
+    accessToken: options.accessToken || process.env.ACCESS_TOKEN || "",
+    xsrfToken:   options.xsrfToken   || process.env.XSRF_TOKEN   || "",
+    xsrfCookie:  options.xsrfCookie  || process.env._XSRF_COOKIE || "",
+    cookie:      options.cookie      || process.env.COOKIE       || "",
+  });
+
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), options.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+
+  try {
+    const fetchImpl = await ensureFetch();
+    const res = await fetchImpl(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ operationName: "modbusServiceConfig", query: CONFIG_QUERY, variables: {} }),
+      signal: controller.signal,
+    });
+    const text = await res.text();
+    if (!res.ok) return { ok: false, error: `HTTP ${res.status}` };
+
+    let json;
+    try { json = JSON.parse(text); }
+    catch { return { ok: false, error: `Non-JSON response (status ${res.status})` }; }
+    if (json.errors && json.errors.length) return { ok: false, error: `GraphQL errors: ${JSON.stringify(json.errors)}` };
+
+    const config = json.data?.systemConfig?.modbusService ?? json.data?.modbusService;
+    if (!config) return { ok: false, error: "Response has no modbusService config" };
+    return { ok: true, config };
+  } catch (err) {
+    return { ok: false, error: err.message || String(err) };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
 // --- Exports (library) ---
-module.exports = { setModbusMode, MODE_MAP };
+module.exports = { setModbusMode, getModbusServiceConfig, modeFromConfig, MODE_MAP };
 
 // --- CLI glue (optional) ---
 if (require.main === module) {
@@ -0,0 +1,210 @@
+// modbusAlerts.js
+// The network controller's alert log: eight "Alert N Time/Type/Message" slots decoded into alerts
+// (newest first) for the NC report's timeline, and merged into a per-site alert history that
+// keeps every alert ever seen, de-duplicated across runs.
+
+const fs = require("fs");
+const path = require("path");
+const { rowError } = require("./modbusSnapshot");
+
+const jsonDir = (process?.resourcesPath && fs.existsSync(path.join(process.resourcesPath, "json")))
+  ? path.join(process.resourcesPath, "json")
+  : path.join(__dirname, "json");
+
+const DEFAULT_ALERT_TYPES_PATH = path.join(jsonDir, "nc_alert_types.json");
+const DEFAULT_ALERT_HISTORY_DIR = path.resolve(__dirname, "modbus_alerts");
+const HISTORY_VERSION = 1;
+
+const ALERT_FIELD = /^Alert (\d+) (Time|Type|Message)$/;
+
+const safeName = (s) => String(s).replace(/[^\w.-]+/g, "_");
+const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;");
+
+// ---------------- Decoding ----------------
+
+/**
+ * Alert type names: { "<code>": "<name>" } in json/nc_alert_types.json (or $ALERT_TYPES_PATH).
+ * A missing file means every type shows as "Type N".
+ */
+function loadAlertTypes(file = process.env.ALERT_TYPES_PATH || DEFAULT_ALERT_TYPES_PATH) {
+  if (!file || !fs.existsSync(file)) return {};
+  const types = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!types || typeof types !== "object" || Array.isArray(types)) throw new Error(`${path.basename(file)} must map alert type codes to names`);
+  return types;
+}
+
+const alertTypeName = (type, types) => types[String(type)] || `Type ${type}`;
+
+/** Same alert in another run or another mode's read of the NC */
+const alertKey = (alert) => `${alert.time}|${alert.type}|${alert.message}`;
+
+/**
+ * Alerts in one NC's rows, newest first. Slots that read back empty (no time, type or message)
+ * are skipped; so is a slot with any read error, listed in `errors` instead.
+ * @returns {{alerts:{slot, time, type, typeName, message}[], errors:{slot:number, message:string}[], slots:number}}
+ */
+function extractAlerts(rows, types = loadAlertTypes()) {
+  const slots = new Map();
+  for (const row of rows) {
+    const match = String(row.ID ?? "").trim().match(ALERT_FIELD);
+    if (!match) continue;
+    const slot = Number(match[1]);
+    if (!slots.has(slot)) slots.set(slot, { slot });
+    const entry = slots.get(slot);
+    const error = rowError(row);
+    if (error) entry.error = entry.error || `${match[2]}: ${error}`;
+    else entry[match[2].toLowerCase()] = String(row.DecodedValue ?? "").trim();
+  }
+
+  const alerts = [];
+  const errors = [];
+  for (const entry of [...slots.values()].sort((a, b) => a.slot - b.slot)) {
+    if (entry.error) { errors.push({ slot: entry.slot, message: entry.error }); continue; }
+    const time = Number(entry.time) || 0;
+    const type = Number(entry.type) || 0;
+    const message = entry.message || "";
+    if (!time && !type && !message) continue;
+    alerts.push({ slot: entry.slot, time, type, typeName: alertTypeName(type, types), message });
+  }
+  alerts.sort((a, b) => b.time - a.time || a.slot - b.slot);
+  return { alerts, errors, slots: slots.size };
+}
+
+/** Alerts of every NC read in the run (any mode), de-duplicated, newest first */
+function collectAlerts(categories, types = loadAlertTypes()) {
+  const seen = new Map();
+  for (const category of categories) {
+    for (const report of category.reports || []) {
+      for (const device of report.devices || []) {
+        if (!device.rows?.some(row => ALERT_FIELD.test(String(row.ID ?? "").trim()))) continue;
+        for (const alert of extractAlerts(device.rows, types).alerts) {
+          if (!seen.has(alertKey(alert))) seen.set(alertKey(alert), alert);
+        }
+      }
+    }
+  }
+  return [...seen.values()].sort((a, b) => b.time - a.time);
+}
+
+/** "2025-08-13 13:29:02 UTC", or "not set" for 0 */
+function formatAlertTime(seconds) {
+  if (!seconds) return "not set";
+  const date = new Date(seconds * 1000);
+  return Number.isNaN(date.getTime()) ? String(seconds) : date.toISOString().replace("T", " ").replace(/\.\d+Z$/, " UTC");
+}
+
+// ---------------- History ----------------
+
+function historyPath(site, dir = DEFAULT_ALERT_HISTORY_DIR) {
+  return path.join(dir, `${safeName(site)}_alert_history.json`);
+}
+
+function loadAlertHistory(site, dir = DEFAULT_ALERT_HISTORY_DIR) {
+  const file = historyPath(site, dir);
+  if (!fs.existsSync(file)) return { version: HISTORY_VERSION, site, alerts: [] };
+  const history = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (history.version !== HISTORY_VERSION || !Array.isArray(history.alerts)) {
+    throw new Error(`Not a version ${HISTORY_VERSION} alert history: ${file}`);
+  }
+  return history;
+}
+
+/**
+ * Adds this run's alerts to the site's history file: new ones get `firstSeen`, known ones a new
+ * `lastSeen`, and the type name is refreshed in case nc_alert_types.json changed.
+ * @returns {{path:string, alerts:object[], added:number}} alerts newest first, `isNew` on this run's additions
+ */
+function updateAlertHistory(site, alerts, dir = DEFAULT_ALERT_HISTORY_DIR, seenAt = new Date()) {
+  const history = loadAlertHistory(site, dir);
+  const byKey = new Map(history.alerts.map(a => [alertKey(a), a]));
+  const at = seenAt.toISOString();
+  let added = 0;
+
+  for (const { time, type, typeName, message } of alerts) {
+    const known = byKey.get(alertKey({ time, type, message }));
+    if (known) {
+      known.lastSeen = at;
+      known.typeName = typeName;
+      continue;
+    }
+    byKey.set(alertKey({ time, type, message }), { time, type, typeName, message, firstSeen: at, lastSeen: at });
+    added++;
+  }
+
+  const merged = [...byKey.values()].sort((a, b) => b.time - a.time || a.firstSeen.localeCompare(b.firstSeen));
+  const file = historyPath(site, dir);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ version: HISTORY_VERSION, site, updatedAt: at, alerts: merged }, null, 2));
+  return { path: file, alerts: merged.map(a => ({ ...a, isNew: a.firstSeen === at })), added };
+}
+
+// ---------------- HTML ----------------
+
+const ALERTS_CSS = `
+    .alert-timeline { list-style: none; margin: 0 0 1em 0; padding: 0 0 0 1.2em; border-left: 3px solid #fde68a; }
+    .alert-timeline li { position: relative; padding: 0.45em 0 0.45em 0.4em; }
+    .alert-timeline li:before { content: ""; position: absolute; left: -1.72em; top: 0.85em; width: 0.75em; height: 0.75em; border-radius: 50%; background: #f59e0b; border: 2px solid #fff; }
+    .alert-timeline li.alert-error:before { background: #e11d48; }
+    .alert-time { color: #475569; font-family: monospace; margin-right: 0.6em; }
+    .alert-type { display: inline-block; padding: 0.1em 0.55em; border-radius: 5px; background: #fef3c7; color: #92400e; font-weight: 600; font-size: 0.85em; margin-right: 0.6em; }
+    .alert-meta { color: #94a3b8; font-size: 0.85em; margin-left: 0.6em; }
+    .alert-new { display: inline-block; padding: 0.05em 0.45em; border-radius: 5px; background: #16a34a; color: #fff; font-size: 0.75em; font-weight: 700; margin-left: 0.6em; }
+    .alert-heading { color: #92400e; font-weight: 700; margin: 0.8em 0 0.5em 0; }
+    .device-section.collapsed .alert-block { display: none; }`;
+
+function alertItemHtml(alert, meta = "") {
+  return `<li><span class="alert-time">${formatAlertTime(alert.time)}</span><span class="alert-type">${esc(alert.typeName)}</span>`
+    + `${esc(alert.message) || `<i>no message</i>`}${meta}${alert.isNew ? `<span class="alert-new">NEW</span>` : ""}</li>`;
+}
+
+/** Alert timeline for an NC section of a report; "" for devices without alert registers */
+function alertTimelineHtml(rows, types) {
+  if (!rows.some(row => ALERT_FIELD.test(String(row.ID ?? "").trim()))) return "";
+  // Legacy unsorted reads the NC map at every position; pages without a System ID aren't the NC
+  const systemId = rows.find(row => String(row.ID ?? "").trim() === "System ID");
+  if (systemId && !rowError(systemId) && !String(systemId.DecodedValue ?? "").trim()) return "";
+  const { alerts, errors, slots } = extractAlerts(rows, types);
+  const items = alerts.map(alert => alertItemHtml(alert, `<span class="alert-meta">slot ${alert.slot}</span>`))
+    .concat(errors.map(e => `<li class="alert-error">Alert ${e.slot} not read: ${esc(e.message)}</li>`));
+  return `<div class="alert-block"><div class="alert-heading"><i class="bi bi-bell"></i> Alert Timeline (${alerts.length} of ${slots} slots, newest first)</div>`
+    + (items.length ? `<ol class="alert-timeline">${items.join("")}</ol>` : `<p style="color:#64748b;">No alerts logged.</p>`)
+    + `</div>`;
+}
+
+/**
+ * Writes `<dir>/<site>_alerts.html`: every alert in the site's history, newest first.
+ * @returns {string} the page's path
+ */
+function writeAlertHistoryPage(site, history, dir) {
+  const { pageHtml } = require("./modbusReporters");
+  const items = history.alerts.map(alert => alertItemHtml(alert,
+    `<span class="alert-meta">first seen ${new Date(alert.firstSeen).toLocaleString()}${alert.lastSeen !== alert.firstSeen ? `, last seen ${new Date(alert.lastSeen).toLocaleString()}` : ""}</span>`));
+
+  const htmlPath = path.join(dir, `${site}_alerts.html`);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(htmlPath, pageHtml({
+    site,
+    title: "NC Alert History",
+    headTitle: `NC Alert History - ${site}`,
+    homeHref: `${site}_master_index.html`,
+    css: ALERTS_CSS + `
+    .subtitle { color: #64748b; margin: -1.2em 0 2em 0; }
+    .alert-timeline { font-size: 1.05em; }`,
+    body: `    <div class="subtitle">Site: ${site} | ${history.alerts.length} alert(s) kept across runs, ${history.added} new in this run | Generated: ${new Date().toLocaleString()}</div>
+    ${items.length ? `<ol class="alert-timeline">${items.join("")}</ol>` : `<p style="color:#64748b;">The network controller has not logged any alerts yet.</p>`}`,
+  }));
+  return htmlPath;
+}
+
+module.exports = {
+  loadAlertTypes,
+  extractAlerts,
+  collectAlerts,
+  formatAlertTime,
+  loadAlertHistory,
+  updateAlertHistory,
+  alertTimelineHtml,
+  writeAlertHistoryPage,
+  ALERTS_CSS,
+  DEFAULT_ALERT_HISTORY_DIR,
+};
@@ -0,0 +1,90 @@
+// modbusBlockReader.js
+// Coalesces the per-field reads of one 512-register page into as few
+// readHoldingRegisters calls as possible and slices the fields back out.
+
+const PAGE_SIZE = 512;
+const MAX_BLOCK_SIZE = 125; // FC3 limit: 125 registers per request
+const ILLEGAL_DATA_ADDRESS = 2;
+
+/**
+ * Groups fields into contiguous spans of at most `maxBlockSize` registers.
+ * Fields are page-relative (BaseReg/Size), so a block never leaves its page;
+ * a field that would cross the page end or is larger than a block gets a
+ * block of its own.
+ *
+ * @param {{BaseReg:number, Size:number}[]} fields
+ * @param {number} [maxBlockSize]
+ * @returns {{offset:number, size:number, fields:object[]}[]}
+ */
+function planBlocks(fields, maxBlockSize = MAX_BLOCK_SIZE) {
+  const sorted = [...fields].sort((a, b) => Number(a.BaseReg) - Number(b.BaseReg));
+  const blocks = [];
+  let current = null;
+
+  for (const field of sorted) {
+    const start = Number(field.BaseReg);
+    const end = start + Number(field.Size);
+    const standalone = end > PAGE_SIZE || end - start > maxBlockSize;
+
+    if (current && !standalone && start <= current.offset + current.size
+        && Math.max(end, current.offset + current.size) - current.offset <= maxBlockSize) {
+      current.size = Math.max(end, current.offset + current.size) - current.offset;
+      current.fields.push(field);
+      continue;
+    }
+
+    current = { offset: start, size: end - start, fields: [field] };
+    blocks.push(current);
+    if (standalone) current = null;
+  }
+
+  return blocks;
+}
+
+/**
+ * Reads every field of one device page using block reads. If a block read is
+ * rejected with an illegal-address exception, the fields of that block are
+ * read one by one instead so a single unmapped register can't hide the rest.
+ *
+ * The client must already have its unit ID set.
+ *
+ * @param {import("modbus-serial")} client
+ * @param {number} pageStart - absolute address of BaseReg 0 for this device
+ * @param {{BaseReg:number, Size:number}[]} fields - validated spec entries
+ * @param {{maxBlockSize?:number}} [options]
+ * @returns {Promise<Map<object, {data?:number[], error?:Error}>>} keyed by field entry
+ */
+async function readPageFields(client, pageStart, fields, { maxBlockSize = MAX_BLOCK_SIZE } = {}) {
+  const results = new Map();
+
+  for (const block of planBlocks(fields, maxBlockSize)) {
+    let registers;
+    try {
+      ({ data: registers } = await client.readHoldingRegisters(pageStart + block.offset, block.size));
+    } catch (err) {
+      if (err?.modbusCode !== ILLEGAL_DATA_ADDRESS || block.fields.length === 1) {
+        for (const field of block.fields) results.set(field, { error: err });
+        continue;
+      }
+
+      for (const field of block.fields) {
+        try {
+          const { data } = await client.readHoldingRegisters(pageStart + Number(field.BaseReg), Number(field.Size));
+          results.set(field, { data });
+        } catch (fieldErr) {
+          results.set(field, { error: fieldErr });
+        }
+      }
+      continue;
+    }
+
+    for (const field of block.fields) {
+      const from = Number(field.BaseReg) - block.offset;
+      results.set(field, { data: registers.slice(from, from + Number(field.Size)) });
+    }
+  }
+
+  return results;
+}
+
+module.exports = { planBlocks, readPageFields, MAX_BLOCK_SIZE, PAGE_SIZE };
@@ -0,0 +1,634 @@
+#!/usr/bin/env node
+// modbusCli.js
+// Single command-line entry point: `modbus <command> [options]` for reports, one-off reads,
+// mode changes, snapshot diffs and the simulator, with shared flags and exit codes.
+
+const fs = require("fs");
+const path = require("path");
+
+// Exit codes shared by every command
+const EXIT = {
+  OK: 0,
+  FAILED: 1,         // the command couldn't do its job (unreachable site, failed request, …)
+  CHECKS_FAILED: 2,  // it ran, but found problems (read errors, critical rules, failed categories)
+  USAGE: 64,         // bad command line (sysexits EX_USAGE)
+};
+
+const usageError = (message) => Object.assign(new Error(message), { usage: true });
+
+// ---------------- Options ----------------
+
+// Flags every command understands. `value: true` flags take an argument.
+const GLOBAL_OPTIONS = {
+  format:  { alias: "f", value: true, help: "Output format" },
+  verbose: { alias: "v", help: "Verbose logging" },
+  quiet:   { alias: "q", help: "Only print results and errors" },
+  help:    { alias: "h", help: "Show help" },
+};
+
+// Flags several commands take, each listing the ones it uses
+const SHARED_OPTIONS = {
+  site:    { alias: "s", value: true, help: "NC host or IP (default: $SITE)" },
+  port:    { alias: "p", value: true, help: "Modbus TCP port (default: $MODBUS_PORT or 502)" },
+  unit:    { alias: "u", value: true, help: "Modbus unit ID" },
+  out:     { alias: "o", value: true, help: "Output directory" },
+};
+
+const shared = (...names) => Object.fromEntries(names.map(name => [name, SHARED_OPTIONS[name]]));
+
+/**
+ * Parses `--name value`, `--name=value`, `-x value`, boolean `--name` / `--no-name`
+ * and positionals against the command's option table. Unknown flags are usage errors.
+ * @returns {{flags:Record<string, string|boolean>, positionals:string[]}}
+ */
+function parseArgs(argv, options) {
+  const flags = {};
+  const positionals = [];
+  const byAlias = Object.fromEntries(Object.entries(options).filter(([, o]) => o.alias).map(([name, o]) => [o.alias, name]));
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+
+    let [name, inline] = arg.startsWith("--") ? arg.slice(2).split(/=(.*)/s) : [byAlias[arg.slice(1)] || arg.slice(1)];
+    let negated = false;
+    if (!options[name] && name.startsWith("no-") && options[name.slice(3)] && !options[name.slice(3)].value) {
+      name = name.slice(3);
+      negated = true;
+    }
+    const option = options[name];
+    if (!option) throw usageError(`Unknown option: ${arg}`);
+
+    if (!option.value) {
+      if (inline !== undefined) throw usageError(`--${name} doesn't take a value`);
+      flags[name] = !negated;
+      continue;
+    }
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined || (inline === undefined && value.startsWith("--"))) throw usageError(`--${name} needs a value`);
+    flags[name] = value;
+  }
+
+  return { flags, positionals };
+}
+
+const list = (...values) => values
+  .flatMap(v => (v === undefined ? [] : String(v).split(",")))
+  .map(s => s.trim())
+  .filter(Boolean);
+
+const toNumber = (value, name) => {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw usageError(`--${name} must be a number, got "${value}"`);
+  return n;
+};
+
+// Shared flags resolved against the environment
+function common(flags) {
+  return {
+    site: flags.site || process.env.SITE,
+    port: toNumber(flags.port, "port") ?? Number(process.env.MODBUS_PORT || 502),
+    unit: toNumber(flags.unit, "unit"),
+    verbose: Boolean(flags.verbose),
+  };
+}
+
+function requireSite(site) {
+  if (!site) throw usageError("No site: pass --site <host> or set SITE");
+  return site;
+}
+
+/** First column of a one-column CSV such as sample_ttids.csv / sample_positions.csv */
+function readIdColumn(file, column) {
+  if (!fs.existsSync(file)) throw usageError(`CSV not found: ${file}`);
+  const [header, ...lines] = fs.readFileSync(file, "utf8").split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (header.split(",")[0].replace(/"/g, "").trim() !== column) throw usageError(`${file} has no ${column} column`);
+  return lines.map(l => l.split(",")[0].replace(/"/g, "").trim()).filter(Boolean);
+}
+
+// ---------------- Output ----------------
+
+// Results go to stdout even with --quiet; progress logs go through console.log
+const out = (text) => process.stdout.write(`${text}\n`);
+
+function printTable(rows, columns) {
+  const cell = (v) => String(v ?? "");
+  const widths = columns.map(c => Math.max(c.length, ...rows.map(r => cell(r[c]).length)));
+  const line = (values) => values.map((v, i) => cell(v).padEnd(widths[i])).join("  ").trimEnd();
+  out(line(columns));
+  out(widths.map(w => "-".repeat(w)).join("  "));
+  for (const r of rows) out(line(columns.map(c => r[c])));
+}
+
+function printRows(rows, columns, format) {
+  if (format === "json") {
+    out(JSON.stringify(rows, null, 2));
+  } else if (format === "csv") {
+    const { Parser } = require("json2csv");
+    out(new Parser({ fields: columns }).parse(rows));
+  } else {
+    printTable(rows, columns);
+  }
+}
+
+// ---------------- Commands ----------------
+
+const READ_COLUMNS = ["Device", "UnitID", "Address", "Field", "Value", "Status", "Error"];
+
+async function readDevices(targets, flags, opts) {
+  const { createModbusPool } = require("./modbusScheduler");
+  const { resolveDevices, pollDevices } = require("./modbusWatch");
+  const { DECODE_STATUS } = require("./modbusCodec");
+
+  const site = requireSite(opts.site);
+  const devices = resolveDevices(targets, list(flags.fields));
+  const pool = createModbusPool({ site, port: opts.port });
+  let samples;
+  try {
+    await pool.open();
+    samples = (await pollDevices(pool, devices, { site })).flat();
+  } finally {
+    pool.close();
+  }
+
+  printRows(samples, READ_COLUMNS, flags.format || "table");
+  const errors = samples.filter(s => s.Status !== DECODE_STATUS.OK).length;
+  if (errors) console.error(`⚠️  ${errors} of ${samples.length} field(s) couldn't be read or decoded`);
+  return errors ? EXIT.CHECKS_FAILED : EXIT.OK;
+}
+
+const COMMANDS = {
+  report: {
+    summary: "Read every mode and write the HTML/CSV reports, master index and snapshot",
+    usage: "report [site] [ttid_csv] [position_csv] [options]",
+    options: {
+      ...shared("site", "port", "out"),
+      "ttids-csv": { value: true, help: "TTID CSV (default: $TTID_CSV_PATH or ./sample_ttids.csv)" },
+      "positions-csv": { value: true, help: "Position CSV (default: $POSITION_CSV_PATH or ./sample_positions.csv)" },
+      url: { value: true, help: "GraphQL URL for mode switches (default: $GRAPHQL_URL)" },
+      junit: { value: true, help: "Write JUnit XML results to this file" },
+      tap: { value: true, help: "Write TAP results to this file" },
+      discover: { help: "Discover devices in each mode instead of reading the CSVs" },
+      inventory: { value: true, help: "Device inventory to read (or, with --discover, to write)" },
+      confirm: { help: "Confirm each mode switch before reading (default; --no-confirm to skip)" },
+      validate: { help: "Cross-mode validation (default; --no-validate to skip)" },
+      snapshot: { help: "Save a value snapshot (default; --no-snapshot to skip)" },
+      dashboard: { help: "Write the site dashboard (default; --no-dashboard to skip)" },
+      "site-map": { help: "Write the site map (default; --no-site-map to skip)" },
+      "alert-history": { help: "Add the NC's alerts to the site's alert history (default; --no-alert-history to skip)" },
+      reporters: { value: true, help: "Comma-separated reporters: html, csv, json or a reporter module (default: $REPORTERS or html,csv)" },
+      "stale-after": { value: true, help: "Seconds Last Reported may lag the NC clock before a device is stale (default: $STALE_AFTER_SEC or 3600)" },
+    },
+    formats: ["text", "json", "ndjson"],
+    async run(flags, [siteArg, ttidArg, positionArg]) {
+      const { generateAllReports } = require("./generateAllReports");
+      const opts = common(flags);
+      if (opts.verbose) process.env.VERBOSE = "true";
+
+      const site = requireSite(siteArg || opts.site);
+      const ttidCsv = ttidArg || flags["ttids-csv"] || process.env.TTID_CSV_PATH || "./sample_ttids.csv";
+      const positionCsv = positionArg || flags["positions-csv"] || process.env.POSITION_CSV_PATH || "./sample_positions.csv";
+
+      const result = await generateAllReports(site, ttidCsv, positionCsv, {
+        modbusPort: opts.port,
+        outputDir: flags.out ? path.resolve(flags.out) : undefined,
+        graphqlUrl: flags.url,
+        junitPath: flags.junit,
+        tapPath: flags.tap,
+        discover: flags.discover,
+        inventoryPath: flags.inventory,
+        confirmMode: flags.confirm,
+        validate: flags.validate,
+        snapshot: flags.snapshot,
+        dashboard: flags.dashboard,
+        siteMap: flags["site-map"],
+        alertHistory: flags["alert-history"],
+        staleAfterSec: toNumber(flags["stale-after"], "stale-after"),
+        reporters: flags.reporters ? require("./modbusReporters").parseReporters(flags.reporters) : undefined,
+      });
+
+      if (flags.format === "ndjson") {
+        const { toNdjson } = require("./modbusRecords");
+        process.stdout.write(toNdjson(result.records));
+      } else if (flags.format === "json") {
+        const { testSuites, categories, records, ...summary } = result;
+        out(JSON.stringify({
+          ...summary,
+          validation: result.validation && { issues: result.validation.issues.length, summary: result.validation.summary },
+          categories: categories.map(c => ({ category: c.category, mode: c.mode, indexPath: c.indexPath, reports: c.reports.length, rules: c.rules })),
+        }, null, 2));
+      }
+
+      if (!result.success) return EXIT.FAILED;
+      return result.errors.length || result.rules?.critical ? EXIT.CHECKS_FAILED : EXIT.OK;
+    },
+  },
+
+  "read ttid": {
+    summary: "Read and print decoded fields of devices by TTID",
+    usage: "read ttid <ttid...> [--type row|weather|repeater|network] [--fields a,b] [--csv file] [options]",
+    options: {
+      ...shared("site", "port"),
+      type: { value: true, help: "Device type the TTIDs belong to (default: row)" },
+      fields: { value: true, help: "Comma-separated field IDs (default: every field)" },
+      csv: { value: true, help: "Read the TTIDs from a CSV with a TTID column" },
+    },
+    formats: ["table", "csv", "json"],
+    async run(flags, positionals) {
+      const ttids = list(...positionals, ...(flags.csv ? readIdColumn(flags.csv, "TTID") : []));
+      if (!ttids.length) throw usageError("No TTIDs given");
+      const type = flags.type || "row";
+      return readDevices(ttids.map(ttid => ({ ttid: toNumber(ttid, "ttid"), type })), flags, common(flags));
+    },
+  },
+
+  "read position": {
+    summary: "Read and print decoded fields of devices by legacy position",
+    usage: "read position <position...> [--unit 1] [--fields a,b] [--csv file] [options]",
+    options: {
+      ...shared("site", "port", "unit"),
+      fields: { value: true, help: "Comma-separated field IDs (default: every field)" },
+      csv: { value: true, help: "Read the positions from a CSV with a Position column" },
+    },
+    formats: ["table", "csv", "json"],
+    async run(flags, positionals) {
+      const opts = common(flags);
+      const positions = list(...positionals, ...(flags.csv ? readIdColumn(flags.csv, "Position") : []));
+      if (!positions.length) throw usageError("No positions given");
+      const unitId = opts.unit ?? 1;
+      return readDevices(positions.map(position => ({ position: toNumber(position, "position"), unitId })), flags, opts);
+    },
+  },
+
+  discover: {
+    summary: "Find the populated slots of the current mode and save them to the device inventory",
+    usage: "discover [--mode ttid|legacy-unsorted|legacy-sorted] [--max-units 10] [--inventory file] [options]",
+    options: {
+      ...shared("site", "port"),
+      mode: { value: true, help: "Layout the NC is in now (default: detected)" },
+      "max-units": { value: true, help: "Row units to scan in TTID mode (default: 10)" },
+      inventory: { value: true, help: "Inventory file (default: $INVENTORY_PATH or modbus_inventory/<site>_inventory.json)" },
+    },
+    formats: ["table", "csv", "json"],
+    async run(flags) {
+      const { discoverDevices, saveInventory, defaultInventoryPath } = require("./modbusDiscovery");
+      const { MODE_MAP } = require("./modbus-set-mode-api");
+      const opts = common(flags);
+      const site = requireSite(opts.site);
+
+      let mode = String(flags.mode || "").toLowerCase();
+      if (mode && !MODE_MAP[mode]) throw usageError(`--mode must be one of ${Object.keys(MODE_MAP).join(", ")}`);
+      if (!mode) {
+        const { probeModbusMode } = require("./modbusModeProbe");
+        const probe = await probeModbusMode({ site, port: opts.port });
+        if (!probe.modes.length) {
+          console.error(`❌ Couldn't tell the current mode (${probe.evidence.join("; ")}); pass --mode`);
+          return EXIT.FAILED;
+        }
+        mode = probe.modes[0];
+      }
+
+      const discovery = await discoverDevices({ site, port: opts.port, mode, maxUnits: toNumber(flags["max-units"], "max-units") });
+      const file = flags.inventory || process.env.INVENTORY_PATH || defaultInventoryPath(site);
+      saveInventory(file, site, mode, discovery);
+
+      const rows = discovery.devices.map(d => ({
+        Slot: d.ttid !== undefined ? `TTID ${d.ttid}` : `Position ${d.position}`,
+        Group: d.type || d.group || "",
+        UnitID: d.unitId,
+        Address: d.address,
+        DeviceType: d.deviceType,
+      }));
+      printRows(rows, ["Slot", "Group", "UnitID", "Address", "DeviceType"], flags.format || "table");
+      console.log(`✅ ${mode}: ${rows.length} device(s) in ${discovery.scanned} slots${discovery.totalAssets !== null ? ` (NC reports ${discovery.totalAssets} assets)` : ""}`);
+      console.log(`   • Inventory: ${path.resolve(file)}`);
+      return EXIT.OK;
+    },
+  },
+
+  "set-mode": {
+    summary: "Switch the NC's Modbus mode over GraphQL",
+    usage: "set-mode <ttid|legacy-unsorted|legacy-sorted> [--url https://host/graphql] [--confirm] [options]",
+    options: {
+      ...shared("site", "port"),
+      url: { value: true, help: "GraphQL URL (default: $GRAPHQL_URL or https://<site>/graphql)" },
+      confirm: { help: "Wait until the config and register layout show the new mode (needs --site)" },
+    },
+    formats: ["text", "json"],
+    async run(flags, [mode]) {
+      const { setModbusMode, MODE_MAP } = require("./modbus-set-mode-api");
+      const opts = common(flags);
+      mode = String(mode || "").toLowerCase();
+      if (!MODE_MAP[mode]) throw usageError(`Mode must be one of ${Object.keys(MODE_MAP).join(", ")}`);
+
+      const url = graphqlUrl(flags, opts);
+      const set = await setModbusMode(mode, { url, verbose: opts.verbose });
+      let confirmed = null;
+      if (set.ok && flags.confirm) {
+        const { confirmModbusMode } = require("./modbusModeProbe");
+        confirmed = await confirmModbusMode(mode, { site: requireSite(opts.site), port: opts.port, graphql: { url } });
+      }
+
+      if (flags.format === "json") {
+        out(JSON.stringify({ mode, set, confirmed }, null, 2));
+      } else if (!set.ok) {
+        console.error(`❌ setModbusMode(${mode}) failed: ${set.reason || "request failed"}`);
+      } else if (confirmed) {
+        if (confirmed.ok) console.log(`✅ ${mode} confirmed (${confirmed.attempts} check(s), ${confirmed.elapsedMs}ms)`);
+        else console.error(`❌ ${confirmed.reason}`);
+      } else {
+        console.log(`✅ Modbus mode set to ${mode}`);
+      }
+      return set.ok && (!confirmed || confirmed.ok) ? EXIT.OK : EXIT.FAILED;
+    },
+  },
+
+  "get-mode": {
+    summary: "Show the NC's configured Modbus mode (and, with --probe, what the registers look like)",
+    usage: "get-mode [--url https://host/graphql] [--probe] [options]",
+    options: {
+      ...shared("site", "port"),
+      url: { value: true, help: "GraphQL URL (default: $GRAPHQL_URL or https://<site>/graphql)" },
+      probe: { help: "Also probe the register layout over Modbus (needs --site)" },
+    },
+    formats: ["text", "json"],
+    async run(flags) {
+      const { getModbusServiceConfig, modeFromConfig } = require("./modbus-set-mode-api");
+      const opts = common(flags);
+
+      const read = await getModbusServiceConfig({ url: graphqlUrl(flags, opts) });
+      const mode = read.ok ? modeFromConfig(read.config) : null;
+      let probe = null;
+      if (flags.probe) {
+        const { probeModbusMode } = require("./modbusModeProbe");
+        probe = await probeModbusMode({ site: requireSite(opts.site), port: opts.port });
+      }
+
+      if (flags.format === "json") {
+        out(JSON.stringify({ mode, config: read.config || null, error: read.error || null, probe }, null, 2));
+      } else {
+        if (read.ok) {
+          console.log(`⚙️  Configured mode: ${mode || "unknown"}`);
+          for (const [k, v] of Object.entries(read.config).filter(([k]) => !k.startsWith("__"))) console.log(`   • ${k}: ${v}`);
+        } else {
+          console.error(`❌ Couldn't read the Modbus config: ${read.error}`);
+        }
+        if (probe) {
+          for (const line of probe.evidence) console.log(`   • ${line}`);
+          console.log(`🔎 Layout matches: ${probe.modes.join(", ") || "no known mode"}`);
+        }
+      }
+
+      if (!read.ok) return EXIT.FAILED;
+      return probe && !probe.modes.includes(mode) ? EXIT.CHECKS_FAILED : EXIT.OK;
+    },
+  },
+
+  diff: {
+    summary: "Compare two value snapshots (or a site's two most recent) and write a diff report",
+    usage: "diff <before.json> <after.json> | diff --site <site> [--dir modbus_snapshots] [options]",
+    options: {
+      ...shared("site", "out"),
+      dir: { value: true, help: "Snapshot folder for --site (default: $SNAPSHOT_DIR or modbus_snapshots)" },
+      tolerances: { value: true, help: "Tolerances file (default: json/diff_tolerances.json)" },
+      tolerance: { value: true, help: "Override the default tolerance: a number or N%" },
+      "fail-on-change": { help: "Exit with code 2 when anything changed" },
+    },
+    formats: ["text", "json"],
+    async run(flags, [beforePath, afterPath]) {
+      const { loadSnapshot, listSnapshots, DEFAULT_SNAPSHOT_DIR } = require("./modbusSnapshot");
+      const { diffSnapshots, writeDiffReport, loadTolerances } = require("./modbusDiff");
+      const opts = common(flags);
+
+      if (!afterPath && opts.site && !beforePath) {
+        [beforePath, afterPath] = listSnapshots(opts.site, flags.dir || process.env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR).slice(-2);
+      }
+      if (!beforePath || !afterPath) throw usageError("Need two snapshots, or --site with at least two saved runs");
+
+      const tolerances = flags.tolerances ? loadTolerances(flags.tolerances) : loadTolerances();
+      if (flags.tolerance !== undefined) {
+        // a number, or "N%" relative to the earlier value (see modbusDiff)
+        const percent = String(flags.tolerance).trim().endsWith("%");
+        const n = toNumber(String(flags.tolerance).trim().replace(/%$/, ""), "tolerance");
+        tolerances.default = percent ? `${n}%` : n;
+      }
+
+      const diff = diffSnapshots(loadSnapshot(beforePath), loadSnapshot(afterPath), tolerances);
+      const { csvPath, htmlPath } = writeDiffReport(diff, flags.out ? path.resolve(flags.out) : undefined);
+
+      if (flags.format === "json") {
+        out(JSON.stringify({ before: beforePath, after: afterPath, summary: diff.summary, rows: diff.rows, csvPath, htmlPath }, null, 2));
+      } else {
+        console.log(`🔍 ${path.basename(beforePath)} → ${path.basename(afterPath)}`);
+        for (const [type, n] of Object.entries(diff.summary)) console.log(`   • ${type}: ${n}`);
+        console.log(`✅ Diff CSV:  ${csvPath}`);
+        console.log(`✅ Diff HTML: ${htmlPath}`);
+      }
+      return flags["fail-on-change"] && diff.rows.length ? EXIT.CHECKS_FAILED : EXIT.OK;
+    },
+  },
+
+  "lint-specs": {
+    summary: "Check the JSON register specs and print their register layout",
+    usage: "lint-specs [spec.json...] [--no-table] [options]",
+    options: {
+      table: { help: "Print the register layout (default; --no-table to skip)" },
+    },
+    formats: ["text", "json"],
+    async run(flags, files) {
+      const { lintSpec, layoutTable, PAGE_SIZE } = require("./modbusSpecLint");
+      const { loadSpecRegistry, registrySpecFiles } = require("./modbusSpecRegistry");
+      const results = [];
+
+      for (const file of files.length ? files : registrySpecFiles(loadSpecRegistry())) {
+        let entries;
+        try {
+          entries = JSON.parse(fs.readFileSync(file, "utf8"));
+        } catch (err) {
+          results.push({ file, entries: null, errors: [{ ID: "", message: `can't read: ${err.message}` }], warnings: [] });
+          continue;
+        }
+        results.push({ file, entries, ...lintSpec(entries) });
+      }
+
+      if (flags.format === "json") {
+        out(JSON.stringify(results.map(({ file, entries, errors, warnings }) => ({
+          file, fields: Array.isArray(entries) ? entries.length : 0, errors, warnings,
+        })), null, 2));
+      } else {
+        for (const { file, entries, errors, warnings } of results) {
+          out(`\n📐 ${path.basename(file)}`);
+          if (flags.table !== false && Array.isArray(entries)) out(layoutTable(entries));
+          for (const w of warnings) out(`⚠️  ${w.ID}: ${w.message}`);
+          for (const e of errors) out(`❌ ${e.ID || "(spec)"}: ${e.message}`);
+          if (!errors.length) {
+            const used = entries.reduce((sum, e) => sum + e.Size, 0);
+            out(`✅ ${entries.length} fields, ${used} of ${PAGE_SIZE} registers used`);
+          }
+        }
+      }
+      return results.some(r => r.errors.length) ? EXIT.CHECKS_FAILED : EXIT.OK;
+    },
+  },
+
+  simulate: {
+    summary: "Run the offline Modbus/GraphQL simulator until Ctrl+C",
+    usage: "simulate [--fleet sample_fleet.json] [--mode ttid] [--host 0.0.0.0] [--port 502] [--http-port 4000] [options]",
+    options: {
+      ...shared("port"),
+      fleet: { value: true, help: "Fleet description (default: $SIM_FLEET_PATH or sample_fleet.json)" },
+      mode: { value: true, help: "Starting mode: ttid, legacy-unsorted or legacy-sorted (default: ttid)" },
+      host: { value: true, help: "Address to listen on (default: 0.0.0.0)" },
+      "http-port": { value: true, help: "GraphQL port (default: 4000)" },
+      "latency-ms": { value: true, help: "Delay added to every Modbus reply" },
+      "mode-delay-ms": { value: true, help: "Delay before a mode switch reaches the register layout" },
+      "enable-writes": { help: "Accept register writes from the start" },
+    },
+    formats: ["text"],
+    async run(flags) {
+      const { createSimulator } = require("./modbusSimulator");
+      const { MODE_MAP } = require("./modbus-set-mode-api");
+      const opts = common(flags);
+
+      const fleetPath = flags.fleet || process.env.SIM_FLEET_PATH || path.join(__dirname, "sample_fleet.json");
+      const mode = String(flags.mode || "ttid").toLowerCase();
+      if (!MODE_MAP[mode]) throw usageError(`--mode must be one of ${Object.keys(MODE_MAP).join(", ")}`);
+      if (!fs.existsSync(fleetPath)) throw usageError(`Fleet file not found: ${fleetPath}`);
+
+      const host = flags.host || "0.0.0.0";
+      const httpPort = toNumber(flags["http-port"], "http-port") ?? 4000;
+      const fleet = JSON.parse(fs.readFileSync(fleetPath, "utf8"));
+      const simulator = createSimulator(fleet, {
+        mode,
+        verbose: opts.verbose,
+        latencyMs: toNumber(flags["latency-ms"], "latency-ms") ?? 0,
+        modeSwitchDelayMs: toNumber(flags["mode-delay-ms"], "mode-delay-ms") ?? 0,
+        writesEnabled: Boolean(flags["enable-writes"]),
+      });
+      await simulator.start({ host, port: opts.port, httpPort });
+
+      console.log(`🛰️  Modbus simulator for ${fleet.site || path.basename(fleetPath)} (${simulator.getMode()} layout)`);
+      console.log(`   • Modbus TCP: ${host}:${opts.port}`);
+      console.log(`   • GraphQL:    http://${host === "0.0.0.0" ? "127.0.0.1" : host}:${httpPort}/graphql`);
+
+      // Runs until stopped; the signal handler sets the exit code
+      return new Promise(resolve => {
+        const shutdown = () => simulator.stop().then(() => resolve(EXIT.OK));
+        process.once("SIGINT", shutdown);
+        process.once("SIGTERM", shutdown);
+      });
+    },
+  },
+};
+
+function graphqlUrl(flags, opts) {
+  return flags.url || process.env.GRAPHQL_URL || `https://${requireSite(opts.site)}/graphql`;
+}
+
+// ---------------- Help ----------------
+
+function formatOptions(options) {
+  const label = (name, o) => `${o.alias ? `-${o.alias}, ` : "    "}--${name}${o.value ? " <value>" : ""}`;
+  const width = Math.max(...Object.entries(options).map(([n, o]) => label(n, o).length));
+  return Object.entries(options).map(([n, o]) => `  ${label(n, o).padEnd(width)}  ${o.help}`).join("\n");
+}
+
+function mainHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map(c => c.length));
+  return [
+    "Usage: modbus <command> [options]",
+    "",
+    "Commands:",
+    ...Object.entries(COMMANDS).map(([name, c]) => `  ${name.padEnd(width)}  ${c.summary}`),
+    "",
+    "Options:",
+    formatOptions(GLOBAL_OPTIONS),
+    "",
+    "Exit codes:",
+    `  ${EXIT.OK}   success`,
+    `  ${EXIT.FAILED}   the command failed (site unreachable, request refused, …)`,
+    `  ${EXIT.CHECKS_FAILED}   it ran but found problems (read errors, critical rules, failed categories)`,
+    `  ${EXIT.USAGE}  bad command line`,
+    "",
+    'Run "modbus <command> --help" for the options of a command.',
+  ].join("\n");
+}
+
+function commandHelp(name) {
+  const command = COMMANDS[name];
+  return [
+    `Usage: modbus ${command.usage}`,
+    "",
+    command.summary,
+    "",
+    "Options:",
+    formatOptions({ ...command.options, ...GLOBAL_OPTIONS }),
+    "",
+    `Formats: ${command.formats.join(", ")} (default: ${command.formats[0]})`,
+  ].join("\n");
+}
+
+// ---------------- Main ----------------
+
+/** Runs one command line; resolves with the exit code instead of exiting */
+async function main(argv) {
+  // "read ttid" and "read position" are two-word commands
+  const name = [argv.slice(0, 2).join(" "), argv[0]].find(n => COMMANDS[n]);
+  if (!name) {
+    if (!argv.length || ["-h", "--help", "help"].includes(argv[0])) {
+      console.log(mainHelp());
+      return argv.length ? EXIT.OK : EXIT.USAGE;
+    }
+    console.error(`Unknown command: ${argv.slice(0, argv[0] === "read" ? 2 : 1).join(" ")}\n`);
+    console.error(mainHelp());
+    return EXIT.USAGE;
+  }
+
+  const command = COMMANDS[name];
+  try {
+    const { flags, positionals } = parseArgs(argv.slice(name.split(" ").length), { ...command.options, ...GLOBAL_OPTIONS });
+    if (flags.help) {
+      console.log(commandHelp(name));
+      return EXIT.OK;
+    }
+    if (flags.format && !command.formats.includes(flags.format)) {
+      throw usageError(`--format must be one of ${command.formats.join(", ")}`);
+    }
+    // Keep stdout clean for results: progress logs are dropped (--quiet) or moved to stderr
+    // when the output is meant for another program
+    if (flags.quiet) console.log = () => {};
+    else if (["json", "ndjson", "csv"].includes(flags.format)) console.log = (...args) => console.error(...args);
+    return await command.run(flags, positionals);
+  } catch (err) {
+    if (err.usage) {
+      console.error(`❌ ${err.message}\n`);
+      console.error(commandHelp(name));
+      return EXIT.USAGE;
+    }
+    console.error("❌", err.message || err);
+    if (argv.includes("--verbose") || argv.includes("-v")) console.error(err);
+    return EXIT.FAILED;
+  }
+}
+
+// --- Exports (library) ---
+module.exports = { main, parseArgs, COMMANDS, EXIT };
+
+// --- CLI glue ---
+if (require.main === module) {
+  // Load environment variables from .env in the current directory. The modules load it
+  // again on require; keep dotenv's banner out of stdout so results can be piped.
+  process.env.DOTENV_CONFIG_QUIET = process.env.DOTENV_CONFIG_QUIET || "true";
+  require("dotenv").config({ path: path.resolve(process.cwd(), ".env") });
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,289 @@
+// modbusCodec.js
+// Single home for the spec "Codec" handling shared by the readers, the simulator
+// and anything else that turns registers into values (or values into registers).
+
+// ---------------- Codec registry ----------------
+
+/** Decode status codes carried next to every decoded value */
+const DECODE_STATUS = {
+  OK: "ok",
+  UNKNOWN_CODEC: "unknown_codec",
+  INSUFFICIENT_DATA: "insufficient_data",
+  DECODE_ERROR: "decode_error",
+};
+
+/** Register word orders. ABCD is the Modbus default (big-endian words and bytes). */
+const WORD_ORDERS = ["abcd", "cdab", "badc", "dcba"];
+
+const CODEC_ALIASES = {
+  asciiz: "ascii", utf8: "ascii", text: "ascii", string: "ascii", ascii: "ascii",
+  float: "float32", floatbe: "float32", float32: "float32", f32: "float32",
+  double: "float64", float64: "float64", f64: "float64",
+  int: "int32", int32: "int32", i32: "int32", s32: "int32",
+  uint: "uint32", u32: "uint32", uint32: "uint32",
+  u64: "uint64", uint64: "uint64",
+  int64: "int64", i64: "int64", s64: "int64",
+  int16: "int16", i16: "int16", s16: "int16",
+  uint16: "uint16", u16: "uint16",
+  bool: "boolean", boolean: "boolean",
+  hex: "hex",
+};
+
+// Shorthand word-order suffixes, e.g. "Float32LE" or "U32SW"
+const ORDER_ALIASES = { le: "dcba", be: "abcd", sw: "cdab", ws: "cdab", bs: "badc" };
+
+const toSafeNumber = (big) => (
+  big <= BigInt(Number.MAX_SAFE_INTEGER) && big >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(big) : big
+);
+
+const toBigInt = (value) => {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "string" && /^-?\d+$/.test(value.trim())) return BigInt(value.trim());
+  return BigInt(Math.trunc(Number(value) || 0));
+};
+
+const codecs = new Map();
+
+/**
+ * Registers (or replaces) a codec.
+ * @param {string} name - canonical lower-case name, e.g. "float32"
+ * @param {{
+ *   registers?: number,            // fixed width in registers; omit for variable-width codecs
+ *   numeric?: boolean,             // Scale/Offset apply to the decoded value
+ *   decode: (buf: Buffer) => any,  // buf is already in big-endian order
+ *   encode: (value: any, buf: Buffer) => void
+ * }} definition
+ * @param {string[]} [aliases]
+ */
+function registerCodec(name, definition, aliases = []) {
+  const key = String(name).toLowerCase();
+  codecs.set(key, { name: key, numeric: false, ...definition });
+  CODEC_ALIASES[key] = key;
+  for (const alias of aliases) CODEC_ALIASES[String(alias).toLowerCase()] = key;
+}
+
+registerCodec("ascii", {
+  decode: (buf) => buf.toString("utf8").replace(/\0/g, ""),
+  encode: (value, buf) => { buf.write(String(value ?? ""), 0, buf.length, "utf8"); },
+});
+// hex drops leading zeros and booleans read 1/0, as they always have in the CSV reports
+registerCodec("hex", {
+  decode: (buf) => "0x" + (buf.toString("hex").replace(/^0+/, "") || "00").toUpperCase(),
+  encode: (value, buf) => {
+    const hex = String(value ?? "").replace(/^0x/i, "");
+    const bytes = Buffer.from(hex.length % 2 ? "0" + hex : hex, "hex");
+    bytes.copy(buf, Math.max(0, buf.length - bytes.length), Math.max(0, bytes.length - buf.length));
+  },
+});
+registerCodec("boolean", {
+  registers: 1,
+  decode: (buf) => (buf.readUInt16BE(0) !== 0 ? 1 : 0),
+  encode: (value, buf) => buf.writeUInt16BE(value && value !== "0" && value !== "false" ? 1 : 0, 0),
+});
+registerCodec("int16", {
+  registers: 1, numeric: true,
+  decode: (buf) => buf.readInt16BE(0),
+  encode: (value, buf) => buf.writeInt16BE((Number(value) << 16) >> 16, 0),
+});
+registerCodec("uint16", {
+  registers: 1, numeric: true,
+  decode: (buf) => buf.readUInt16BE(0),
+  encode: (value, buf) => buf.writeUInt16BE(Number(value) & 0xffff, 0),
+});
+registerCodec("int32", {
+  registers: 2, numeric: true,
+  decode: (buf) => buf.readInt32BE(0),
+  encode: (value, buf) => buf.writeInt32BE(Number(value) | 0, 0),
+});
+registerCodec("uint32", {
+  registers: 2, numeric: true,
+  decode: (buf) => buf.readUInt32BE(0),
+  encode: (value, buf) => buf.writeUInt32BE(Number(value) >>> 0, 0),
+});
+registerCodec("float32", {
+  registers: 2, numeric: true,
+  decode: (buf) => buf.readFloatBE(0),
+  encode: (value, buf) => buf.writeFloatBE(Number(value) || 0, 0),
+});
+registerCodec("int64", {
+  registers: 4, numeric: true,
+  decode: (buf) => toSafeNumber(buf.readBigInt64BE(0)),
+  encode: (value, buf) => buf.writeBigInt64BE(BigInt.asIntN(64, toBigInt(value)), 0),
+});
+registerCodec("uint64", {
+  registers: 4, numeric: true,
+  decode: (buf) => toSafeNumber(buf.readBigUInt64BE(0)),
+  encode: (value, buf) => buf.writeBigUInt64BE(BigInt.asUintN(64, toBigInt(value)), 0),
+});
+registerCodec("float64", {
+  registers: 4, numeric: true,
+  decode: (buf) => buf.readDoubleBE(0),
+  encode: (value, buf) => buf.writeDoubleBE(Number(value) || 0, 0),
+});
+
+/**
+ * Normalizes a spec codec string into `{ name, order }`.
+ * Accepts the legacy spellings ("Asciiz", "U64", "S16", ...) plus an optional
+ * word-order suffix: "Float32 CDAB", "u32_badc", "int64-dcba", "Float32LE".
+ */
+function parseCodec(codec) {
+  const key = String(codec || "").toLowerCase().replace(/\s+/g, "");
+  if (CODEC_ALIASES[key]) return { name: CODEC_ALIASES[key], order: "abcd" };
+
+  const match = key.match(/^(.*?)[-_:]?(abcd|cdab|badc|dcba|le|be|sw|ws|bs)$/);
+  if (match && CODEC_ALIASES[match[1]]) {
+    return { name: CODEC_ALIASES[match[1]], order: ORDER_ALIASES[match[2]] || match[2] };
+  }
+  return { name: key, order: "abcd" };
+}
+
+/** Canonical codec name, e.g. "U64" -> "uint64", "Float32 CDAB" -> "float32-cdab" */
+function normalizeCodec(codec) {
+  const { name, order } = parseCodec(codec);
+  return order === "abcd" ? name : `${name}-${order}`;
+}
+
+/** Codec definition for a spec codec string, or null if unknown */
+function getCodec(codec) {
+  return codecs.get(parseCodec(codec).name) || null;
+}
+
+// ---------------- Register <-> buffer helpers ----------------
+
+/** Unsigned 16-bit registers -> Buffer in wire order */
+function registersToBuffer(registers) {
+  const buf = Buffer.alloc(registers.length * 2);
+  registers.forEach((val, i) => buf.writeUInt16BE((val < 0 ? 0x10000 + val : val) & 0xffff, i * 2));
+  return buf;
+}
+
+/** Registers -> upper-case hex string (4 digits per register) */
+function registersToHex(registers) {
+  return registersToBuffer(registers).toString("hex").toUpperCase();
+}
+
+/**
+ * Registers as the readers' CombinedHex column: leading zeros dropped, then padded back to the
+ * codec's width for fixed-width codecs ("0001" for a uint16, "ABCDEF" for hex)
+ */
+function combinedHex(registers, codec) {
+  const hex = registersToHex(registers).replace(/^0+/, "") || "00";
+  const width = getCodec(codec)?.registers;
+  return width ? hex.padStart(width * 4, "0") : hex;
+}
+
+// Reorders a buffer between wire order and big-endian ABCD (the operation is its own inverse)
+function reorder(buf, order) {
+  const out = Buffer.from(buf);
+  if (order === "badc" || order === "dcba") {
+    for (let i = 0; i + 1 < out.length; i += 2) [out[i], out[i + 1]] = [out[i + 1], out[i]];
+  }
+  if (order === "cdab" || order === "dcba") {
+    const words = [];
+    for (let i = 0; i < out.length; i += 2) words.push(out.subarray(i, i + 2));
+    return Buffer.concat(words.reverse());
+  }
+  return out;
+}
+
+// ---------------- Decode / encode ----------------
+
+/**
+ * Decodes raw registers with a spec codec.
+ *
+ * @param {number[]} registers
+ * @param {string} codec - spec codec string
+ * @param {{scale?:number, offset?:number}} [options]
+ * @returns {{value:any, status:string, error?:string, codec:string}}
+ *   value is a number (booleans 1/0), bigint (64-bit beyond 2^53) or string; null unless status is "ok"
+ */
+function decodeRegisters(registers, codec, { scale, offset } = {}) {
+  const { name, order } = parseCodec(codec);
+  const definition = codecs.get(name);
+  const normalized = normalizeCodec(codec);
+
+  if (!definition) {
+    return { value: null, status: DECODE_STATUS.UNKNOWN_CODEC, error: `Unknown codec "${codec}"`, codec: normalized };
+  }
+
+  const width = definition.registers || registers.length;
+  if (registers.length < width) {
+    return {
+      value: null,
+      status: DECODE_STATUS.INSUFFICIENT_DATA,
+      error: `Not enough registers for ${name} (need ${width}, got ${registers.length})`,
+      codec: normalized,
+    };
+  }
+
+  try {
+    let value = definition.decode(reorder(registersToBuffer(registers.slice(0, width)), order));
+    if (definition.numeric && (scale !== undefined || offset !== undefined)) {
+      value = Number(value) * (scale ?? 1) + (offset ?? 0);
+    }
+    return { value, status: DECODE_STATUS.OK, codec: normalized };
+  } catch (err) {
+    return { value: null, status: DECODE_STATUS.DECODE_ERROR, error: `Decode error: ${err.message}`, codec: normalized };
+  }
+}
+
+/** decodeRegisters() using a spec entry's Codec, Scale and Offset */
+function decodeField(registers, field) {
+  return decodeRegisters(registers, field.Codec, {
+    scale: field.Scale !== undefined ? Number(field.Scale) : undefined,
+    offset: field.Offset !== undefined ? Number(field.Offset) : undefined,
+  });
+}
+
+/**
+ * Encodes a value into `size` registers; the inverse of decodeRegisters.
+ * Scale/Offset are undone before encoding. Throws on unknown codecs.
+ *
+ * @returns {number[]} unsigned 16-bit registers in wire order
+ */
+function encodeValue(value, codec, size, { scale, offset } = {}) {
+  const { name, order } = parseCodec(codec);
+  const definition = codecs.get(name);
+  if (!definition) throw new Error(`Unknown codec "${codec}"`);
+
+  const width = definition.registers || size;
+  if (width > size) throw new Error(`${name} needs ${width} registers, field has ${size}`);
+
+  let raw = value;
+  if (definition.numeric && (scale !== undefined || offset !== undefined)) {
+    raw = (Number(value) - (offset ?? 0)) / (scale ?? 1);
+    if (!/float/.test(name)) raw = Math.round(raw);
+  }
+
+  const buf = Buffer.alloc(size * 2);
+  const valueBuf = Buffer.alloc(width * 2);
+  definition.encode(raw, valueBuf);
+  reorder(valueBuf, order).copy(buf, 0);
+
+  const registers = [];
+  for (let i = 0; i < size; i++) registers.push(buf.readUInt16BE(i * 2));
+  return registers;
+}
+
+/** encodeValue() using a spec entry's Codec, Size, Scale and Offset */
+function encodeField(value, field) {
+  return encodeValue(value, field.Codec, Number(field.Size), {
+    scale: field.Scale !== undefined ? Number(field.Scale) : undefined,
+    offset: field.Offset !== undefined ? Number(field.Offset) : undefined,
+  });
+}
+
+module.exports = {
+  CODEC_ALIASES,
+  DECODE_STATUS,
+  WORD_ORDERS,
+  registerCodec,
+  normalizeCodec,
+  getCodec,
+  registersToHex,
+  combinedHex,
+  decodeRegisters,
+  decodeField,
+  encodeValue,
+  encodeField,
+};
@@ -0,0 +1,279 @@
+// modbusDashboard.js
+// Site dashboard next to the master index: charts of the row boxes' values from the run
+// (angles, battery, RSSI, solar vs charger current), drawn as inline SVG so the page works
+// offline. Every point links to the device's section in its report.
+
+const fs = require("fs");
+const path = require("path");
+const { deviceName, rowError } = require("./modbusSnapshot");
+const { pageHtml, deviceAnchor } = require("./modbusReporters");
+
+// Where the row boxes are taken from, in order of preference (one source, so devices aren't counted twice)
+const ROW_BOX_SOURCES = [
+  { mode: "ttid", type: "row" },
+  { mode: "legacy-sorted", type: "legacy-tracker" },
+  { mode: "legacy-unsorted", type: "assets" },
+];
+const ROW_BOX_TYPE = /tracker/i;
+
+const FIELDS = ["Current Angle", "Requested Angle", "Battery Voltage", "Battery Health", "RSSI", "Solar Current", "Charger Current"];
+
+// Current Angle this far from Requested Angle is drawn as off target
+const ANGLE_TOLERANCE_DEG = 2;
+
+// Battery Health (%) bands used to colour the battery chart
+const HEALTH_BANDS = [
+  { below: 50, color: "#e11d48", label: "Health &lt; 50%" },
+  { below: 80, color: "#f59e0b", label: "Health 50–79%" },
+  { below: Infinity, color: "#16a34a", label: "Health ≥ 80%" },
+];
+const NO_HEALTH = { color: "#94a3b8", label: "Health not read" };
+
+// ---------------- Data ----------------
+
+/**
+ * Row boxes of the run with their numeric values, from the first source in ROW_BOX_SOURCES
+ * that has any. `href` is relative to `dir` (the dashboard's folder).
+ * @returns {{source:{category:string, deviceType:string}|null, devices:{key:string, href:string, values:object}[]}}
+ */
+function collectRowBoxes(categories, dir) {
+  for (const { mode, type } of ROW_BOX_SOURCES) {
+    const category = categories.find(c => c.mode === mode);
+    const report = category?.reports.find(r => r.type === type);
+    if (!report) continue;
+
+    const devices = new Map();
+    for (const row of report.rows || []) {
+      const key = deviceName(row);
+      if (!key || !row.ID) continue;
+      if (!devices.has(key)) devices.set(key, { key, deviceType: "", values: {} });
+      const device = devices.get(key);
+      const id = String(row.ID).trim();
+      if (rowError(row)) continue;
+      if (id === "Device Type") device.deviceType = String(row.DecodedValue ?? "").trim();
+      const value = Number(row.DecodedValue);
+      if (FIELDS.includes(id) && row.DecodedValue !== "" && Number.isFinite(value)) device.values[id] = value;
+    }
+
+    const rowBoxes = [...devices.values()].filter(d => ROW_BOX_TYPE.test(d.deviceType));
+    if (!rowBoxes.length) continue;
+
+    const page = report.htmlPath ? path.relative(dir, report.htmlPath).replace(/\\/g, "/") : "";
+    return {
+      source: { category: category.category, deviceType: report.deviceType },
+      devices: rowBoxes.map(d => ({ ...d, href: page ? `${page}#${deviceAnchor(d.key)}` : "" })),
+    };
+  }
+  return { source: null, devices: [] };
+}
+
+// ---------------- SVG helpers ----------------
+
+const W = 960;
+const H = 320;
+const M = { top: 16, right: 20, bottom: 44, left: 56 };
+
+const scale = (d0, d1, r0, r1) => (v) => d1 === d0 ? (r0 + r1) / 2 : r0 + (v - d0) * (r1 - r0) / (d1 - d0);
+const fmt = (v) => Number.isInteger(v) ? String(v) : String(Number(v.toFixed(2)));
+const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;");
+
+/** Round tick values covering [min, max], about `count` of them */
+function niceTicks(min, max, count = 5) {
+  if (min === max) { min -= 1; max += 1; }
+  const raw = (max - min) / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * mag).find(s => s >= raw);
+  const ticks = [];
+  for (let t = Math.floor(min / step) * step; t <= max + step * 1e-9; t += step) ticks.push(Number(t.toFixed(10)));
+  if (ticks[ticks.length - 1] < max) ticks.push(Number((ticks[ticks.length - 1] + step).toFixed(10)));
+  return { ticks, step };
+}
+
+function yAxis(ticks, y, label) {
+  return ticks.map(t => `<line x1="${M.left}" x2="${W - M.right}" y1="${y(t)}" y2="${y(t)}" class="grid"/><text x="${M.left - 8}" y="${y(t) + 4}" class="tick" text-anchor="end">${fmt(t)}</text>`).join("")
+    + `<text x="14" y="${(M.top + H - M.bottom) / 2}" class="axis-label" transform="rotate(-90 14 ${(M.top + H - M.bottom) / 2})" text-anchor="middle">${label}</text>`;
+}
+
+/** `ticks`: [{ at, label }] with `at` already in chart coordinates */
+function xAxis(ticks, label) {
+  return ticks.map(t => `<text x="${t.at}" y="${H - M.bottom + 18}" class="tick" text-anchor="middle">${esc(t.label)}</text>`).join("")
+    + `<line x1="${M.left}" x2="${W - M.right}" y1="${H - M.bottom}" y2="${H - M.bottom}" class="axis"/>`
+    + `<text x="${(M.left + W - M.right) / 2}" y="${H - 6}" class="axis-label" text-anchor="middle">${label}</text>`;
+}
+
+const svg = (body) => `<svg viewBox="0 0 ${W} ${H}" class="chart" role="img">${body}</svg>`;
+const link = (device, title, body) => `<a href="${esc(device.href)}"><title>${esc(title)}</title>${body}</a>`;
+const empty = (what) => `<div class="chart-empty"><i class="bi bi-dash-circle"></i> No ${what} read</div>`;
+
+// ---------------- Charts ----------------
+
+/** Current (dot) and Requested (tick) Angle per device, joined by a line that turns red when off target */
+function angleChart(devices) {
+  const points = devices.filter(d => d.values["Current Angle"] !== undefined && d.values["Requested Angle"] !== undefined);
+  if (!points.length) return empty("angles");
+
+  const values = points.flatMap(d => [d.values["Current Angle"], d.values["Requested Angle"]]);
+  const { ticks } = niceTicks(Math.min(0, ...values), Math.max(0, ...values));
+  const y = scale(ticks[0], ticks[ticks.length - 1], H - M.bottom, M.top);
+  const x = scale(-0.5, points.length - 0.5, M.left, W - M.right);
+  const labelEvery = Math.ceil(points.length / 10);
+
+  const marks = points.map((d, i) => {
+    const current = d.values["Current Angle"];
+    const requested = d.values["Requested Angle"];
+    const off = Math.abs(current - requested) > ANGLE_TOLERANCE_DEG;
+    return link(d, `${d.key}: current ${fmt(current)}°, requested ${fmt(requested)}°`,
+      `<line x1="${x(i)}" x2="${x(i)}" y1="${y(current)}" y2="${y(requested)}" class="${off ? "gap-off" : "gap"}"/>`
+      + `<line x1="${x(i) - 4}" x2="${x(i) + 4}" y1="${y(requested)}" y2="${y(requested)}" class="requested"/>`
+      + `<circle cx="${x(i)}" cy="${y(current)}" r="3.5" class="${off ? "point-off" : "point"}"/>`);
+  }).join("");
+
+  const xTicks = points.map((d, i) => ({ at: x(i), label: d.key.replace(/^\D+/, "") })).filter((_, i) => i % labelEvery === 0);
+  return svg(yAxis(ticks, y, "Angle (°)") + xAxis(xTicks, points[0].key.replace(/\s.*$/, "")) + marks)
+    + `<div class="legend"><span><i class="dot"></i> Current</span><span><i class="tick-mark"></i> Requested</span><span><i class="dot off"></i> Off by more than ${ANGLE_TOLERANCE_DEG}°</span></div>`;
+}
+
+/**
+ * Histogram whose bars are stacks of one segment per device, so each device stays clickable.
+ * `colorOf(device)` colours the segments.
+ */
+function unitHistogram(devices, field, { unit, binWidth, colorOf = () => "#16a34a", legend = "" }) {
+  const points = devices.filter(d => d.values[field] !== undefined).sort((a, b) => a.values[field] - b.values[field]);
+  if (!points.length) return empty(field);
+
+  const values = points.map(d => d.values[field]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const step = binWidth || niceTicks(min, max, 12).step;
+  const first = Math.floor(min / step) * step;
+  const binCount = Math.max(1, Math.floor((max - first) / step) + 1);
+  const bins = Array.from({ length: binCount }, () => []);
+  for (const d of points) bins[Math.min(binCount - 1, Math.floor((d.values[field] - first) / step))].push(d);
+
+  const { ticks } = niceTicks(0, Math.max(...bins.map(b => b.length)), 5);
+  const y = scale(0, ticks[ticks.length - 1], H - M.bottom, M.top);
+  const x = scale(first, first + binCount * step, M.left, W - M.right);
+  const barWidth = Math.max(1, x(first + step) - x(first) - 2);
+  const unitHeight = y(0) - y(1);
+
+  const bars = bins.map((bin, b) => bin.map((d, k) => link(d, `${d.key}: ${fmt(d.values[field])}${unit}`,
+    `<rect x="${x(first + b * step) + 1}" y="${y(k + 1)}" width="${barWidth}" height="${Math.max(0.5, unitHeight - (unitHeight > 3 ? 1 : 0))}" fill="${colorOf(d)}"/>`)).join("")).join("");
+
+  const edgeEvery = Math.ceil((binCount + 1) / 12);
+  const edges = Array.from({ length: binCount + 1 }, (_, i) => first + i * step).filter((_, i) => i % edgeEvery === 0);
+  const median = values[Math.floor(values.length / 2)];
+  return svg(yAxis(ticks.filter(Number.isInteger), y, "Devices") + xAxis(edges.map(e => ({ at: x(e), label: fmt(e) })), `${field}${unit ? ` (${unit.trim()})` : ""}`) + bars)
+    + `<div class="legend"><span>Min ${fmt(min)}${unit}</span><span>Median ${fmt(median)}${unit}</span><span>Max ${fmt(max)}${unit}</span>${legend}</div>`;
+}
+
+/** Solar Current against Charger Current, one point per device, with the y = x line for reference */
+function currentChart(devices) {
+  const points = devices.filter(d => d.values["Solar Current"] !== undefined && d.values["Charger Current"] !== undefined);
+  if (!points.length) return empty("solar/charger currents");
+
+  const values = points.flatMap(d => [d.values["Solar Current"], d.values["Charger Current"]]);
+  const { ticks } = niceTicks(Math.min(0, ...values), Math.max(...values));
+  const lo = ticks[0];
+  const hi = ticks[ticks.length - 1];
+  const x = scale(lo, hi, M.left, W - M.right);
+  const y = scale(lo, hi, H - M.bottom, M.top);
+
+  const marks = points.map(d => link(d, `${d.key}: solar ${fmt(d.values["Solar Current"])} A, charger ${fmt(d.values["Charger Current"])} A`,
+    `<circle cx="${x(d.values["Solar Current"])}" cy="${y(d.values["Charger Current"])}" r="4.5" class="point"/>`)).join("");
+
+  return svg(yAxis(ticks, y, "Charger Current (A)") + xAxis(ticks.map(t => ({ at: x(t), label: fmt(t) })), "Solar Current (A)")
+    + `<line x1="${x(lo)}" y1="${y(lo)}" x2="${x(hi)}" y2="${y(hi)}" class="reference"/>` + marks)
+    + `<div class="legend"><span><i class="dot"></i> Row box</span><span><i class="line-mark"></i> Charger = Solar</span></div>`;
+}
+
+// ---------------- Page ----------------
+
+const DASHBOARD_CSS = `
+    .subtitle { color: #64748b; margin: -1.2em 0 2em 0; }
+    .stats-bar { display: flex; gap: 1em; flex-wrap: wrap; margin-bottom: 2em; }
+    .stat-item { flex: 1; min-width: 140px; background: #f9fafb; border: 2px solid #e7fbe9; border-radius: 12px; padding: 1em; text-align: center; }
+    .stat-number { font-size: 1.8em; font-weight: 700; color: #16a34a; }
+    .stat-number.warn { color: #be123c; }
+    .stat-label { color: #64748b; font-size: 0.9em; }
+    .chart-card { background: #f9fafb; border: 2px solid #e7fbe9; border-radius: 12px; padding: 1.2em 1.5em; margin-bottom: 1.5em; }
+    .chart-title { font-size: 1.2em; font-weight: 700; color: #166534; margin-bottom: 0.3em; }
+    .chart-note { color: #64748b; font-size: 0.9em; margin-bottom: 0.8em; }
+    .chart { width: 100%; height: auto; display: block; }
+    .chart .grid { stroke: #e2e8f0; }
+    .chart .axis { stroke: #94a3b8; }
+    .chart .tick { font-size: 11px; fill: #64748b; }
+    .chart .axis-label { font-size: 12px; fill: #166534; font-weight: 600; }
+    .chart .point { fill: #16a34a; }
+    .chart .point-off { fill: #e11d48; }
+    .chart .gap { stroke: #cbd5e1; stroke-width: 1.5; }
+    .chart .gap-off { stroke: #fda4af; stroke-width: 2; }
+    .chart .requested { stroke: #475569; stroke-width: 2; }
+    .chart .reference { stroke: #94a3b8; stroke-dasharray: 5 4; }
+    .chart a:hover circle, .chart a:hover rect { stroke: #22223b; stroke-width: 1.5; }
+    .legend { display: flex; flex-wrap: wrap; gap: 1.2em; color: #475569; font-size: 0.9em; margin-top: 0.5em; }
+    .legend i { display: inline-block; width: 0.8em; height: 0.8em; vertical-align: -0.05em; margin-right: 0.3em; }
+    .legend .dot { border-radius: 50%; background: #16a34a; }
+    .legend .dot.off { background: #e11d48; }
+    .legend .tick-mark { height: 2px; background: #475569; vertical-align: 0.25em; }
+    .legend .line-mark { height: 0; border-top: 2px dashed #94a3b8; vertical-align: 0.25em; }
+    .legend .swatch { border-radius: 2px; }
+    .chart-empty { color: #64748b; font-style: italic; padding: 1em 0; }`;
+
+function dashboardHtml(site, { source, devices }) {
+  const count = (field) => devices.filter(d => d.values[field] !== undefined).length;
+  const median = (field) => {
+    const values = devices.map(d => d.values[field]).filter(v => v !== undefined).sort((a, b) => a - b);
+    return values.length ? fmt(values[Math.floor(values.length / 2)]) : "–";
+  };
+  const offTarget = devices.filter(d => d.values["Current Angle"] !== undefined && d.values["Requested Angle"] !== undefined
+    && Math.abs(d.values["Current Angle"] - d.values["Requested Angle"]) > ANGLE_TOLERANCE_DEG).length;
+
+  const healthBand = (d) => d.values["Battery Health"] === undefined ? NO_HEALTH : HEALTH_BANDS.find(b => d.values["Battery Health"] < b.below);
+  const healthLegend = [...HEALTH_BANDS, NO_HEALTH].map(b => `<span><i class="swatch" style="background:${b.color}"></i>${b.label}</span>`).join("");
+
+  const card = (title, note, chart) => `
+    <div class="chart-card">
+      <div class="chart-title">${title}</div>
+      <div class="chart-note">${note}</div>
+      ${chart}
+    </div>`;
+
+  return pageHtml({
+    site,
+    title: "Site Dashboard",
+    headTitle: `Site Dashboard - ${site}`,
+    homeHref: `${site}_master_index.html`,
+    css: DASHBOARD_CSS,
+    body: `    <div class="subtitle">Site: ${site} | ${source ? `Row boxes from ${source.category} · ${source.deviceType}` : "No row boxes read"} | Generated: ${new Date().toLocaleString()}</div>
+    <div class="stats-bar">
+      <div class="stat-item"><div class="stat-number">${devices.length}</div><div class="stat-label">Row Boxes</div></div>
+      <div class="stat-item"><div class="stat-number${offTarget ? " warn" : ""}">${offTarget}</div><div class="stat-label">Off Target (&gt; ${ANGLE_TOLERANCE_DEG}°)</div></div>
+      <div class="stat-item"><div class="stat-number">${median("Battery Voltage")}</div><div class="stat-label">Median Battery V</div></div>
+      <div class="stat-item"><div class="stat-number">${median("RSSI")}</div><div class="stat-label">Median RSSI</div></div>
+    </div>
+    ${card("Current vs Requested Angle", `${count("Current Angle")} row boxes in report order. Click a point to open the device.`, angleChart(devices))}
+    ${card("Battery Voltage", "Each bar is a stack of row boxes, coloured by Battery Health.", unitHistogram(devices, "Battery Voltage", { unit: " V", colorOf: d => healthBand(d).color, legend: healthLegend }))}
+    ${card("RSSI", "Signal strength, 5 dBm per bar.", unitHistogram(devices, "RSSI", { unit: " dBm", binWidth: 5 }))}
+    ${card("Solar vs Charger Current", "Points below the dashed line charge with less than the panel delivers.", currentChart(devices))}`,
+  });
+}
+
+/**
+ * Writes `<dir>/<site>_dashboard.html` from generateAllReports categories (reports with rows and htmlPath).
+ * @returns {{htmlPath:string, source:object|null, devices:number}}
+ */
+function writeDashboard(site, categories, dir) {
+  const data = collectRowBoxes(categories, dir);
+  const htmlPath = path.join(dir, `${site}_dashboard.html`);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(htmlPath, dashboardHtml(site, data));
+  return { htmlPath, source: data.source, devices: data.devices.length };
+}
+
+module.exports = {
+  writeDashboard,
+  collectRowBoxes,
+  dashboardHtml,
+  niceTicks,
+  ANGLE_TOLERANCE_DEG,
+};
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+// modbusDiff.js
+// Compares two run snapshots (see modbusSnapshot.js) and writes CSV + HTML showing
+// added/removed devices, changed static fields and out-of-tolerance telemetry deltas.
+
+const fs = require("fs");
+const path = require("path");
+const { Parser } = require("json2csv");
+const { loadSnapshot, listSnapshots, DEFAULT_SNAPSHOT_DIR } = require("./modbusSnapshot");
+const { FAVICON_LINK, ICONS_STYLE } = require("./modbusHtmlAssets");
+
+const jsonDir = (process?.resourcesPath && fs.existsSync(path.join(process.resourcesPath, "json")))
+  ? path.join(process.resourcesPath, "json")
+  : path.join(__dirname, "json");
+
+const DEFAULT_TOLERANCES_PATH = path.join(jsonDir, "diff_tolerances.json");
+const DEFAULT_DIFF_DIR = path.resolve(__dirname, "modbus_csv_outputs", "diff");
+
+const CHANGE_TYPES = ["added", "removed", "changed", "delta"];
+
+// ---------------- Tolerances ----------------
+
+/**
+ * Tolerances: { default, ignore: [field IDs], fields: { "<field ID>": 0.5 | "5%" } }
+ * A number is an absolute tolerance, "N%" is relative to the earlier value.
+ */
+function loadTolerances(file = DEFAULT_TOLERANCES_PATH) {
+  const base = { default: 0, ignore: [], fields: {} };
+  if (!file || !fs.existsSync(file)) return base;
+  return { ...base, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+}
+
+function withinTolerance(before, after, tolerance) {
+  const delta = Math.abs(after - before);
+  const rule = String(tolerance ?? 0).trim();
+  if (rule.endsWith("%")) return delta <= Math.abs(before) * Number(rule.slice(0, -1)) / 100;
+  return delta <= Number(rule);
+}
+
+// ---------------- Diff ----------------
+
+const show = (device, field) => {
+  if (field in device.errors) return `Error: ${device.errors[field]}`;
+  if (field in device.values) return device.values[field];
+  return "";
+};
+
+/**
+ * Field-by-field comparison of one device in two snapshots (or two layouts).
+ * Ignored fields are skipped; numbers only count when they move by more than
+ * their tolerance; everything else (text, hex, booleans, read errors) must match.
+ *
+ * @returns {{Change:"changed"|"delta", Field:string, Before:any, After:any, Delta:any, Tolerance:any}[]}
+ */
+function compareDevices(a, b, tolerances = loadTolerances()) {
+  const changes = [];
+  const ignore = new Set(tolerances.ignore || []);
+  const fields = [...new Set([
+    ...Object.keys(a.values), ...Object.keys(a.errors),
+    ...Object.keys(b.values), ...Object.keys(b.errors),
+  ])];
+
+  for (const field of fields) {
+    if (ignore.has(field)) continue;
+    const va = a.values[field];
+    const vb = b.values[field];
+
+    if (typeof va === "number" && typeof vb === "number") {
+      const tolerance = tolerances.fields?.[field] ?? tolerances.default ?? 0;
+      if (!withinTolerance(va, vb, tolerance)) {
+        changes.push({ Change: "delta", Field: field, Before: va, After: vb, Delta: +(vb - va).toPrecision(6), Tolerance: tolerance });
+      }
+      continue;
+    }
+
+    const sa = show(a, field);
+    const sb = show(b, field);
+    if (String(sa) !== String(sb)) {
+      changes.push({ Change: "changed", Field: field, Before: sa, After: sb, Delta: "", Tolerance: "" });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Diffs two snapshots.
+ * @returns {{before:object, after:object, rows:object[], summary:Record<string, number>}}
+ *   rows: { Change, Mode, Type, Device, Field, Before, After, Delta, Tolerance }
+ */
+function diffSnapshots(before, after, tolerances = loadTolerances()) {
+  const rows = [];
+  const keys = [...new Set([...Object.keys(before.devices), ...Object.keys(after.devices)])].sort();
+
+  for (const key of keys) {
+    const a = before.devices[key];
+    const b = after.devices[key];
+    const ref = b || a;
+    const base = { Mode: ref.mode, Type: ref.type, Device: ref.device };
+    const label = (d) => d?.values["Device Type"] || d?.values["System ID"] || "";
+
+    if (!a?.present && !b?.present) continue;
+    if (!a?.present) {
+      rows.push({ Change: "added", ...base, Field: "", Before: "", After: label(b), Delta: "", Tolerance: "" });
+      continue;
+    }
+    if (!b?.present) {
+      rows.push({ Change: "removed", ...base, Field: "", Before: label(a), After: "", Delta: "", Tolerance: "" });
+      continue;
+    }
+
+    for (const change of compareDevices(a, b, tolerances)) {
+      const { Change, ...rest } = change;
+      rows.push({ Change, ...base, ...rest });
+    }
+  }
+
+  const summary = Object.fromEntries(CHANGE_TYPES.map(t => [t, rows.filter(r => r.Change === t).length]));
+  return { before, after, rows, summary };
+}
+
+// ---------------- Output ----------------
+
+/**
+ * Writes <site>_diff.csv and <site>_diff.html.
+ * @returns {{csvPath:string, htmlPath:string}}
+ */
+function writeDiffReport(diff, outputDir = DEFAULT_DIFF_DIR) {
+  const site = diff.after.site;
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const csvPath = path.join(outputDir, `${site}_diff.csv`);
+  const parser = new Parser({ fields: ["Change", "Mode", "Type", "Device", "Field", "Before", "After", "Delta", "Tolerance"] });
+  fs.writeFileSync(csvPath, parser.parse(diff.rows));
+
+  const htmlPath = csvPath.replace(/\.csv$/i, ".html");
+  fs.writeFileSync(htmlPath, generateDiffHtml(diff));
+  return { csvPath, htmlPath };
+}
+
+function generateDiffHtml({ before, after, rows, summary }) {
+  const stamp = (s) => new Date(s.takenAt).toLocaleString();
+  const sections = [
+    { type: "added", title: "Added Devices", icon: "bi-plus-circle" },
+    { type: "removed", title: "Removed Devices", icon: "bi-dash-circle" },
+    { type: "changed", title: "Changed Fields", icon: "bi-pencil-square" },
+    { type: "delta", title: "Telemetry Deltas", icon: "bi-graph-up-arrow" },
+  ];
+
+  const table = (list) => `<table><thead><tr><th>Mode</th><th>Type</th><th>Device</th><th>Field</th><th>Before</th><th>After</th><th>Delta</th></tr></thead><tbody>${
+    list.map(r => `<tr class="${r.Change}"><td>${r.Mode}</td><td>${r.Type}</td><td>${r.Device}</td><td>${r.Field}</td><td class="value-cell">${r.Before}</td><td class="value-cell">${r.After}</td><td>${r.Delta !== "" ? `${r.Delta > 0 ? "+" : ""}${r.Delta}` : ""}</td></tr>`).join("")
+  }</tbody></table>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Modbus Run Diff - ${after.site}</title>
+  ${FAVICON_LINK}
+  <style>
+    body { background: linear-gradient(120deg, #f8fafc 0%, #e0e7ef 100%); margin: 0; padding: 0; min-height: 100vh; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+    .container { max-width: 1100px; margin: 2.5em auto; background: #fff; border-radius: 18px; box-shadow: 0 6px 32px #b0b8c940, 0 1.5px 4px #b0b8c930; padding: 2.5em 2em 2em 2em; }
+    .header { display: flex; align-items: center; gap: 1em; margin-bottom: 1em; }
+    .header-icon { font-size: 2.5em; color: #16a34a; }
+    h1 { font-size: 2.2em; font-weight: 700; color: #22223b; margin: 0; letter-spacing: 1px; }
+    h2 { font-size: 1.3em; color: #166534; margin: 1.8em 0 0.6em; display: flex; align-items: center; gap: 0.4em; }
+    .subtitle { color: #64748b; margin-bottom: 1.5em; }
+    .stats-bar { display: flex; justify-content: space-between; background: #f1f5f9; padding: 1em 1.5em; border-radius: 10px; margin-bottom: 1em; }
+    .stat-item { text-align: center; }
+    .stat-number { font-size: 1.5em; font-weight: 700; color: #16a34a; }
+    .stat-label { font-size: 0.9em; color: #64748b; margin-top: 0.2em; }
+    table { border-collapse: separate; border-spacing: 0; width: 100%; background: #f9fafb; border-radius: 12px; overflow: hidden; box-shadow: 0 1px 4px #b0b8c920; }
+    th, td { padding: 0.55em 0.6em; text-align: left; vertical-align: top; }
+    th { background: #e7fbe9; color: #166534; font-weight: 600; border-bottom: 1px solid #bbf7d0; }
+    td { color: #3a3a40; border-bottom: 1px solid #f1f5f9; }
+    td.value-cell { word-break: break-word; font-family: 'Fira Mono', 'Consolas', 'Menlo', monospace; font-size: 0.92em; }
+    tr.added td { background: #f0fdf4; }
+    tr.removed td { background: #ffeaea; color: #b00; }
+    tr.changed td { background: #fffbeb; }
+    .empty { color: #64748b; font-style: italic; }
+  </style>
+  ${ICONS_STYLE}
+</head>
+<body>
+  <div class="container">
+    <div class="header"><span class="header-icon"><i class="bi bi-arrow-left-right"></i></span><h1>Modbus Run Diff</h1></div>
+    <div class="subtitle">Site: ${after.site}${before.site !== after.site ? ` (compared with ${before.site})` : ""} | Before: ${stamp(before)} | After: ${stamp(after)}</div>
+    <div class="stats-bar">
+      ${sections.map(s => `<div class="stat-item"><div class="stat-number">${summary[s.type]}</div><div class="stat-label">${s.title}</div></div>`).join("")}
+    </div>
+    ${sections.map(s => {
+      const list = rows.filter(r => r.Change === s.type);
+      return `<h2><i class="bi ${s.icon}"></i> ${s.title}</h2>${list.length ? table(list) : `<div class="empty">None</div>`}`;
+    }).join("\n    ")}
+  </div>
+</body>
+</html>`;
+}
+
+// --- Exports (library) ---
+module.exports = { diffSnapshots, compareDevices, writeDiffReport, loadTolerances };
+
+// --- CLI glue ---
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = process.argv.slice(2);
+      const getFlag = (name, fallback) => {
+        const i = args.findIndex(a => a === `--${name}`);
+        return (i !== -1 && i + 1 < args.length) ? args[i + 1] : fallback;
+      };
+      const flagsWithValues = ["site", "dir", "tolerances", "tolerance", "out"];
+      const positional = args.filter((a, i) => !a.startsWith("--") && !flagsWithValues.includes(String(args[i - 1]).replace(/^--/, "")));
+
+      let [beforePath, afterPath] = positional;
+      const site = getFlag("site");
+      if (!afterPath && site) {
+        const snapshots = listSnapshots(site, getFlag("dir", process.env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR));
+        [beforePath, afterPath] = snapshots.slice(-2);
+      }
+
+      if (!beforePath || !afterPath) {
+        console.error("Usage: node modbusDiff.js <before.json> <after.json> | --site <site> [--dir modbus_snapshots]");
+        console.error("       [--tolerances json/diff_tolerances.json] [--tolerance 0.01] [--out modbus_csv_outputs/diff]");
+        process.exit(1);
+      }
+
+      const tolerances = loadTolerances(getFlag("tolerances", DEFAULT_TOLERANCES_PATH));
+      if (getFlag("tolerance") !== undefined) tolerances.default = getFlag("tolerance");
+
+      const diff = diffSnapshots(loadSnapshot(beforePath), loadSnapshot(afterPath), tolerances);
+      const { csvPath, htmlPath } = writeDiffReport(diff, getFlag("out", DEFAULT_DIFF_DIR));
+
+      console.log(`🔍 ${path.basename(beforePath)} → ${path.basename(afterPath)}`);
+      for (const type of CHANGE_TYPES) console.log(`   • ${type}: ${diff.summary[type]}`);
+      console.log(`✅ Diff CSV:  ${csvPath}`);
+      console.log(`✅ Diff HTML: ${htmlPath}`);
+    } catch (err) {
+      console.error("❌", err.message || err);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+// modbusDiscovery.js
+// Device discovery: probes the Device Type register of every slot the current Modbus mode
+// can hold and saves the populated ones as an inventory, which the readers use instead of
+// hand-maintained TTID/Position CSVs.
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const fs = require("fs");
+const path = require("path");
+const { createModbusPool, mapConcurrent } = require("./modbusScheduler");
+const { decodeField } = require("./modbusCodec");
+const { loadSpec } = require("./modbusSpecLint");
+const { computeUnitId, computeStartingAddressForType } = require("./csvModbusTTID");
+const { MODE_MAP } = require("./modbus-set-mode-api");
+
+// ---------------- Specs & layout ----------------
+
+const jsonDir = (process?.resourcesPath && fs.existsSync(path.join(process.resourcesPath, "json")))
+  ? path.join(process.resourcesPath, "json")
+  : path.join(__dirname, "json");
+
+const specField = (file, id) => {
+  const spec = loadSpec(path.join(jsonDir, file));
+  const field = spec.find(e => e.ID?.trim() === id);
+  if (!field) throw new Error(`"${id}" is not in ${file}`);
+  return field;
+};
+
+const INVENTORY_VERSION = 1;
+const DEFAULT_INVENTORY_DIR = path.resolve(__dirname, "modbus_inventory");
+
+const PAGE_SIZE = 512;
+// A page has to fit below register 65536, so a unit holds at most 128 pages
+const MAX_SLOTS = 65536 / PAGE_SIZE;
+const ROW_UNIT_SLOTS = 100;
+const DEFAULT_MAX_ROW_UNITS = 10;
+
+const NC_UNIT = { ttid: 100, legacy: 0 };
+// Legacy-sorted groups, as read by csvSortedBatchRead (repeaters on unit 2 aren't read there)
+const LEGACY_SORTED_GROUPS = [
+  { group: "legacy-tracker", unitId: 1 },
+  { group: "legacy-repeater", unitId: 2 },
+  { group: "legacy-weather", unitId: 3 },
+];
+
+// ---------------- Discovery ----------------
+
+/** Decoded Device Type of each slot, "" for empty slots and slots that don't answer */
+async function readDeviceTypes(pool, slots, deviceType) {
+  return mapConcurrent(slots, pool.concurrency, async ({ unitId, address }) => {
+    try {
+      const { data } = await pool.run(unitId, conn => conn.readHoldingRegisters(address + Number(deviceType.BaseReg), Number(deviceType.Size)));
+      return String(decodeField(data, deviceType).value ?? "").trim();
+    } catch {
+      return "";
+    }
+  });
+}
+
+/**
+ * Scans the layout of the mode the NC is in now and lists the populated slots.
+ *  - ttid: weather (unit 101) and repeater (unit 102) TTIDs 1..128, then row units 1..maxUnits
+ *    (100 TTIDs each) until the NC's "Total Assets" have been found
+ *  - legacy-unsorted: positions 0..127 on unit 1
+ *  - legacy-sorted: positions on units 1 (trackers), 2 (repeaters) and 3 (weather), which are
+ *    packed from position 0, so each unit stops at its first empty slot
+ *
+ * @param {{site:string, port?:number, mode:string, maxUnits?:number, scheduler?:object}} options
+ * @returns {Promise<{totalAssets:number|null, scanned:number, devices:object[]}>}
+ *   devices: ttid {ttid, type:"row"|"weather"|"repeater", unitId, address, deviceType}
+ *            legacy {position, group?, unitId, address, deviceType}
+ */
+async function discoverDevices({ site, port = 502, mode, maxUnits = DEFAULT_MAX_ROW_UNITS, scheduler = {} }) {
+  mode = String(mode || "").toLowerCase();
+  if (!MODE_MAP[mode]) throw new Error(`Unknown Modbus mode "${mode}"`);
+
+  const deviceType = specField("unsorted_assets.json", "Device Type");
+  const totalAssetsField = specField("unsorted_nc.json", "Total Assets");
+  const pool = createModbusPool({ site, port, ...scheduler });
+
+  try {
+    await pool.open();
+
+    let totalAssets = null;
+    try {
+      const ncUnit = mode === "ttid" ? NC_UNIT.ttid : NC_UNIT.legacy;
+      const { data } = await pool.run(ncUnit, conn => conn.readHoldingRegisters(Number(totalAssetsField.BaseReg), Number(totalAssetsField.Size)));
+      const value = Number(decodeField(data, totalAssetsField).value);
+      if (Number.isInteger(value) && value > 0) totalAssets = value;
+    } catch {
+      // No NC page: scan everything
+    }
+
+    const devices = [];
+    let scanned = 0;
+    const scan = async (slots) => {
+      const types = await readDeviceTypes(pool, slots, deviceType);
+      scanned += slots.length;
+      const found = slots.map((slot, i) => ({ ...slot, deviceType: types[i] })).filter(s => s.deviceType);
+      devices.push(...found);
+      return { found, types };
+    };
+    const range = (n, from = 0) => Array.from({ length: n }, (_, i) => from + i);
+
+    if (mode === "ttid") {
+      for (const type of ["weather", "repeater"]) {
+        const unitId = computeUnitId(type, 1);
+        await scan(range(MAX_SLOTS, 1).map(ttid => ({ ttid, type, unitId, address: computeStartingAddressForType(type, ttid, unitId, 0) })));
+      }
+      for (let unitId = 1; unitId <= maxUnits; unitId++) {
+        if (totalAssets && devices.length >= totalAssets) break;
+        await scan(range(ROW_UNIT_SLOTS, (unitId - 1) * ROW_UNIT_SLOTS + 1)
+          .map(ttid => ({ ttid, type: "row", unitId, address: computeStartingAddressForType("row", ttid, unitId, 0) })));
+      }
+    } else if (mode === "legacy-unsorted") {
+      await scan(range(MAX_SLOTS).map(position => ({ position, unitId: 1, address: position * PAGE_SIZE })));
+    } else {
+      // Packed groups: read a few slots at a time and stop at the first gap
+      const batch = Math.max(1, pool.concurrency);
+      for (const { group, unitId } of LEGACY_SORTED_GROUPS) {
+        for (let start = 0; start < MAX_SLOTS; start += batch) {
+          const { types } = await scan(range(Math.min(batch, MAX_SLOTS - start), start).map(position => ({ position, group, unitId, address: position * PAGE_SIZE })));
+          if (types.some(t => !t)) break;
+        }
+      }
+    }
+
+    return { totalAssets, scanned, devices };
+  } finally {
+    pool.close();
+  }
+}
+
+// ---------------- Inventory ----------------
+
+/**
+ * Inventory file:
+ * {
+ *   version, site,
+ *   modes: { "<mode>": { discoveredAt, totalAssets, devices: [...] } }   // see discoverDevices
+ * }
+ */
+function loadInventory(file) {
+  const inventory = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!inventory || typeof inventory.modes !== "object") throw new Error(`${path.basename(file)} is not a device inventory`);
+  return inventory;
+}
+
+function defaultInventoryPath(site, dir = DEFAULT_INVENTORY_DIR) {
+  return path.join(dir, `${String(site).replace(/[^\w.-]+/g, "_")}_inventory.json`);
+}
+
+/** Stores one mode's discovery result in the inventory at `file`, keeping the other modes */
+function saveInventory(file, site, mode, discovery, discoveredAt = new Date()) {
+  const inventory = fs.existsSync(file) ? loadInventory(file) : { version: INVENTORY_VERSION, site, modes: {} };
+  inventory.site = site;
+  inventory.modes[mode] = { discoveredAt: discoveredAt.toISOString(), totalAssets: discovery.totalAssets, devices: discovery.devices };
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(inventory, null, 2));
+  return inventory;
+}
+
+/**
+ * What the readers take instead of a CSV, or null if the inventory has nothing for the mode:
+ *  - ttid:            { row: [ttid...], weather: [...], repeater: [...] }  (csvModbusTTID `ttids`)
+ *  - legacy-unsorted: [position...]                                       (csvModbusPosition `positions`)
+ *  - legacy-sorted:   { "legacy-tracker": [...], "legacy-weather": [...] } (csvSortedBatchRead `positions`)
+ */
+function inventoryTargets(inventory, mode) {
+  const entry = inventory?.modes?.[mode];
+  if (!entry) return null;
+  const pick = (filter, key) => entry.devices.filter(filter).map(d => d[key]);
+
+  if (mode === "ttid") {
+    return {
+      row: pick(d => d.type === "row", "ttid"),
+      weather: pick(d => d.type === "weather", "ttid"),
+      repeater: pick(d => d.type === "repeater", "ttid"),
+    };
+  }
+  if (mode === "legacy-unsorted") return pick(() => true, "position");
+  return {
+    "legacy-tracker": pick(d => d.group === "legacy-tracker", "position"),
+    "legacy-weather": pick(d => d.group === "legacy-weather", "position"),
+  };
+}
+
+// --- Exports (library) ---
+module.exports = {
+  discoverDevices,
+  loadInventory,
+  saveInventory,
+  inventoryTargets,
+  defaultInventoryPath,
+  DEFAULT_INVENTORY_DIR,
+};
+
+// --- CLI glue ---
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = process.argv.slice(2);
+      const getFlag = (name, fallback) => {
+        const i = args.findIndex(a => a === `--${name}`);
+        return (i !== -1 && i + 1 < args.length) ? args[i + 1] : fallback;
+      };
+
+      const site = getFlag("site", process.env.SITE);
+      const port = Number(getFlag("port", process.env.MODBUS_PORT || 502));
+      let mode = (getFlag("mode", "") || "").toLowerCase();
+
+      if (!site || (mode && !MODE_MAP[mode])) {
+        console.error("Usage: node modbusDiscovery.js --site <host> [--mode ttid|legacy-unsorted|legacy-sorted] [--max-units 10] [--out modbus_inventory/<site>_inventory.json] [--port 502]");
+        process.exit(1);
+      }
+
+      if (!mode) {
+        // Scan whatever layout the NC is serving now
+        const { probeModbusMode } = require("./modbusModeProbe");
+        const probe = await probeModbusMode({ site, port });
+        if (!probe.modes.length) throw new Error(`Couldn't tell the current mode (${probe.evidence.join("; ")}); pass --mode`);
+        mode = probe.modes[0];
+        console.log(`🔎 Current layout: ${probe.modes.join(" or ")}`);
+      }
+
+      console.log(`🔭 Discovering ${mode} devices on ${site}…`);
+      const discovery = await discoverDevices({ site, port, mode, maxUnits: Number(getFlag("max-units", DEFAULT_MAX_ROW_UNITS)) });
+      const file = getFlag("out", process.env.INVENTORY_PATH || defaultInventoryPath(site));
+      saveInventory(file, site, mode, discovery);
+
+      for (const d of discovery.devices) {
+        const slot = d.ttid !== undefined ? `TTID ${d.ttid} (${d.type})` : `Position ${d.position}${d.group ? ` (${d.group})` : ""}`;
+        console.log(`   • ${slot}, unit ${d.unitId}: ${d.deviceType}`);
+      }
+      console.log(`✅ ${discovery.devices.length} device(s) in ${discovery.scanned} slots${discovery.totalAssets !== null ? ` (NC reports ${discovery.totalAssets} assets)` : ""}`);
+      console.log(`   • Inventory: ${path.resolve(file)}`);
+    } catch (err) {
+      console.error("❌", err.message || err);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+// modbusExporter.js
+// Prometheus exporter: polls selected devices in the background and serves their decoded
+// numeric fields, plus read/decode error counters, on /metrics for Grafana.
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const http = require("http");
+const { createModbusPool } = require("./modbusScheduler");
+const { getCodec, DECODE_STATUS } = require("./modbusCodec");
+const { resolveDevices, pollDevices, READ_ERROR } = require("./modbusWatch");
+const { loadSpecRegistry, checkSpecRegistry } = require("./modbusSpecRegistry");
+const { loadSpec } = require("./modbusSpecLint");
+
+const DEFAULT_EXPORTER_PORT = 9502;
+const DEVICE_TYPE_FIELD = "Device Type";
+
+// Only fields that decode to a number (or a 0/1 flag) can be a metric value
+const isMetricField = (field) => getCodec(field.Codec)?.numeric || getCodec(field.Codec)?.name === "boolean";
+
+// "Motor Power (Prev Hr)" -> "modbus_motor_power_prev_hr"
+const metricName = (fieldId) => "modbus_" + String(fieldId).trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const formatLabels = (labels) => `{${Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+
+const formatValue = (value) => {
+  if (typeof value === "boolean") return value ? "1" : "0";
+  const num = Number(value);
+  if (Number.isNaN(num)) return "NaN";
+  if (!Number.isFinite(num)) return num > 0 ? "+Inf" : "-Inf";
+  return String(num);
+};
+
+/**
+ * Creates an exporter for one site. Polling runs every `intervalMs` once started;
+ * scrapes are served from the latest poll so a slow field network never blocks Prometheus.
+ *
+ * @param {{
+ *   site: string,
+ *   port?: number,              // Modbus TCP port
+ *   targets: object[],          // see modbusWriter.resolveTarget
+ *   fields?: string[],          // spec IDs; empty = every numeric field of the device's register map
+ *   intervalMs?: number,
+ *   scheduler?: object,
+ *   specRegistry?: object[]     // see modbusSpecRegistry.loadSpecRegistry
+ * }} options
+ */
+function createExporter({
+  site,
+  port = Number(process.env.MODBUS_PORT || 502),
+  targets,
+  fields = [],
+  intervalMs = Number(process.env.EXPORTER_INTERVAL_MS || 30000),
+  scheduler = {},
+  specRegistry = loadSpecRegistry(),
+}) {
+  if (!targets?.length) throw new Error("Nothing to export: no targets");
+
+  // Requested fields are picked per register map, so one list can mix NC and asset fields.
+  // Device Type is always read on asset pages so every series can carry it as a label.
+  const registry = checkSpecRegistry(specRegistry);
+  const wanted = new Set(fields.map(id => String(id).trim().toLowerCase()));
+  const devices = resolveDevices(targets, [], registry).map(device => ({
+    ...device,
+    select: (f) => (isMetricField(f) && (!wanted.size || wanted.has(f.ID.trim().toLowerCase())))
+      || (device.spec === "assets" && f.ID === DEVICE_TYPE_FIELD),
+  }));
+
+  const metricIds = new Set(registry.filter(m => devices.some(d => d.spec === m.Spec))
+    .flatMap(m => loadSpec(m.path).filter(isMetricField).map(f => f.ID.trim().toLowerCase())));
+  const unknown = [...wanted].filter(id => !metricIds.has(id));
+  if (unknown.length) throw new Error(`Not a numeric field of the targets' register maps: ${unknown.join(", ")}`);
+
+  const latest = new Map();      // device label -> samples of the last poll
+  const deviceTypes = new Map(); // device label -> last non-empty Device Type
+  const readErrors = new Map();  // device label -> count
+  const decodeErrors = new Map();
+  const stats = { polls: 0, failedPolls: 0, lastPollSeconds: 0, lastDurationSeconds: 0 };
+
+  let pool = null;
+  let timer = null;
+  let httpServer = null;
+  let polling = null;
+
+  async function poll() {
+    const started = Date.now();
+    try {
+      if (!pool) {
+        pool = createModbusPool({ site, port, ...scheduler });
+        await pool.open();
+      }
+      const perDevice = await pollDevices(pool, devices, { site, timestamp: new Date(started).toISOString() });
+
+      devices.forEach((device, i) => {
+        const samples = perDevice[i];
+        latest.set(device.label, samples);
+        for (const s of samples) {
+          if (s.Status === READ_ERROR) readErrors.set(device.label, (readErrors.get(device.label) || 0) + 1);
+          else if (s.Status !== DECODE_STATUS.OK) decodeErrors.set(device.label, (decodeErrors.get(device.label) || 0) + 1);
+          else if (s.Field === DEVICE_TYPE_FIELD && String(s.Value).trim()) deviceTypes.set(device.label, String(s.Value).trim());
+        }
+      });
+    } catch (err) {
+      // Site unreachable: count it and retry with a fresh pool next time
+      stats.failedPolls++;
+      latest.clear();
+      if (pool) pool.close();
+      pool = null;
+      console.error(`❌ Poll failed: ${err.message || err}`);
+    } finally {
+      stats.polls++;
+      stats.lastPollSeconds = Math.floor(started / 1000);
+      stats.lastDurationSeconds = (Date.now() - started) / 1000;
+    }
+  }
+
+  function labelsFor(device) {
+    const labels = { site, unit_id: device.unitId };
+    if (device.target.ttid !== undefined) labels.ttid = device.target.ttid;
+    else labels.position = device.target.position;
+    labels.device_type = device.spec === "nc" ? "Network Controller" : (deviceTypes.get(device.label) || "");
+    return labels;
+  }
+
+  /** Prometheus text exposition format (version 0.0.4) */
+  function render() {
+    const families = new Map(); // metric name -> { help, type, lines }
+    const add = (name, help, type, labels, value) => {
+      if (!families.has(name)) families.set(name, { help, type, lines: [] });
+      families.get(name).lines.push(`${name}${formatLabels(labels)} ${value}`);
+    };
+
+    for (const device of devices) {
+      const labels = labelsFor(device);
+      const samples = latest.get(device.label) || [];
+      const fieldsById = new Map(device.fields.map(f => [f.ID, f]));
+
+      for (const s of samples) {
+        const field = fieldsById.get(s.Field);
+        if (s.Status !== DECODE_STATUS.OK || !isMetricField(field)) continue;
+        add(metricName(field.ID), `${field.ID} (${field.Codec})`, "gauge", labels, formatValue(s.Value));
+      }
+
+      add("modbus_device_up", "1 if any field of the device was read on the last poll", "gauge", labels,
+        samples.some(s => s.Status !== READ_ERROR) ? 1 : 0);
+      add("modbus_read_errors_total", "Field reads that failed (timeout, exception, connection)", "counter", labels,
+        readErrors.get(device.label) || 0);
+      add("modbus_decode_errors_total", "Field reads whose registers could not be decoded", "counter", labels,
+        decodeErrors.get(device.label) || 0);
+    }
+
+    add("modbus_polls_total", "Polls run by the exporter", "counter", { site }, stats.polls);
+    add("modbus_failed_polls_total", "Polls that could not reach the site", "counter", { site }, stats.failedPolls);
+    add("modbus_last_poll_timestamp_seconds", "Start time of the last poll", "gauge", { site }, stats.lastPollSeconds);
+    add("modbus_poll_duration_seconds", "Duration of the last poll", "gauge", { site }, stats.lastDurationSeconds);
+
+    return [...families.entries()]
+      .map(([name, f]) => [`# HELP ${name} ${f.help}`, `# TYPE ${name} ${f.type}`, ...f.lines].join("\n"))
+      .join("\n") + "\n";
+  }
+
+  async function start({ host = "0.0.0.0", port: httpPort = DEFAULT_EXPORTER_PORT } = {}) {
+    polling = poll();
+    await polling;
+
+    const loop = async () => {
+      polling = poll();
+      await polling;
+      if (httpServer) timer = setTimeout(loop, intervalMs);
+    };
+    timer = setTimeout(loop, intervalMs);
+
+    await new Promise((resolve, reject) => {
+      httpServer = http.createServer((req, res) => {
+        if (req.method === "GET" && req.url.split("?")[0] === "/metrics") {
+          res.writeHead(200, { "content-type": "text/plain; version=0.0.4; charset=utf-8" });
+          return res.end(render());
+        }
+        res.writeHead(404);
+        res.end();
+      });
+      httpServer.once("error", reject);
+      httpServer.listen(httpPort, host, resolve);
+    });
+  }
+
+  async function stop() {
+    clearTimeout(timer);
+    const server = httpServer;
+    httpServer = null;
+    if (server) await new Promise(resolve => server.close(resolve));
+    await polling;
+    if (pool) pool.close();
+    pool = null;
+  }
+
+  return { start, stop, poll, render };
+}
+
+// --- Exports (library) ---
+module.exports = { createExporter, metricName };
+
+// --- CLI glue ---
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = process.argv.slice(2);
+      const getFlag = (name, fallback) => {
+        const i = args.findIndex(a => a === `--${name}`);
+        return (i !== -1 && i + 1 < args.length) ? args[i + 1] : fallback;
+      };
+      const list = (v) => (v ? String(v).split(",").map(s => s.trim()).filter(Boolean) : []);
+
+      const site = getFlag("site", process.env.SITE);
+      const ttids = list(getFlag("ttids"));
+      const positions = list(getFlag("positions"));
+      const nc = (getFlag("nc", "ttid") || "").toLowerCase();
+
+      if (!site || !["ttid", "legacy", "off"].includes(nc) || (!ttids.length && !positions.length && nc === "off")) {
+        console.error('Usage: node modbusExporter.js --site <host> [--ttids 1,2 [--type row|weather|repeater]] [--positions 0,1 [--unit 1]] [--nc ttid|legacy|off] [--fields "RSSI,Battery Voltage"] [--interval 30] [--listen 9502] [--port 502]');
+        process.exit(1);
+      }
+
+      const type = getFlag("type", "row");
+      const unitId = Number(getFlag("unit", 1));
+      const targets = [
+        ...(nc === "ttid" ? [{ ttid: 1, type: "network" }] : nc === "legacy" ? [{ position: 0, unitId: 0 }] : []),
+        ...ttids.map(ttid => ({ ttid: Number(ttid), type })),
+        ...positions.map(position => ({ position: Number(position), unitId })),
+      ];
+      const intervalSec = getFlag("interval");
+      const listen = Number(getFlag("listen", process.env.EXPORTER_PORT || DEFAULT_EXPORTER_PORT));
+
+      const exporter = createExporter({
+        site,
+        port: Number(getFlag("port", process.env.MODBUS_PORT || 502)),
+        targets,
+        fields: list(getFlag("fields")),
+        intervalMs: intervalSec !== undefined ? Number(intervalSec) * 1000 : undefined,
+      });
+      await exporter.start({ host: getFlag("host", "0.0.0.0"), port: listen });
+
+      console.log(`📡 Exporting ${targets.length} device(s) from ${site}`);
+      console.log(`   • Metrics: http://127.0.0.1:${listen}/metrics`);
+
+      const shutdown = () => exporter.stop().then(() => process.exit(0));
+      process.on("SIGINT", shutdown);
+      process.on("SIGTERM", shutdown);
+    } catch (err) {
+      console.error("❌", err.message || err);
+      process.exit(1);
+    }
+  })();
+}
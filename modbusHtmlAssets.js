@@ -0,0 +1,197 @@
+// modbusHtmlAssets.js
+// Everything the HTML pages used to load from cdn.jsdelivr.net, inlined so reports open offline:
+// the icons (as CSS masks, so <i class="bi bi-house"></i> keeps working), the favicon, and the
+// search / filter / sort / collapse / jump tools of the report tables.
+
+// ---------------- Icons ----------------
+
+// 16x16 line icons named after the Bootstrap Icons they replace
+const ICONS = {
+  "house": `<path d='M2 7.5 8 2l6 5.5M3.5 6.5V14H7v-4h2v4h3.5V6.5'/>`,
+  "eye": `<path d='M1 8s2.5-4.5 7-4.5S15 8 15 8s-2.5 4.5-7 4.5S1 8 1 8z'/><circle cx='8' cy='8' r='2'/>`,
+  "exclamation-triangle": `<path d='M8 1.8 15 14H1zM8 6v3.5M8 11.8v.1'/>`,
+  "exclamation-circle": `<circle cx='8' cy='8' r='6.8'/><path d='M8 4.5v4M8 11.2v.1'/>`,
+  "check-circle": `<circle cx='8' cy='8' r='6.8'/><path d='m5 8.2 2 2 4-4.2'/>`,
+  "check2-circle": `<circle cx='8' cy='8' r='6.8'/><path d='m5 8.2 2 2 4-4.2'/>`,
+  "x-circle": `<circle cx='8' cy='8' r='6.8'/><path d='m5.5 5.5 5 5m0-5-5 5'/>`,
+  "dash-circle": `<circle cx='8' cy='8' r='6.8'/><path d='M5 8h6'/>`,
+  "plus-circle": `<circle cx='8' cy='8' r='6.8'/><path d='M5 8h6M8 5v6'/>`,
+  "x-octagon": `<path d='M5 1h6l4 4v6l-4 4H5l-4-4V5zM5.5 5.5l5 5m0-5-5 5'/>`,
+  "check2": `<path d='m2.5 8.5 3.5 3.5 7.5-8'/>`,
+  "shield-check": `<path d='M8 1 2 3.3v4.2c0 3.6 2.5 6.4 6 7.5 3.5-1.1 6-3.9 6-7.5V3.3zM5.3 8l2 2 3.5-3.8'/>`,
+  "file-earmark-bar-graph": `<path d='M9.5 1h-6v14h9V4zM9.5 1v3h3M6 12.5v-3M8 12.5v-5M10 12.5V10'/>`,
+  "rulers": `<path d='M1 1h14v4H5v10H1zM5 1v2M8 1v2M11 1v2M1 8h2M1 11h2'/>`,
+  "pencil-square": `<path d='M7 2.5H2.5v11h11V9M12 1.5 14.5 4 8 10.5H5.5V8z'/>`,
+  "hdd-network": `<rect x='1.5' y='1.5' width='13' height='5' rx='1'/><rect x='6' y='9.5' width='4' height='4' rx='.5'/><path d='M4 4h.1M8 6.5v3M1 11.5h5M10 11.5h5'/>`,
+  "graph-up-arrow": `<path d='M1.5 1v13.5H15M4 11l3.5-3.5 2.5 2.5 4-4.5M11 5.5h3v3'/>`,
+  "globe2": `<circle cx='8' cy='8' r='6.8'/><path d='M1.2 8h13.6M8 1.2C6 3.2 5 5.5 5 8s1 4.8 3 6.8c2-2 3-4.3 3-6.8s-1-4.8-3-6.8z'/>`,
+  "folder2-open": `<path d='M1.5 13V3.5H6L7.5 5h6v2M1.5 13l2-6H15l-2 6z'/>`,
+  "diagram-3": `<rect x='5.5' y='1' width='5' height='3.5' rx='.5'/><rect x='1' y='11.5' width='4' height='3.5' rx='.5'/><rect x='6' y='11.5' width='4' height='3.5' rx='.5'/><rect x='11' y='11.5' width='4' height='3.5' rx='.5'/><path d='M8 4.5v7M3 11.5V8h10v3.5'/>`,
+  "collection": `<rect x='1.5' y='6' width='13' height='8.5' rx='1'/><path d='M3 3.8h10M4.5 1.5h7'/>`,
+  "arrow-left-right": `<path d='M1.5 5h13M11.5 2l3 3-3 3M14.5 11h-13M4.5 8l-3 3 3 3'/>`,
+  "search": `<circle cx='6.8' cy='6.8' r='5'/><path d='m10.5 10.5 4 4'/>`,
+  "funnel": `<path d='M1.5 2h13L9.5 8.5V14l-3-1.5v-4z'/>`,
+  "chevron-down": `<path d='m3 6 5 5 5-5'/>`,
+  "arrows-collapse": `<path d='M1 8h14M8 1v4.5M5.5 3.5 8 6l2.5-2.5M8 15v-4.5M5.5 12.5 8 10l2.5 2.5'/>`,
+  "arrows-expand": `<path d='M1 8h14M8 6V1.5M5.5 4 8 1.5 10.5 4M8 10v4.5M5.5 12 8 14.5l2.5-2.5'/>`,
+  "bar-chart": `<path d='M1.5 14.5h13M3.5 14.5V9M6.5 14.5V4M9.5 14.5V7M12.5 14.5V2'/>`,
+  "geo-alt": `<path d='M8 15s5-4.6 5-8.5a5 5 0 0 0-10 0C3 10.4 8 15 8 15z'/><circle cx='8' cy='6.5' r='1.8'/>`,
+  "bell": `<path d='M3.5 11.5V7a4.5 4.5 0 0 1 9 0v4.5l1 1.5h-11zM6.5 14.5h3'/>`,
+  "clock-history": `<path d='M2.2 5.5A6.5 6.5 0 1 1 1.5 8M1.5 3v2.8h2.8M8 4.5V8l2.5 1.5'/>`,
+  "bullseye": `<circle cx='8' cy='8' r='6.8'/><circle cx='8' cy='8' r='3.5'/><circle cx='8' cy='8' r='.6'/>`,
+};
+
+/** data: URI of one icon, stroked in `color` */
+function iconDataUri(name, color = "#000") {
+  const svg = `<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 16 16' fill='none' stroke='${color}' stroke-width='1.5' stroke-linecap='round' stroke-linejoin='round'>${ICONS[name]}</svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+// Each icon masks a box filled with the text colour, so icons still follow `color`
+const ICONS_CSS = `
+    .bi { display: inline-block; width: 1em; height: 1em; vertical-align: -0.125em; background-color: currentColor; -webkit-mask: var(--bi) center / contain no-repeat; mask: var(--bi) center / contain no-repeat; }
+${Object.keys(ICONS).map(name => `    .bi-${name} { --bi: url("${iconDataUri(name)}"); }`).join("\n")}`;
+
+const FAVICON_LINK = `<link rel="icon" href="${iconDataUri("file-earmark-bar-graph", "#16a34a")}">`;
+
+// Goes where the bootstrap-icons stylesheet link used to be
+const ICONS_STYLE = `<style>${ICONS_CSS}
+</style>`;
+
+// ---------------- Table tools ----------------
+
+const TABLE_TOOLS_CSS = `
+    .table-tools { position: sticky; top: 0; z-index: 10; display: flex; flex-wrap: wrap; align-items: center; gap: 0.8em; background: #fff; padding: 0.8em 0; margin-bottom: 1em; border-bottom: 1px solid #e7fbe9; }
+    .table-tools label { display: inline-flex; align-items: center; gap: 0.4em; color: #166534; font-weight: 600; }
+    .table-tools input[type=search], .table-tools input[type=text] { border: 1px solid #bbf7d0; border-radius: 6px; padding: 0.45em 0.7em; font-size: 0.95em; min-width: 12em; }
+    .table-tools input.not-found { border-color: #fca5a5; background: #fff1f2; }
+    .table-tools button { background: #e7fbe9; color: #166534; border: none; border-radius: 6px; padding: 0.5em 0.9em; font-weight: 600; cursor: pointer; }
+    .table-tools button:hover { background: #bbf7d0; }
+    .tool-count { color: #64748b; font-size: 0.9em; margin-left: auto; }
+    .device-section { scroll-margin-top: 5em; }
+    .device-header { cursor: pointer; user-select: none; }
+    .section-toggle { transition: transform 0.2s; margin-right: 0.4em; }
+    .device-section.collapsed table { display: none; }
+    .device-section.collapsed .section-toggle { transform: rotate(-90deg); }
+    .device-section.flash .device-header { box-shadow: 0 0 0 3px #16a34a; }
+    th { cursor: pointer; user-select: none; }
+    th.sort-asc:after { content: " \\25B2"; font-size: 0.75em; }
+    th.sort-desc:after { content: " \\25BC"; font-size: 0.75em; }
+    @media (max-width: 800px) {
+      .table-tools { position: static; flex-direction: column; align-items: stretch; }
+      .tool-count { margin-left: 0; }
+    }`;
+
+/** Search box, errors-only filter, jump box and collapse/expand buttons; `deviceLabel` is "TTID" or "Position" */
+function tableToolsHtml(deviceLabel) {
+  return `<div class="table-tools">
+      <label><i class="bi bi-search"></i><input type="search" id="tool-search" placeholder="Search fields and values…"></label>
+      <label title="Read/decode errors and failed rules"><input type="checkbox" id="tool-errors"><i class="bi bi-funnel"></i> Errors only</label>
+      <label><i class="bi bi-bullseye"></i><input type="text" id="tool-jump" data-prefix="${deviceLabel}" placeholder="Jump to ${deviceLabel}"></label>
+      <button type="button" id="tool-collapse"><i class="bi bi-arrows-collapse"></i> Collapse all</button>
+      <button type="button" id="tool-expand"><i class="bi bi-arrows-expand"></i> Expand all</button>
+      <span class="tool-count" id="tool-count"></span>
+    </div>`;
+}
+
+// Works on the .device-section markup of modbusReporters.js; a #<Device-Key> hash opens that section
+const TABLE_TOOLS_SCRIPT = `<script>
+(function () {
+  var sections = Array.prototype.slice.call(document.querySelectorAll(".device-section"));
+  var search = document.getElementById("tool-search");
+  var errorsOnly = document.getElementById("tool-errors");
+  var jump = document.getElementById("tool-jump");
+  var count = document.getElementById("tool-count");
+  var collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+  var texts = new WeakMap();
+  function rowText(tr) {
+    if (!texts.has(tr)) texts.set(tr, tr.textContent.toLowerCase());
+    return texts.get(tr);
+  }
+
+  function filter() {
+    var q = search.value.trim().toLowerCase();
+    var only = errorsOnly.checked;
+    var shown = 0, total = 0;
+    sections.forEach(function (section) {
+      var headerHit = q && section.querySelector(".device-header").textContent.toLowerCase().indexOf(q) !== -1;
+      var visible = 0;
+      section.querySelectorAll("tbody tr").forEach(function (tr) {
+        total++;
+        var hit = (!q || headerHit || rowText(tr).indexOf(q) !== -1) && (!only || /(^| )(error|rule-fail|rule-critical)( |$)/.test(tr.className));
+        tr.style.display = hit ? "" : "none";
+        if (hit) visible++;
+      });
+      section.style.display = visible ? "" : "none";
+      shown += visible;
+    });
+    count.textContent = q || only ? shown + " of " + total + " rows" : total + " rows";
+  }
+
+  var timer;
+  search.addEventListener("input", function () { clearTimeout(timer); timer = setTimeout(filter, 150); });
+  errorsOnly.addEventListener("change", filter);
+
+  sections.forEach(function (section) {
+    section.querySelector(".device-header").addEventListener("click", function () { section.classList.toggle("collapsed"); });
+  });
+  document.getElementById("tool-collapse").addEventListener("click", function () { sections.forEach(function (s) { s.classList.add("collapsed"); }); });
+  document.getElementById("tool-expand").addEventListener("click", function () { sections.forEach(function (s) { s.classList.remove("collapsed"); }); });
+
+  // Sorting a column sorts every section's table by it; a second click reverses
+  var sorted = { col: -1, dir: 1 };
+  function sortBy(col) {
+    sorted.dir = sorted.col === col ? -sorted.dir : 1;
+    sorted.col = col;
+    document.querySelectorAll(".device-section table").forEach(function (table) {
+      var body = table.tBodies[0];
+      Array.prototype.slice.call(body.rows)
+        .sort(function (a, b) {
+          var x = a.cells[col] ? a.cells[col].textContent.trim() : "";
+          var y = b.cells[col] ? b.cells[col].textContent.trim() : "";
+          if (!x || !y) return x ? -1 : y ? 1 : 0;
+          return sorted.dir * collator.compare(x, y);
+        })
+        .forEach(function (tr) { body.appendChild(tr); });
+      Array.prototype.forEach.call(table.tHead.rows[0].cells, function (th, i) {
+        th.classList.toggle("sort-asc", i === col && sorted.dir === 1);
+        th.classList.toggle("sort-desc", i === col && sorted.dir === -1);
+      });
+    });
+  }
+  document.querySelectorAll(".device-section th").forEach(function (th) {
+    th.addEventListener("click", function () { sortBy(th.cellIndex); });
+  });
+
+  function open(id) {
+    var section = document.getElementById(id);
+    if (!section || !section.classList.contains("device-section")) return false;
+    section.classList.remove("collapsed");
+    section.style.display = "";
+    section.scrollIntoView({ block: "start" });
+    section.classList.add("flash");
+    setTimeout(function () { section.classList.remove("flash"); }, 1500);
+    return true;
+  }
+  jump.addEventListener("keydown", function (e) {
+    if (e.key !== "Enter") return;
+    var value = jump.value.trim().replace(/^\\D+/, "");
+    jump.classList.toggle("not-found", Boolean(value) && !open(jump.dataset.prefix + "-" + value));
+  });
+  window.addEventListener("hashchange", function () { open(decodeURIComponent(location.hash.slice(1))); });
+
+  filter();
+  if (location.hash) open(decodeURIComponent(location.hash.slice(1)));
+})();
+</script>`;
+
+module.exports = {
+  ICONS,
+  ICONS_CSS,
+  ICONS_STYLE,
+  FAVICON_LINK,
+  iconDataUri,
+  TABLE_TOOLS_CSS,
+  TABLE_TOOLS_SCRIPT,
+  tableToolsHtml,
+};
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+// modbusModeProbe.js
+// Confirms a Modbus mode change actually took effect: reads the modbusService config back
+// over GraphQL and probes the register layout for the identity fields each mode puts where.
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { getModbusServiceConfig, MODE_MAP } = require("./modbus-set-mode-api");
+const { createModbusPool, envInteger } = require("./modbusScheduler");
+const { decodeField } = require("./modbusCodec");
+const { loadSpecRegistry, identityFields } = require("./modbusSpecRegistry");
+
+// ---------------- Specs ----------------
+
+// The register that tells the device type of a spec's pages ("System ID" for the NC)
+const deviceTypeField = (registry, spec) => {
+  const found = identityFields(registry, spec).find(i => i.key === "deviceType");
+  if (!found) throw new Error(`The ${spec} register maps have no device type field`);
+  return found.field;
+};
+
+// Where each mode puts the NC page and the asset pages (see csvModbusTTID / csvSortedBatchRead)
+const PAGE_SIZE = 512;
+const NC_UNIT = { ttid: 100, legacy: 0 };
+const LEGACY_SORTED_UNITS = { repeater: 2, weather: 3 };
+
+const DEFAULT_PROBE_SLOTS = 8;
+const DEFAULT_CONFIRM_TIMEOUT_MS = 30000;
+const DEFAULT_CONFIRM_POLL_MS = 1000;
+
+/** Confirmation timing, from env with sane defaults */
+function confirmOptionsFromEnv() {
+  return {
+    timeoutMs: envInteger("MODE_CONFIRM_TIMEOUT_MS", DEFAULT_CONFIRM_TIMEOUT_MS, 0),
+    pollMs: envInteger("MODE_CONFIRM_POLL_MS", DEFAULT_CONFIRM_POLL_MS, 1),
+  };
+}
+
+// ---------------- Probe ----------------
+
+async function readText(pool, unitId, address, field) {
+  try {
+    const { data } = await pool.run(unitId, conn => conn.readHoldingRegisters(address + Number(field.BaseReg), Number(field.Size)));
+    return String(decodeField(data, field).value ?? "").trim();
+  } catch {
+    return ""; // exception or no reply: nothing served there
+  }
+}
+
+/**
+ * Works out which Modbus modes the NC's current register layout is consistent with.
+ *  - The NC page (System ID) answers on unit 100 in TTID mode and on unit 0 in legacy modes
+ *  - Legacy-unsorted mixes device kinds on unit 1; legacy-sorted keeps only trackers there
+ *    and moves repeaters to unit 2 and weather stations to unit 3
+ * A fleet of only trackers looks the same in both legacy modes, so both stay candidates.
+ *
+ * @param {{site:string, port?:number, slots?:number, scheduler?:object, registry?:object[]}} options
+ * @returns {Promise<{modes:string[], evidence:string[]}>} modes: candidates, empty if nothing matched
+ */
+async function probeModbusMode({ site, port = 502, slots = DEFAULT_PROBE_SLOTS, scheduler = {}, registry = loadSpecRegistry() }) {
+  const systemId = deviceTypeField(registry, "nc");
+  const deviceType = deviceTypeField(registry, "assets");
+  const evidence = [];
+
+  const pool = createModbusPool({ site, port, concurrency: 1, ...scheduler });
+  try {
+    await pool.open();
+
+    const ttidNc = await readText(pool, NC_UNIT.ttid, 0, systemId);
+    const legacyNc = await readText(pool, NC_UNIT.legacy, 0, systemId);
+    evidence.push(`NC System ID on unit ${NC_UNIT.ttid}: ${ttidNc || "(none)"}`, `NC System ID on unit ${NC_UNIT.legacy}: ${legacyNc || "(none)"}`);
+
+    const modes = [];
+    if (ttidNc) modes.push("ttid");
+    if (!legacyNc) return { modes, evidence };
+
+    const unitOne = [];
+    for (let pos = 0; pos < slots; pos++) {
+      const type = await readText(pool, 1, pos * PAGE_SIZE, deviceType);
+      if (type) unitOne.push(type);
+    }
+    const mixed = unitOne.some(t => !/tracker/i.test(t));
+    evidence.push(`Unit 1 Device Types: ${unitOne.join(", ") || "(none)"}`);
+
+    let grouped = false;
+    for (const [kind, unitId] of Object.entries(LEGACY_SORTED_UNITS)) {
+      const type = await readText(pool, unitId, 0, deviceType);
+      evidence.push(`Unit ${unitId} position 0: ${type || "(none)"}`);
+      if (new RegExp(kind, "i").test(type)) grouped = true;
+    }
+
+    if (!grouped) modes.push("legacy-unsorted");
+    if (!mixed) modes.push("legacy-sorted");
+    return { modes, evidence };
+  } catch (err) {
+    evidence.push(`Probe failed: ${err.message || err}`);
+    return { modes: [], evidence };
+  } finally {
+    pool.close();
+  }
+}
+
+// ---------------- Confirm ----------------
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Waits until both the GraphQL config and the register layout show `mode`.
+ *
+ * @param {"ttid"|"legacy-unsorted"|"legacy-sorted"} mode
+ * @param {{
+ *   site: string,
+ *   port?: number,
+ *   graphql?: object,      // getModbusServiceConfig options: url, accessToken, xsrfToken, xsrfCookie, ...
+ *   timeoutMs?: number,    // MODE_CONFIRM_TIMEOUT_MS, default 30000
+ *   pollMs?: number,       // MODE_CONFIRM_POLL_MS, default 1000, at least 1
+ *   scheduler?: object
+ * }} options
+ * @returns {Promise<{ok:boolean, attempts:number, elapsedMs:number, config?:object, probe?:object, reason?:string}>} never throws
+ */
+async function confirmModbusMode(mode, {
+  site,
+  port = 502,
+  graphql = {},
+  timeoutMs,
+  pollMs,
+  scheduler = {},
+} = {}) {
+  mode = String(mode).toLowerCase();
+  const expected = MODE_MAP[mode];
+  if (!expected) return { ok: false, attempts: 0, elapsedMs: 0, reason: `Invalid mode "${mode}"` };
+  try {
+    const fromEnv = confirmOptionsFromEnv();
+    timeoutMs ??= fromEnv.timeoutMs;
+    pollMs ??= fromEnv.pollMs;
+  } catch (err) {
+    return { ok: false, attempts: 0, elapsedMs: 0, reason: err.message };
+  }
+  if (!Number.isInteger(timeoutMs) || timeoutMs < 0 || !Number.isInteger(pollMs) || pollMs < 1) {
+    return { ok: false, attempts: 0, elapsedMs: 0, reason: `Invalid confirmation timing: timeoutMs ${timeoutMs}, pollMs ${pollMs}` };
+  }
+
+  const started = Date.now();
+  let attempts = 0;
+  let reason;
+  let config;
+  let probe;
+
+  while (true) {
+    attempts++;
+    const readBack = await getModbusServiceConfig(graphql);
+    config = readBack.config;
+
+    if (!readBack.ok) {
+      reason = `modbusService config could not be read back: ${readBack.error}`;
+    } else {
+      const wrong = Object.keys(expected).filter(k => config[k] !== expected[k]);
+      if (wrong.length) {
+        reason = `modbusService config still shows ${wrong.map(k => `${k}=${config[k]}`).join(", ")}`;
+      } else {
+        probe = await probeModbusMode({ site, port, scheduler });
+        reason = probe.modes.includes(mode)
+          ? null
+          : `register layout looks like ${probe.modes.join(" or ") || "no known mode"} (${probe.evidence.join("; ")})`;
+      }
+    }
+
+    const elapsedMs = Date.now() - started;
+    if (!reason) return { ok: true, attempts, elapsedMs, config, probe };
+    if (elapsedMs + pollMs > timeoutMs) {
+      return { ok: false, attempts, elapsedMs, config, probe, reason: `Mode "${mode}" not confirmed after ${elapsedMs}ms: ${reason}` };
+    }
+    await sleep(pollMs);
+  }
+}
+
+// --- Exports (library) ---
+module.exports = { probeModbusMode, confirmModbusMode, confirmOptionsFromEnv };
+
+// --- CLI glue ---
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = process.argv.slice(2);
+      const getFlag = (name, fallback) => {
+        const i = args.findIndex(a => a === `--${name}`);
+        return (i !== -1 && i + 1 < args.length) ? args[i + 1] : fallback;
+      };
+
+      const site = getFlag("site", process.env.SITE);
+      const port = Number(getFlag("port", process.env.MODBUS_PORT || 502));
+      const mode = (getFlag("mode", "") || "").toLowerCase();
+
+      if (!site || (mode && !MODE_MAP[mode])) {
+        console.error("Usage: node modbusModeProbe.js --site <host> [--port 502] [--mode ttid|legacy-unsorted|legacy-sorted] [--url https://host/graphql]");
+        process.exit(1);
+      }
+
+      if (!mode) {
+        const probe = await probeModbusMode({ site, port });
+        for (const line of probe.evidence) console.log(`   • ${line}`);
+        console.log(`🔎 Layout matches: ${probe.modes.join(", ") || "no known mode"}`);
+        process.exitCode = probe.modes.length ? 0 : 2;
+        return;
+      }
+
+      const result = await confirmModbusMode(mode, {
+        site,
+        port,
+        graphql: { url: getFlag("url", process.env.GRAPHQL_URL || `https://${site}/graphql`) },
+      });
+      if (result.ok) console.log(`✅ ${mode} confirmed (${result.attempts} check(s), ${result.elapsedMs}ms)`);
+      else console.error(`❌ ${result.reason}`);
+      process.exitCode = result.ok ? 0 : 2;
+    } catch (err) {
+      console.error("❌", err.message || err);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,134 @@
+// modbusRecords.js
+// Structured output of a report run: one JSON record per decoded field with typed values,
+// the raw registers and an explicit error, instead of the Excel-flavoured CSV cells.
+
+const fs = require("fs");
+const path = require("path");
+const { DECODE_STATUS, normalizeCodec } = require("./modbusCodec");
+const { deviceName, rowError, IDENTITY_FIELDS } = require("./modbusSnapshot");
+const { SEMANTICS, semanticSeconds } = require("./modbusTime");
+
+// Status of a field whose registers couldn't be read (decode statuses come from DECODE_STATUS)
+const READ_ERROR = "read_error";
+
+const RECORD_FORMATS = ["ndjson", "json"];
+
+// ---------------- Records ----------------
+
+/**
+ * Decoded value as JSON: { value, type } with BigInts as strings. Fields whose spec `Semantic` is an
+ * epoch become ISO 8601 timestamps (0 means never set) with the raw number in `epoch`; durations
+ * are written in seconds.
+ */
+function typedValue(value, semantic) {
+  if (value === null || value === undefined || value === "") {
+    return { value: value === "" ? "" : null, type: value === "" ? "string" : null };
+  }
+  const seconds = semanticSeconds(value, semantic);
+  if (seconds !== null && SEMANTICS[semantic].kind === "epoch") {
+    return { value: seconds > 0 ? new Date(seconds * 1000).toISOString() : null, type: "timestamp", epoch: Number(value) };
+  }
+  if (seconds !== null) return { value: seconds, type: "duration" };
+  if (typeof value === "bigint") return { value: value.toString(), type: "bigint" };
+  if (typeof value === "number" || typeof value === "boolean") return { value, type: typeof value };
+  return { value: String(value), type: "string" };
+}
+
+/** "Error: <message>" rows become { kind: "read", ... }, failed decodes { kind: "decode", ... } */
+function recordError(row) {
+  const message = rowError(row);
+  if (!message) return null;
+  if (row.DecodeStatus && row.DecodeStatus !== DECODE_STATUS.OK) return { kind: "decode", status: row.DecodeStatus, message };
+  return { kind: "read", message, ...(row.ErrorCode !== undefined && row.ErrorCode !== "" ? { code: row.ErrorCode } : {}) };
+}
+
+/**
+ * Turns generateAllReports categories (each report carries its rows) into one record per field:
+ *   { site, mode, report, device, ttid?|position?, deviceType, map, unitId, field, address, size,
+ *     codec, registers, value, type, epoch?, label?, bits?, status, error }
+ * Enum and bitfield fields add their `label`; bitfields also the set bit names in `bits`.
+ * Separator rows are skipped.
+ */
+function buildRecords(site, categories, readAt = new Date()) {
+  const records = [];
+
+  for (const category of categories) {
+    for (const report of category.reports || []) {
+      const rows = (report.rows || []).filter(row => row.ID && deviceName(row));
+
+      // Device Type / System ID of every device, so each of its records can carry it
+      const deviceTypes = new Map();
+      for (const row of rows) {
+        if (IDENTITY_FIELDS.includes(String(row.ID).trim()) && !rowError(row)) {
+          deviceTypes.set(deviceName(row), String(row.DecodedValue ?? "").trim());
+        }
+      }
+
+      for (const row of rows) {
+        const device = deviceName(row);
+        const error = recordError(row);
+        const typed = error ? { value: null, type: null } : typedValue(row.DecodedValue, row.Semantic);
+
+        records.push({
+          site,
+          mode: category.mode,
+          report: report.type,
+          device,
+          ...(row.TTID !== undefined ? { ttid: Number(row.TTID) } : { position: Number(row.Position) }),
+          deviceType: deviceTypes.get(device) ?? null,
+          map: row.SpecMap ?? null,
+          unitId: row.UnitID === "" ? null : Number(row.UnitID),
+          field: String(row.ID).trim(),
+          address: row.StartingAddress === "" ? null : Number(row.StartingAddress),
+          size: row.Size === "" ? null : Number(row.Size),
+          codec: row.Codec ? normalizeCodec(row.Codec) : null,
+          registers: row.Registers ? Array.from(row.Registers) : null,
+          ...typed,
+          ...(!error && row.DecodedLabel !== undefined ? { label: row.DecodedLabel } : {}),
+          ...(!error && row.DecodedBits ? { bits: row.DecodedBits.filter(b => b.set).map(b => b.name) } : {}),
+          status: error ? (error.kind === "read" ? READ_ERROR : error.status) : DECODE_STATUS.OK,
+          error,
+          readAt: readAt.toISOString(),
+        });
+      }
+    }
+  }
+
+  return records;
+}
+
+// ---------------- Output ----------------
+
+const toNdjson = (records) => records.map(r => JSON.stringify(r)).join("\n") + (records.length ? "\n" : "");
+
+/**
+ * Writes the records as `<dir>/<site>_records.<format>` for each requested format
+ * ("ndjson" one record per line, "json" an array); returns the paths written.
+ */
+function writeRecords(records, dir, site, formats = ["ndjson"]) {
+  const written = [];
+  for (const format of formats) {
+    if (!RECORD_FORMATS.includes(format)) throw new Error(`Unknown record format "${format}" (expected ${RECORD_FORMATS.join(" or ")})`);
+    const file = path.join(dir, `${String(site).replace(/[^\w.-]+/g, "_")}_records.${format}`);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, format === "ndjson" ? toNdjson(records) : JSON.stringify(records, null, 2));
+    written.push(file);
+  }
+  return written;
+}
+
+/** Record formats from a setting such as "ndjson,json"; "none" turns records off */
+function parseRecordFormats(value) {
+  const formats = String(value ?? "").split(",").map(f => f.trim().toLowerCase()).filter(Boolean);
+  return formats.includes("none") || formats.includes("off") ? [] : formats;
+}
+
+module.exports = {
+  buildRecords,
+  typedValue,
+  toNdjson,
+  writeRecords,
+  parseRecordFormats,
+  RECORD_FORMATS,
+  READ_ERROR,
+};
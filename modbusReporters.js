@@ -0,0 +1,314 @@
+// modbusReporters.js
+// Report rendering. The readers (csvModbusTTID, csvModbusPosition, csvSortedBatchRead) only
+// poll and decode; each hands its result model to the reporters registered here, which write
+// the HTML pages and index, the CSVs, JSON or whatever custom reporters users register.
+
+const fs = require("fs");
+const path = require("path");
+const { Parser } = require("json2csv");
+const { DECODE_STATUS } = require("./modbusCodec");
+const { RULES_CSS, ruleRowClass, ruleBadgeHtml, deviceRuleBadgeHtml, ruleSummaryHtml } = require("./modbusRules");
+const { SPEC_MAP_CSS, specMapBadgeHtml } = require("./modbusSpecRegistry");
+const { buildRecords } = require("./modbusRecords");
+const { ALERTS_CSS, alertTimelineHtml, loadAlertTypes } = require("./modbusAlerts");
+const { TIME_CSS, formatSemantic, staleBadgeHtml, deviceStaleBadgeHtml, stalenessNoteHtml } = require("./modbusTime");
+const { LABELS_CSS, valueLabelHtml } = require("./modbusValueLabels");
+const { FAVICON_LINK, ICONS_STYLE, TABLE_TOOLS_CSS, TABLE_TOOLS_SCRIPT, tableToolsHtml } = require("./modbusHtmlAssets");
+
+// The master index links to the HTML pages, so "html" is always written
+const DEFAULT_REPORTERS = ["html", "csv"];
+
+/*
+ * Result model, one per mode read:
+ * {
+ *   site, mode, dir,                       // dir: where the mode's files go, e.g. <outputDir>/ttid_sorted
+ *   title, targetLabel,                    // index page title; "TTIDs" | "Positions"
+ *   nav: [{ name, type, file }],           // every device type of the mode, read or not
+ *   reports: [{
+ *     deviceType, type, file, title,       // file: base name without extension
+ *     columns, csvFields,                  // HTML table columns, CSV fields
+ *     devices: [{ key, label, map, rows }],// one section per page: key as in the rule summary ("TTID 600")
+ *     rows, rules, resultsCount,           // rows: every CSV row in order, separators included
+ *     staleness: { checked, stale },       // devices whose Last Reported lags the NC clock
+ *     ttidsProcessed | positionsProcessed,
+ *   }]
+ *   staleness,                             // markStaleDevices() summary of the mode
+ * }
+ * Reporters: { name, write(model) => { files?: { [report.type]: path }, indexPath? } }
+ *        or  { name, extension, render(report, model) => string }, written to <dir>/<file>.<extension>
+ */
+
+// ---------------- HTML ----------------
+
+const PAGE_CSS = (maxWidth) => `
+    body { background: linear-gradient(120deg, #f8fafc 0%, #e0e7ef 100%); margin: 0; padding: 0; min-height: 100vh; }
+    .container { max-width: ${maxWidth}; margin: 2.5em auto; background: #fff; border-radius: 18px; box-shadow: 0 6px 32px #b0b8c940, 0 1.5px 4px #b0b8c930; padding: 2.5em 2em 2em 2em; }
+    .header { display: flex; align-items: center; gap: 1em; margin-bottom: 2em; }
+    .header-icon { font-size: 2.5em; color: #16a34a; }
+    h1 { font-size: 2.2em; font-weight: 700; color: #22223b; margin: 0; letter-spacing: 1px; }
+    .home-btn { position: fixed; top: 14px; right: 14px; width: 38px; height: 38px; border-radius: 50%; background: #ffffff; color: #166534; display: flex; align-items: center; justify-content: center; text-decoration: none; border: 1px solid #e2e8f0; box-shadow: 0 2px 8px rgba(0,0,0,0.05); z-index: 9999; }
+    .home-btn:hover { background: #f1f5f9; }`;
+
+const REPORT_CSS = `
+    .nav-links { display: flex; gap: 1em; margin-bottom: 2em; flex-wrap: wrap; }
+    .nav-link { background: #e7fbe9; color: #166534; padding: 0.5em 1em; border-radius: 6px; text-decoration: none; font-weight: 600; transition: all 0.2s; }
+    .nav-link:hover { background: #bbf7d0; transform: translateY(-1px); }
+    .nav-link.active { background: #16a34a; color: white; }
+    .device-section { margin-top: 2.5em; margin-bottom: 2em; }
+    .device-header { background: linear-gradient(90deg, #bbf7d0 60%, #d1fae5 100%); color: #166534; font-size: 1.2em; font-weight: 700; border-radius: 8px; padding: 0.5em 1.2em; margin-bottom: 0.7em; box-shadow: 0 1px 4px #b0b8c920; letter-spacing: 0.5px; display: inline-block; }
+    table { border-collapse: separate; border-spacing: 0; width: 100%; background: #f9fafb; border-radius: 12px; overflow: hidden; box-shadow: 0 1px 4px #b0b8c920; margin-bottom: 1.5em; table-layout: fixed; }
+    th, td { padding: 0.65em 0.6em; }
+    th { background: #e7fbe9; color: #166534; font-weight: 600; border-bottom: 1px solid #bbf7d0; text-align: left; }
+    th:last-child, td:last-child { text-align: right; }
+    td { color: #3a3a40; font-size: 1em; border-bottom: 1px solid #f1f5f9; text-align: left; vertical-align: top; }
+    td.combinedhex-cell { max-width: 220px; min-width: 120px; word-break: break-all; overflow-wrap: break-word; font-family: 'Fira Mono', 'Consolas', 'Menlo', monospace; background: none; border: none; border-radius: 0; padding: 0.3em 0.5em; }
+    td.decodedvalue-cell { max-width: 260px; word-break: break-word; overflow-wrap: break-word; }
+    tr { transition: background 0.2s; }
+    tr:hover:not(.error) { background: #f3fdf6; }
+    tr.error td { background: #ffeaea !important; color: #b00; }
+    .badge { display: inline-block; padding: 0.15em 0.5em; border-radius: 5px; font-size: 0.97em; font-weight: 600; letter-spacing: 0.5px; }
+    .badge-error { background: #ffeaea; color: #b00; border: 1px solid #fca5a5; }
+    .badge-success.decodedvalue-badge { background: #f0fdf4; color: #166534; border: 1px solid #bbf7d0; font-family: inherit; word-break: break-word; white-space: pre-wrap; display: inline-block; text-align: left; vertical-align: top; margin: 0; padding: 0.2em 0.4em; line-height: 1.3; }`;
+
+/** Stacked table for narrow screens, each cell labelled with its column */
+const MOBILE_TABLE_CSS = (columns) => `
+    @media (max-width: 800px) {
+      .container { padding: 1em 0.2em; }
+      .nav-links { flex-direction: column; }
+      table, thead, tbody, th, td, tr { display: block; }
+      th { position: absolute; left: -9999px; top: -9999px; }
+      tr { margin-bottom: 1.2em; border-radius: 10px; box-shadow: 0 1px 4px #b0b8c920; }
+      td { border: none; position: relative; padding-left: 50%; min-height: 2.2em; text-align: left !important; }
+      td:before { position: absolute; left: 1em; top: 0.8em; width: 45%; white-space: nowrap; font-weight: 600; color: #16a34a; }
+${columns.map((c, i) => `      td:nth-of-type(${i + 1}):before { content: '${c}'; }`).join("\n")}
+    }`;
+
+const INDEX_CSS = `
+    .report-grid { display: grid; gap: 1.5em; margin-top: 2em; }
+    .report-card { background: #f9fafb; border: 2px solid #e7fbe9; border-radius: 12px; padding: 1.5em; transition: all 0.2s; }
+    .report-card:hover { border-color: #16a34a; transform: translateY(-2px); box-shadow: 0 4px 12px #b0b8c920; }
+    .report-title { font-size: 1.3em; font-weight: 700; color: #166534; margin-bottom: 0.5em; }
+    .report-stats { color: #64748b; font-size: 0.9em; margin-bottom: 1em; }
+    .report-link { display: inline-block; background: #16a34a; color: white; padding: 0.7em 1.2em; border-radius: 6px; text-decoration: none; font-weight: 600; transition: all 0.2s; }
+    .report-link:hover { background: #15803d; transform: translateY(-1px); }
+    @media (max-width: 600px) {
+      .container { padding: 1em; }
+      .report-grid { grid-template-columns: 1fr; }
+    }`;
+
+/** Page shell shared by the report pages and the index: head, home button, header. Needs no network. */
+function pageHtml({ site, title, headTitle = title, homeHref = `../${site}_master_index.html`, css, body, script = "" }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${headTitle}</title>
+  ${FAVICON_LINK}
+  <style>${css}
+  </style>
+  ${ICONS_STYLE}
+</head>
+<body>
+  <a href="${homeHref}" class="home-btn" title="Home"><i class="bi bi-house"></i></a>
+  <div class="container">
+    <div class="header"><span class="header-icon"><i class="bi bi-file-earmark-bar-graph"></i></span><h1>${title}</h1></div>
+${body}
+  </div>${script}
+</body>
+</html>`;
+}
+
+/** Element id of a device's section ("TTID 600" → "TTID-600"), for links such as report.html#TTID-600 */
+const deviceAnchor = (key) => String(key).replace(/\s+/g, "-");
+
+const isErrorRow = (row) => /error|no matching entry|invalid address/i.test(String(row.CombinedHex ?? ""))
+  || Boolean(row.DecodeStatus && row.DecodeStatus !== DECODE_STATUS.OK);
+
+/** One table row; CombinedHex loses the Excel quote, DecodedValue becomes a badge */
+function rowHtml(row, columns) {
+  const decodeFailed = row.DecodeStatus && row.DecodeStatus !== DECODE_STATUS.OK;
+  const isError = isErrorRow(row);
+  const cells = columns.map(column => {
+    if (column === "CombinedHex") return `<td class="combinedhex-cell">${String(row.CombinedHex ?? "").replace(/^'/, "")}</td>`;
+    if (column !== "DecodedValue") return `<td>${row[column] ?? ""}</td>`;
+
+    const value = decodeFailed ? row.DecodeError : (row.DecodedValue ?? "");
+    if (isError && value) return `<td class="decodedvalue-cell"><span class="badge badge-error">${value}</span></td>`;
+    if (value === "") return `<td class="decodedvalue-cell"></td>`;
+    // Dates and durations are shown decoded, with the raw number underneath
+    const time = formatSemantic(value, row.Semantic);
+    if (time) return `<td class="decodedvalue-cell"><span class="badge badge-success decodedvalue-badge" title="${time.title}">${time.text}</span>${staleBadgeHtml(row)}<span class="time-raw">${value}</span>${ruleBadgeHtml(row)}</td>`;
+    // Enums and bitfields are shown by name, with the raw number and the per-bit breakdown underneath
+    if (row.DecodedLabel !== undefined) return `<td class="decodedvalue-cell">${valueLabelHtml(row, value)}${ruleBadgeHtml(row)}</td>`;
+    return `<td class="decodedvalue-cell"><span class="badge badge-success decodedvalue-badge">${value}</span>${ruleBadgeHtml(row)}</td>`;
+  });
+  const rowClass = isError ? "error" : ruleRowClass(row) || (row.Stale ? "stale" : "");
+  return `<tr${rowClass ? ` class="${rowClass}"` : ""}>${cells.join("")}</tr>`;
+}
+
+function reportPageHtml(model, report) {
+  const alertTypes = loadAlertTypes();
+  const sections = report.devices.map(device => {
+    const rows = device.rows.filter(row => row.ID);
+    if (!rows.length) return "";
+    return `<div class="device-section" id="${deviceAnchor(device.key)}">`
+      + `<div class="device-header"><i class="bi bi-chevron-down section-toggle"></i>${device.label}${specMapBadgeHtml(device.map)}${deviceRuleBadgeHtml(report.rules, device.key)}${deviceStaleBadgeHtml(rows)}</div>`
+      + alertTimelineHtml(rows, alertTypes)
+      + `<table><thead><tr>${report.columns.map(c => `<th>${c}</th>`).join("")}</tr></thead><tbody>`
+      + rows.map(row => rowHtml(row, report.columns)).join("\n")
+      + `</tbody></table></div>`;
+  }).join("");
+
+  return pageHtml({
+    site: model.site,
+    title: report.title,
+    css: PAGE_CSS("1100px") + REPORT_CSS + MOBILE_TABLE_CSS(report.columns) + TABLE_TOOLS_CSS + RULES_CSS + SPEC_MAP_CSS + ALERTS_CSS + TIME_CSS + LABELS_CSS,
+    script: TABLE_TOOLS_SCRIPT,
+    body: `    <div class="nav-links">
+${model.nav.map(n => `      <a href="${n.file}.html" class="nav-link${n.type === report.type ? " active" : ""}">${n.name}</a>`).join("\n")}
+    </div>
+    ${ruleSummaryHtml(report.rules)}
+    ${stalenessNoteHtml(report.staleness?.checked ? { ...model.staleness, ...report.staleness } : null)}
+    ${tableToolsHtml(model.targetLabel.replace(/s$/, ""))}
+${sections}`,
+  });
+}
+
+function indexPageHtml(model, files) {
+  return pageHtml({
+    site: model.site,
+    title: model.title,
+    headTitle: `${model.title} - ${model.site}`,
+    css: PAGE_CSS("800px") + INDEX_CSS + TIME_CSS,
+    body: `    <p style="color: #64748b; margin-bottom: 2em;">Site: ${model.site} | Generated: ${new Date().toLocaleString()}</p>
+    ${stalenessNoteHtml(model.staleness?.checked ? model.staleness : null)}
+    <div class="report-grid">
+      ${model.reports.map(report => `
+        <div class="report-card">
+          <div class="report-title">${report.deviceType}</div>
+          <div class="report-stats">${model.targetLabel}: ${report.ttidsProcessed ?? report.positionsProcessed} | Entries: ${report.resultsCount}${report.staleness?.stale ? ` | Stale: ${report.staleness.stale}` : ""}</div>
+          <a href="${path.basename(files[report.type])}" class="report-link">View Report</a>
+        </div>
+      `).join("")}
+    </div>`,
+  });
+}
+
+// ---------------- Built-in reporters ----------------
+
+const htmlReporter = {
+  name: "html",
+  write(model) {
+    const files = {};
+    for (const report of model.reports) {
+      files[report.type] = path.join(model.dir, `${report.file}.html`);
+      fs.writeFileSync(files[report.type], reportPageHtml(model, report));
+    }
+    const indexPath = path.join(model.dir, `${model.site}_index.html`);
+    fs.writeFileSync(indexPath, indexPageHtml(model, files));
+    return { files, indexPath };
+  },
+};
+
+const csvReporter = {
+  name: "csv",
+  extension: "csv",
+  render: (report) => new Parser({ fields: report.csvFields }).parse(report.rows),
+};
+
+// Typed per-field records (see modbusRecords.js) with the report's rule summary
+const jsonReporter = {
+  name: "json",
+  extension: "json",
+  render: (report, model) => JSON.stringify({
+    site: model.site,
+    mode: model.mode,
+    deviceType: report.deviceType,
+    type: report.type,
+    rules: report.rules,
+    records: buildRecords(model.site, [{ mode: model.mode, reports: [report] }]),
+  }, null, 2),
+};
+
+// ---------------- Registry ----------------
+
+const reporters = new Map([htmlReporter, csvReporter, jsonReporter].map(r => [r.name, r]));
+
+/**
+ * Adds a reporter (or replaces one of the same name). Either give `write(model)` and write the
+ * files yourself, or `extension` + `render(report, model)` returning one file's text per report.
+ */
+function registerReporter(reporter) {
+  if (!reporter?.name || !(typeof reporter.write === "function" || (reporter.extension && typeof reporter.render === "function"))) {
+    throw new Error("A reporter needs a name and either write(model) or extension + render(report, model)");
+  }
+  reporters.set(reporter.name, reporter);
+  return reporter;
+}
+
+const isModulePath = (name) => /[\\/]|\.c?js$/i.test(name);
+
+/** Reporter by name, or loaded from a module path ("./reporters/markdown.js") exporting one */
+function getReporter(name) {
+  if (isModulePath(name)) {
+    return registerReporter(require(path.resolve(name)));
+  }
+  const reporter = reporters.get(name);
+  if (!reporter) throw new Error(`Unknown reporter "${name}" (registered: ${[...reporters.keys()].join(", ")})`);
+  return reporter;
+}
+
+/** Reporter names from a setting such as "html,csv,json,./myReporter.js" */
+function parseReporters(value) {
+  return String(value ?? "").split(",").map(r => r.trim()).filter(Boolean)
+    .map(r => isModulePath(r) ? r : r.toLowerCase());
+}
+
+const reportersFromEnv = () => parseReporters(process.env.REPORTERS || DEFAULT_REPORTERS.join(","));
+
+/**
+ * Runs the reporters over a reader's result model. Each report gets `outputs` (reporter name →
+ * file) plus `csvPath`/`htmlPath`, and the model the HTML index as `indexPath`.
+ * @returns the model
+ */
+function renderReports(model, names = reportersFromEnv()) {
+  fs.mkdirSync(model.dir, { recursive: true });
+  const selected = [...new Set(["html", ...names])].map(getReporter);
+
+  for (const reporter of selected) {
+    let written;
+    if (reporter.write) {
+      written = reporter.write(model) || {};
+    } else {
+      written = { files: {} };
+      for (const report of model.reports) {
+        written.files[report.type] = path.join(model.dir, `${report.file}.${reporter.extension}`);
+        fs.writeFileSync(written.files[report.type], reporter.render(report, model));
+      }
+    }
+
+    for (const report of model.reports) {
+      if (written.files?.[report.type]) report.outputs = { ...report.outputs, [reporter.name]: written.files[report.type] };
+    }
+    if (reporter.name === "html") model.indexPath = written.indexPath;
+  }
+
+  for (const report of model.reports) {
+    report.csvPath = report.outputs?.csv;
+    report.htmlPath = report.outputs?.html;
+  }
+  return model;
+}
+
+module.exports = {
+  renderReports,
+  registerReporter,
+  getReporter,
+  parseReporters,
+  reportersFromEnv,
+  pageHtml,
+  rowHtml,
+  deviceAnchor,
+  DEFAULT_REPORTERS,
+};
@@ -0,0 +1,216 @@
+// modbusRules.js
+// Threshold assertions on decoded field values: ranges, allowed values, non-empty strings
+// and Last Reported age against the NC clock, attached to spec field IDs in json/field_rules.json.
+
+const fs = require("fs");
+const path = require("path");
+const { DECODE_STATUS } = require("./modbusCodec");
+const { semanticSeconds, formatDuration, ncClock } = require("./modbusTime");
+
+const jsonDir = (process?.resourcesPath && fs.existsSync(path.join(process.resourcesPath, "json")))
+  ? path.join(process.resourcesPath, "json")
+  : path.join(__dirname, "json");
+
+const DEFAULT_RULES_PATH = path.join(jsonDir, "field_rules.json");
+
+// Field that tells an occupied page from an empty slot, per spec
+const IDENTITY_FIELDS = { assets: "Device Type", nc: "System ID" };
+
+// ---------------- Rules ----------------
+
+/**
+ * Rules file: an array of
+ *   { Spec: "assets"|"nc", ID, DeviceTypes?: ["Tracker", ...],
+ *     Min?, Max?, Allowed?: [...], NonEmpty?: true, MaxAgeSec?, Critical?: true }
+ * A missing file means no rules.
+ */
+function loadRules(file = process.env.FIELD_RULES_PATH || DEFAULT_RULES_PATH) {
+  if (!file || !fs.existsSync(file)) return [];
+  const rules = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(rules)) throw new Error(`${path.basename(file)} must be an array of rules`);
+  for (const rule of rules) {
+    if (!rule.ID || !IDENTITY_FIELDS[rule.Spec]) throw new Error(`Rule needs an ID and a Spec (assets or nc): ${JSON.stringify(rule)}`);
+  }
+  return rules;
+}
+
+/**
+ * Returns a failure message, or null if `value` satisfies the rule. MaxAgeSec reads `value` as a
+ * timestamp with the field's time semantic and measures its age from `nowSec`.
+ */
+function checkRule(rule, value, nowSec, semantic = "epoch_s") {
+  const text = String(value ?? "").trim();
+
+  if (rule.NonEmpty && text === "") return "is empty";
+
+  if (rule.Allowed && !rule.Allowed.map(String).includes(text)) {
+    return `${text === "" ? "(empty)" : text} is not one of ${rule.Allowed.join(", ")}`;
+  }
+
+  if (rule.Min !== undefined || rule.Max !== undefined) {
+    const num = Number(value);
+    if (text === "" || !Number.isFinite(num)) return `${text || "(empty)"} is not a number`;
+    if (rule.Min !== undefined && num < rule.Min) return `${num} is below ${rule.Min}`;
+    if (rule.Max !== undefined && num > rule.Max) return `${num} is above ${rule.Max}`;
+  }
+
+  if (rule.MaxAgeSec !== undefined) {
+    const stamp = semanticSeconds(value, semantic);
+    if (!(stamp > 0)) return "has never been set";
+    const age = nowSec - stamp;
+    if (age > rule.MaxAgeSec) return `is ${formatDuration(age)} old (limit ${formatDuration(rule.MaxAgeSec)})`;
+  }
+
+  return null;
+}
+
+// ---------------- Evaluation ----------------
+
+/**
+ * Checks one report's rows against the rules for its spec and marks the rows in place:
+ *   RuleStatus: "pass" | "fail" | "critical", RuleMessage: why it failed
+ * Rows are grouped per device by TTID or Position; empty slots are skipped, and so are
+ * fields that couldn't be read or decoded (they already show as errors).
+ *
+ * @param {object[]} rows - reader rows (ID, DecodedValue, DecodeStatus, TTID | Position)
+ * @param {object[]} rules - see loadRules()
+ * @param {{spec:"assets"|"nc", now?:number}} options - now: epoch seconds MaxAgeSec is measured from
+ *   (the NC clock, see applyReportRules; defaults to the run time)
+ * @returns {{checked:number, passed:number, failed:number, critical:number,
+ *   devices: Record<string, {device:string, deviceType:string, failed:number, critical:number, messages:string[]}>}}
+ */
+function applyRules(rows, rules, { spec, now = Date.now() / 1000 }) {
+  const summary = { checked: 0, passed: 0, failed: 0, critical: 0, devices: {} };
+  const specRules = rules.filter(r => r.Spec === spec);
+  if (!specRules.length) return summary;
+
+  const byDevice = new Map();
+  for (const row of rows) {
+    const device = row.TTID !== undefined && row.TTID !== "" ? `TTID ${row.TTID}`
+      : row.Position !== undefined && row.Position !== "" ? `Position ${row.Position}` : null;
+    if (!device || !row.ID) continue;
+    if (!byDevice.has(device)) byDevice.set(device, new Map());
+    byDevice.get(device).set(String(row.ID).trim().toLowerCase(), row);
+  }
+
+  for (const [device, fields] of byDevice) {
+    const identity = fields.get(IDENTITY_FIELDS[spec].toLowerCase());
+    const deviceType = String(identity?.DecodedValue ?? "").trim();
+    if (!deviceType) continue;
+
+    const result = { device, deviceType, failed: 0, critical: 0, messages: [] };
+    for (const rule of specRules) {
+      if (spec === "assets" && rule.DeviceTypes && !rule.DeviceTypes.some(t => deviceType.toLowerCase().includes(String(t).toLowerCase()))) continue;
+
+      const row = fields.get(String(rule.ID).trim().toLowerCase());
+      if (!row || (row.DecodeStatus && row.DecodeStatus !== DECODE_STATUS.OK) || String(row.CombinedHex).startsWith("Error")) continue;
+
+      summary.checked++;
+      const failure = checkRule(rule, row.DecodedValue, now, row.Semantic || "epoch_s");
+      if (!failure) {
+        summary.passed++;
+        if (!row.RuleStatus) row.RuleStatus = "pass";
+        continue;
+      }
+
+      const message = `${rule.ID} ${failure}`;
+      summary.failed++;
+      result.failed++;
+      result.messages.push(message);
+      if (rule.Critical) {
+        summary.critical++;
+        result.critical++;
+      }
+      row.RuleStatus = rule.Critical || row.RuleStatus === "critical" ? "critical" : "fail";
+      row.RuleMessage = row.RuleMessage ? `${row.RuleMessage}; ${failure}` : failure;
+    }
+    if (result.failed) summary.devices[device] = result;
+  }
+
+  return summary;
+}
+
+/**
+ * Applies the rules to each report of one mode's read (`report.spec` picks them) and sets
+ * `report.rules`. Ages are measured from the NC clock of those reports, the same reference
+ * Last Reported staleness uses, so devices don't fail because the NC's clock differs from ours.
+ */
+function applyReportRules(reports, rules) {
+  const { seconds } = ncClock(reports);
+  for (const report of reports) report.rules = applyRules(report.rows, rules, { spec: report.spec, now: seconds });
+  return reports;
+}
+
+/** Adds rule summaries together (per category, per site) */
+function mergeRuleSummaries(summaries) {
+  const total = { checked: 0, passed: 0, failed: 0, critical: 0, devices: 0 };
+  for (const s of summaries) {
+    if (!s) continue;
+    total.checked += s.checked;
+    total.passed += s.passed;
+    total.failed += s.failed;
+    total.critical += s.critical;
+    total.devices += typeof s.devices === "number" ? s.devices : Object.keys(s.devices).length;
+  }
+  return total;
+}
+
+// ---------------- HTML helpers (shared by the report modules) ----------------
+
+const RULES_CSS = `
+    tr.rule-fail td { background: #fffbeb; }
+    tr.rule-critical td { background: #fff1f2; }
+    .badge-rule { display: inline-block; margin-top: 0.3em; padding: 0.15em 0.5em; border-radius: 5px; font-size: 0.85em; font-weight: 600; background: #fef3c7; color: #92400e; border: 1px solid #fcd34d; }
+    .badge-rule.critical { background: #ffe4e6; color: #be123c; border-color: #fda4af; }
+    .badge-rule.pass { background: #f0fdf4; color: #166534; border-color: #bbf7d0; }
+    .rule-summary { border-radius: 10px; padding: 0.8em 1.2em; margin-bottom: 1.5em; font-weight: 600; }
+    .rule-summary.ok { background: #f0fdf4; color: #166534; border: 1px solid #bbf7d0; }
+    .rule-summary.fail { background: #fffbeb; color: #92400e; border: 1px solid #fcd34d; }
+    .rule-summary.critical { background: #fff1f2; color: #be123c; border: 1px solid #fda4af; }
+    .rule-summary ul { margin: 0.5em 0 0 0; padding-left: 1.2em; font-weight: 400; }`;
+
+/** "rule-fail" / "rule-critical" for a row's <tr> class, or "" */
+function ruleRowClass(row) {
+  return row.RuleStatus === "fail" || row.RuleStatus === "critical" ? `rule-${row.RuleStatus}` : "";
+}
+
+/** Badge under a decoded value that failed a rule */
+function ruleBadgeHtml(row) {
+  if (row.RuleStatus !== "fail" && row.RuleStatus !== "critical") return "";
+  const icon = row.RuleStatus === "critical" ? "bi-x-octagon" : "bi-exclamation-triangle";
+  return `<br><span class="badge-rule ${row.RuleStatus}"><i class="bi ${icon}"></i> ${row.RuleMessage}</span>`;
+}
+
+/** Badge for a device's section header */
+function deviceRuleBadgeHtml(summary, device) {
+  if (!summary.checked) return "";
+  const result = summary.devices[device];
+  if (!result) return ` <span class="badge-rule pass"><i class="bi bi-check2"></i> rules pass</span>`;
+  return ` <span class="badge-rule${result.critical ? " critical" : ""}">${result.failed} rule failure(s)${result.critical ? `, ${result.critical} critical` : ""}</span>`;
+}
+
+/** Summary box for the top of a report */
+function ruleSummaryHtml(summary) {
+  if (!summary.checked) return "";
+  const devices = Object.values(summary.devices);
+  if (!devices.length) {
+    return `<div class="rule-summary ok"><i class="bi bi-check2-circle"></i> All ${summary.checked} rule checks passed</div>`;
+  }
+  return `<div class="rule-summary ${summary.critical ? "critical" : "fail"}">
+      <i class="bi bi-exclamation-triangle"></i> ${summary.failed} of ${summary.checked} rule checks failed on ${devices.length} device(s)${summary.critical ? `, ${summary.critical} critical` : ""}
+      <ul>${devices.map(d => `<li>${d.device} (${d.deviceType}): ${d.messages.join("; ")}</li>`).join("")}</ul>
+    </div>`;
+}
+
+module.exports = {
+  loadRules,
+  applyRules,
+  applyReportRules,
+  checkRule,
+  mergeRuleSummaries,
+  RULES_CSS,
+  ruleRowClass,
+  ruleBadgeHtml,
+  deviceRuleBadgeHtml,
+  ruleSummaryHtml,
+};
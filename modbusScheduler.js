@@ -0,0 +1,177 @@
+// modbusScheduler.js
+// Bounded-parallel Modbus TCP polling: a small pool of connections to one site,
+// per-request timeouts, retry with exponential backoff, and an order-preserving
+// concurrent map so reports stay deterministic.
+
+const ModbusRTU = require("modbus-serial");
+
+// Transport failures worth retrying on a fresh socket
+const TRANSIENT_ERRNOS = ["ETIMEDOUT", "ECONNRESET", "ECONNREFUSED", "EPIPE", "ECONNABORTED"];
+// Modbus exceptions that mean "try again later": acknowledge, busy, gateway path/target
+const RETRYABLE_MODBUS_CODES = [5, 6, 10, 11];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(err) {
+  if (err?.modbusCode !== undefined) return RETRYABLE_MODBUS_CODES.includes(err.modbusCode);
+  return TRANSIENT_ERRNOS.includes(err?.errno) || TRANSIENT_ERRNOS.includes(err?.code);
+}
+
+/** Env setting as an integer of at least `min`, or the default; throws on anything else ("abc", 2.5) */
+function envInteger(name, fallback, min) {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) throw new Error(`${name} must be an integer of at least ${min}, got "${value}"`);
+  return number;
+}
+
+/** Polling knobs, from env with sane defaults */
+function schedulerOptionsFromEnv() {
+  return {
+    concurrency: envInteger("MODBUS_CONCURRENCY", 4, 1),
+    timeoutMs: envInteger("MODBUS_TIMEOUT_MS", 3000, 1),
+    retries: envInteger("MODBUS_RETRIES", 2, 0),
+    backoffMs: envInteger("MODBUS_RETRY_BACKOFF_MS", 250, 0),
+  };
+}
+
+/**
+ * Runs `worker` over `items` with at most `limit` in flight.
+ * Results come back in input order regardless of completion order.
+ */
+async function mapConcurrent(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+/**
+ * Creates a pool of up to `concurrency` TCP connections to one site.
+ * Connections are opened lazily; call open() first to fail fast when the site
+ * is unreachable.
+ *
+ * Tasks get a connection handle bound to a unit ID whose readHoldingRegisters()
+ * applies the timeout and retries transient failures on a fresh socket.
+ *
+ * @param {{site:string, port?:number, concurrency?:number, timeoutMs?:number, retries?:number, backoffMs?:number}} options
+ */
+function createModbusPool({ site, port = 502, ...overrides }) {
+  const { concurrency, timeoutMs, retries, backoffMs } = { ...schedulerOptionsFromEnv(), ...overrides };
+  // A NaN pool size would leave every acquire() waiting forever
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error(`concurrency must be a positive integer, got ${concurrency}`);
+  const size = concurrency;
+  const idle = [];
+  const waiters = []; // { resolve, reject } of tasks waiting for a connection
+  const all = new Set();
+  let closed = false;
+  const stats = { requests: 0, retries: 0, failures: 0 };
+
+  async function connect(client = new ModbusRTU()) {
+    await client.connectTCP(site, { port });
+    client.setTimeout(timeoutMs);
+    return client;
+  }
+
+  // destroy() rather than close(): a hung peer never acknowledges a graceful close
+  function drop(client) {
+    try { client.destroy(() => {}); } catch {}
+  }
+
+  async function reconnect(client) {
+    drop(client);
+    return connect(client);
+  }
+
+  async function acquire() {
+    if (closed) throw new Error("Modbus pool is closed");
+    if (idle.length) return idle.pop();
+    if (all.size < size) {
+      const client = new ModbusRTU();
+      all.add(client);
+      try {
+        return await connect(client);
+      } catch (err) {
+        all.delete(client);
+        throw err;
+      }
+    }
+    return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+  }
+
+  function release(client) {
+    if (closed) return drop(client);
+    const waiter = waiters.shift();
+    if (waiter) waiter.resolve(client);
+    else idle.push(client);
+  }
+
+  function bind(client, unitId) {
+    return {
+      unitId,
+      async readHoldingRegisters(address, length) {
+        for (let attempt = 0; ; attempt++) {
+          stats.requests++;
+          try {
+            if (!client.isOpen) await reconnect(client);
+            client.setID(unitId);
+            return await client.readHoldingRegisters(address, length);
+          } catch (err) {
+            if (!isRetryable(err) || attempt >= retries) {
+              stats.failures++;
+              throw err;
+            }
+            stats.retries++;
+            await sleep(backoffMs * 2 ** attempt);
+            // A fresh socket keeps a late reply from being paired with the next request
+            if (err?.modbusCode === undefined) await reconnect(client).catch(() => {});
+          }
+        }
+      },
+    };
+  }
+
+  return {
+    concurrency: size,
+    stats,
+
+    /** Opens the first connection so connection errors surface immediately */
+    async open() {
+      release(await acquire());
+    },
+
+    /**
+     * Runs `task(connection)` on a pooled connection bound to `unitId`.
+     * @template T
+     * @param {number} unitId
+     * @param {(conn: {unitId:number, readHoldingRegisters:Function}) => Promise<T>} task
+     * @returns {Promise<T>}
+     */
+    async run(unitId, task) {
+      const client = await acquire();
+      try {
+        return await task(bind(client, unitId));
+      } finally {
+        release(client);
+      }
+    },
+
+    /** Drops every connection; tasks still waiting for one reject */
+    close() {
+      closed = true;
+      for (const { reject } of waiters.splice(0)) reject(new Error("Modbus pool closed while waiting for a connection"));
+      for (const client of all) drop(client);
+      all.clear();
+      idle.length = 0;
+    },
+  };
+}
+
+module.exports = { createModbusPool, mapConcurrent, schedulerOptionsFromEnv, envInteger, isRetryable };
@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+// modbusSimulator.js
+// Local Modbus TCP server that serves register pages built from the JSON specs,
+// laid out the way the network controller exposes them in each Modbus mode.
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const ModbusRTU = require("modbus-serial");
+const { computeUnitId, computeStartingAddressForType } = require("./csvModbusTTID");
+const { MODE_MAP } = require("./modbus-set-mode-api");
+const { encodeField } = require("./modbusCodec");
+const { loadSpec } = require("./modbusSpecLint");
+
+const PAGE_SIZE = 512;
+const MAX_ADDRESS = 0x10000;
+
+// ---------------- Paths & spec loading ----------------
+
+const jsonDir = (process?.resourcesPath && fs.existsSync(path.join(process.resourcesPath, "json")))
+  ? path.join(process.resourcesPath, "json")
+  : path.join(__dirname, "json");
+
+const UNSORTED_ASSETS_SPEC_PATH = path.join(jsonDir, "unsorted_assets.json");
+const UNSORTED_NC_SPEC_PATH     = path.join(jsonDir, "unsorted_nc.json");
+
+// ---------------- Device pages ----------------
+
+const DEVICE_TYPE_NAMES = {
+  tracker: "Tracker",
+  weather: "Weather",
+  repeater: "Repeater",
+  companion: "Companion",
+};
+
+// Where each device kind lives on the NC. TTID-mode types follow computeUnitId,
+// legacy-sorted groups assets by kind into their own unit IDs.
+const TTID_DEVICE_TYPES = { tracker: "row", weather: "weather", repeater: "repeater" };
+const LEGACY_SORTED_UNITS = { tracker: 1, repeater: 2, weather: 3 };
+const LEGACY_UNSORTED_UNIT = 1;
+const LEGACY_NC_UNIT = 0;
+
+function defaultAssetValues(device) {
+  const type = String(device.type || "").toLowerCase();
+  if (device.populated === false) return {};
+  return {
+    "Device Type": DEVICE_TYPE_NAMES[type] || device.type || "",
+    "Location Text": device.ttid !== undefined ? String(device.ttid) : "",
+    "Has WX Sensor": type === "weather" ? 1 : 0,
+    "Has Tracker HW": type === "tracker" ? 1 : 0,
+    "Last Reported": Math.floor(Date.now() / 1000),
+  };
+}
+
+function buildPage(spec, values) {
+  const page = new Uint16Array(PAGE_SIZE);
+  for (const field of spec) {
+    if (!(field.ID in values)) continue;
+    page.set(encodeField(values[field.ID], field), Number(field.BaseReg));
+  }
+  return page;
+}
+
+/**
+ * Lays out every device page for one Modbus mode.
+ * @returns {Map<number, Map<number, Uint16Array>>} unitId -> start address -> page
+ */
+function buildLayout(fleet, mode, assetsSpec, ncSpec) {
+  const units = new Map();
+  const place = (unitId, startAddr, page) => {
+    if (!units.has(unitId)) units.set(unitId, new Map());
+    units.get(unitId).set(startAddr, page);
+  };
+
+  const devices = (fleet.devices || []).map(device => ({
+    ...device,
+    type: String(device.type || "").toLowerCase(),
+    page: buildPage(assetsSpec, { ...defaultAssetValues(device), ...(device.values || {}) }),
+  }));
+  const populated = devices.filter(d => d.populated !== false);
+  const ncPage = buildPage(ncSpec, { "Total Assets": populated.length, "Assets Reporting": populated.length, ...(fleet.nc || {}) });
+
+  if (mode === "ttid") {
+    // NC is TTID 1 on unit 100; assets sit on their TTID page in their type's unit
+    place(computeUnitId("network", 1), computeStartingAddressForType("network", 1, 100, 0), ncPage);
+    for (const device of devices) {
+      const ttidType = TTID_DEVICE_TYPES[device.type];
+      const ttidNum = Number(device.ttid);
+      if (!ttidType || !Number.isInteger(ttidNum) || ttidNum < 1) continue;
+      const unitId = computeUnitId(ttidType, ttidNum);
+      place(unitId, computeStartingAddressForType(ttidType, ttidNum, unitId, 0), device.page);
+    }
+    return units;
+  }
+
+  place(LEGACY_NC_UNIT, 0, ncPage);
+
+  if (mode === "legacy-unsorted") {
+    // Every asset on one unit, in the NC's discovery order (position)
+    for (const device of populated) {
+      if (!Number.isInteger(device.position)) continue;
+      place(LEGACY_UNSORTED_UNIT, device.position * PAGE_SIZE, device.page);
+    }
+    return units;
+  }
+
+  if (mode === "legacy-sorted") {
+    // Assets grouped by kind into their own unit, packed from position 0 in TTID order
+    for (const [type, unitId] of Object.entries(LEGACY_SORTED_UNITS)) {
+      populated
+        .filter(d => d.type === type)
+        .sort((a, b) => (Number(a.ttid) || Infinity) - (Number(b.ttid) || Infinity))
+        .forEach((device, pos) => place(unitId, pos * PAGE_SIZE, device.page));
+    }
+    return units;
+  }
+
+  throw new Error(`Unknown Modbus mode "${mode}"`);
+}
+
+// ---------------- Simulator ----------------
+
+/**
+ * Creates a simulated network controller for a fleet description
+ * (see sample_fleet.json). Empty slots read back as zeros; reads that run
+ * past the 16-bit address space get an illegal-address exception.
+ * Register writes are refused with an illegal-function exception until writes
+ * are enabled, either with `writesEnabled` or through the GraphQL mutation.
+ * With `modeSwitchDelayMs`, a mode change shows up in the GraphQL config at once
+ * but the register layout only follows after the delay, like an NC restarting its
+ * Modbus service.
+ *
+ * @param {{nc?:object, devices?:object[]}} fleet
+ * @param {{mode?:string, assetsSpec?:object[], ncSpec?:object[], verbose?:boolean, latencyMs?:number, writesEnabled?:boolean, modeSwitchDelayMs?:number}} [options]
+ */
+function createSimulator(fleet, options = {}) {
+  const assetsSpec = options.assetsSpec || loadSpec(UNSORTED_ASSETS_SPEC_PATH);
+  const ncSpec = options.ncSpec || loadSpec(UNSORTED_NC_SPEC_PATH);
+  const verbose = !!options.verbose;
+  const latencyMs = Number(options.latencyMs || 0);
+  const modeSwitchDelayMs = Number(options.modeSwitchDelayMs || 0);
+
+  let mode = options.mode || "ttid";
+  let configuredMode = mode;
+  let pendingSwitch = null;
+  let layout = buildLayout(fleet, mode, assetsSpec, ncSpec);
+  let writesEnabled = !!options.writesEnabled;
+  let modbusServer = null;
+  let httpServer = null;
+
+  function setMode(nextMode) {
+    const normalized = String(nextMode).toLowerCase();
+    if (!MODE_MAP[normalized]) throw new Error(`Invalid mode "${nextMode}"`);
+    if (normalized !== mode) {
+      layout = buildLayout(fleet, normalized, assetsSpec, ncSpec);
+      mode = normalized;
+      if (verbose) console.log(`🔁 Simulator switched to ${mode} layout`);
+    }
+    configuredMode = mode;
+    return mode;
+  }
+
+  function readRegisters(unitId, address, length) {
+    if (address < 0 || length < 1 || address + length > MAX_ADDRESS) {
+      throw { modbusErrorCode: 0x02, msg: "Illegal data address" };
+    }
+    const pages = layout.get(unitId);
+    const values = [];
+    for (let addr = address; addr < address + length; addr++) {
+      const offset = addr % PAGE_SIZE;
+      const page = pages && pages.get(addr - offset);
+      values.push(page ? page[offset] : 0);
+    }
+    return values;
+  }
+
+  // Writes land in the current layout only; a mode switch rebuilds the pages from the fleet
+  function writeRegisters(unitId, address, values) {
+    if (!writesEnabled) throw { modbusErrorCode: 0x01, msg: "Modbus writes are disabled" };
+    if (address < 0 || values.length < 1 || address + values.length > MAX_ADDRESS) {
+      throw { modbusErrorCode: 0x02, msg: "Illegal data address" };
+    }
+    const pages = layout.get(unitId);
+    values.forEach((value, i) => {
+      const offset = (address + i) % PAGE_SIZE;
+      const page = pages && pages.get(address + i - offset);
+      if (!page) throw { modbusErrorCode: 0x02, msg: "Illegal data address" };
+      page[offset] = value;
+    });
+  }
+
+  // The config answers with the requested mode straight away; the layout may lag behind
+  function requestMode(nextMode) {
+    configuredMode = nextMode;
+    clearTimeout(pendingSwitch);
+    if (modeSwitchDelayMs > 0) pendingSwitch = setTimeout(() => setMode(nextMode), modeSwitchDelayMs);
+    else setMode(nextMode);
+  }
+
+  function modbusServiceConfig() {
+    return { enableModbusService: true, enableModbusWrites: writesEnabled, ...MODE_MAP[configuredMode] };
+  }
+
+  // Minimal stand-in for the NC's GraphQL API so setModbusMode() can drive the layout
+  function handleGraphQL(req, res) {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      let payload = {};
+      try { payload = JSON.parse(body || "{}"); } catch {}
+      const query = String(payload.query || "");
+      const data = {};
+
+      if (/updateModbusServiceConfig/.test(query)) {
+        const flags = payload.variables?.modbusServiceConfigData || {};
+        const current = MODE_MAP[configuredMode];
+        const legacy = flags.enableLegacyMode ?? current.enableLegacyMode;
+        const sorting = flags.enableModbusSorting ?? current.enableModbusSorting;
+        requestMode(!legacy ? "ttid" : sorting ? "legacy-sorted" : "legacy-unsorted");
+        if (flags.enableModbusWrites !== undefined) writesEnabled = !!flags.enableModbusWrites;
+        data.updateModbusServiceConfig = { __typename: "SystemConfig", modbusService: { __typename: "ModbusService", ...modbusServiceConfig() } };
+      } else if (/systemConfig/.test(query)) {
+        data.systemConfig = { __typename: "SystemConfig", modbusService: { __typename: "ModbusService", ...modbusServiceConfig() } };
+      } else if (/modbusService/.test(query)) {
+        data.modbusService = { __typename: "ModbusService", ...modbusServiceConfig() };
+      }
+
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ data }));
+    });
+  }
+
+  // Answers a read, optionally after a delay that mimics a slow field network
+  function respond(unitId, address, length, callback) {
+    const reply = () => {
+      let values;
+      try {
+        values = readRegisters(unitId, address, length);
+      } catch (err) {
+        return callback(err);
+      }
+      callback(null, values);
+    };
+    if (latencyMs > 0) setTimeout(reply, latencyMs);
+    else reply();
+  }
+
+  async function start({ host = "0.0.0.0", port = 502, httpPort } = {}) {
+    const single = (callback) => (err, values) => callback(err, values && values[0]);
+    const vector = {
+      getHoldingRegister: (addr, unitId, callback) => respond(unitId, addr, 1, single(callback)),
+      getMultipleHoldingRegisters: (addr, length, unitId, callback) => respond(unitId, addr, length, callback),
+      getInputRegister: (addr, unitId, callback) => respond(unitId, addr, 1, single(callback)),
+      getMultipleInputRegisters: (addr, length, unitId, callback) => respond(unitId, addr, length, callback),
+      setRegister: (addr, value, unitId) => writeRegisters(unitId, addr, [value]),
+      setRegisterArray: (addr, values, unitId) => writeRegisters(unitId, addr, values),
+    };
+
+    await new Promise((resolve, reject) => {
+      // unitID 255 makes the server answer for every unit, like the NC gateway
+      modbusServer = new ModbusRTU.ServerTCP(vector, { host, port, unitID: 255 });
+      modbusServer.once("initialized", resolve);
+      modbusServer.once("serverError", reject);
+    });
+
+    if (httpPort !== undefined) {
+      await new Promise((resolve, reject) => {
+        httpServer = http.createServer((req, res) => {
+          if (req.method === "POST" && req.url.startsWith("/graphql")) return handleGraphQL(req, res);
+          res.writeHead(404);
+          res.end();
+        });
+        httpServer.once("error", reject);
+        httpServer.listen(httpPort, host, resolve);
+      });
+    }
+  }
+
+  async function stop() {
+    clearTimeout(pendingSwitch);
+    if (modbusServer) await new Promise(resolve => modbusServer.close(resolve));
+    if (httpServer) await new Promise(resolve => httpServer.close(resolve));
+    modbusServer = null;
+    httpServer = null;
+  }
+
+  return {
+    start,
+    stop,
+    setMode,
+    getMode: () => mode,
+    readRegisters,
+    writeRegisters,
+  };
+}
+
+// --- Exports (library) ---
+module.exports = { createSimulator, buildLayout };
+
+// --- CLI glue ---
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = process.argv.slice(2);
+      const getFlag = (name, fallback) => {
+        const i = args.findIndex(a => a === `--${name}`);
+        return (i !== -1 && i + 1 < args.length) ? args[i + 1] : fallback;
+      };
+
+      const fleetPath = getFlag("fleet", process.env.SIM_FLEET_PATH || path.join(__dirname, "sample_fleet.json"));
+      const mode      = (getFlag("mode", "ttid") || "").toLowerCase();
+      const host      = getFlag("host", "0.0.0.0");
+      const port      = Number(getFlag("port", process.env.MODBUS_PORT || 502));
+      const httpPort  = Number(getFlag("http-port", 4000));
+      const latencyMs = Number(getFlag("latency-ms", 0));
+      const modeSwitchDelayMs = Number(getFlag("mode-delay-ms", 0));
+      const verbose   = args.includes("--verbose");
+      const writesEnabled = args.includes("--enable-writes");
+
+      if (!MODE_MAP[mode] || !fs.existsSync(fleetPath)) {
+        console.error('Usage: node modbusSimulator.js [--fleet sample_fleet.json] [--mode ttid|legacy-unsorted|legacy-sorted] [--port 502] [--http-port 4000] [--latency-ms 0] [--mode-delay-ms 0] [--enable-writes] [--verbose]');
+        process.exit(1);
+      }
+
+      const fleet = JSON.parse(fs.readFileSync(fleetPath, "utf8"));
+      const simulator = createSimulator(fleet, { mode, verbose, latencyMs, writesEnabled, modeSwitchDelayMs });
+      await simulator.start({ host, port, httpPort });
+
+      console.log(`🛰️  Modbus simulator for ${fleet.site || path.basename(fleetPath)} (${simulator.getMode()} layout)`);
+      console.log(`   • Modbus TCP: ${host}:${port}`);
+      console.log(`   • GraphQL:    http://${host === "0.0.0.0" ? "127.0.0.1" : host}:${httpPort}/graphql`);
+
+      const shutdown = () => simulator.stop().then(() => process.exit(0));
+      process.on("SIGINT", shutdown);
+      process.on("SIGTERM", shutdown);
+    } catch (err) {
+      console.error("❌", err.message || err);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,306 @@
+// modbusSiteMap.js
+// Site map next to the master index: every device plotted from its Latitude/Longitude registers
+// around the network controller, coloured by device type and ringed by status (read errors,
+// tracking fault, Last Reported lagging the NC clock). Drawn as inline SVG; every marker links to the device's section.
+
+const fs = require("fs");
+const path = require("path");
+const { rowError } = require("./modbusSnapshot");
+const { pageHtml, deviceAnchor } = require("./modbusReporters");
+const { niceTicks } = require("./modbusDashboard");
+const { formatDuration } = require("./modbusTime");
+
+// Where the devices are taken from, in order of preference (one mode, so devices aren't plotted twice)
+const SOURCE_MODES = ["ttid", "legacy-sorted", "legacy-unsorted"];
+const NC_REPORT_TYPE = /^(network|nc|legacy-network)$/;
+
+const TYPE_COLORS = [
+  { match: /tracker/i, color: "#16a34a", label: "Tracker" },
+  { match: /weather/i, color: "#0284c7", label: "Weather" },
+  { match: /repeater/i, color: "#9333ea", label: "Repeater" },
+  { match: /./, color: "#64748b", label: "Other" },
+];
+
+// Ring drawn around a marker, worst first
+const STATUSES = {
+  error: { color: "#e11d48", label: "Read errors" },
+  tracking: { color: "#ea580c", label: "Tracking Status fault" },
+  stale: { color: "#f59e0b", label: "Stale Last Reported" },
+  ok: { color: "#ffffff", label: "OK" },
+};
+
+// ---------------- Data ----------------
+
+const valueOf = (rows, id) => {
+  const row = rows.find(r => String(r.ID ?? "").trim() === id && !rowError(r));
+  return row ? String(row.DecodedValue ?? "").trim() : "";
+};
+
+/** Latitude/Longitude as numbers, or null when unread, not a number or still 0/0 */
+function coordinates(rows) {
+  const lat = Number(valueOf(rows, "Latitude"));
+  const lon = Number(valueOf(rows, "Longitude"));
+  if (valueOf(rows, "Latitude") === "" || valueOf(rows, "Longitude") === "") return null;
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  if (lat === 0 && lon === 0) return null;
+  return { lat, lon };
+}
+
+function deviceStatus(rows) {
+  const notes = [];
+  const errors = rows.filter(r => rowError(r)).length;
+  if (errors) notes.push({ status: "error", text: `${errors} read error(s)` });
+
+  const tracking = rows.find(r => String(r.ID ?? "").trim() === "Tracking Status");
+  if (tracking && (tracking.RuleStatus === "fail" || tracking.RuleStatus === "critical")) {
+    notes.push({ status: "tracking", text: `Tracking Status: ${tracking.RuleMessage || tracking.DecodedValue}` });
+  }
+
+  // Stale and LagSec come from markStaleDevices (Last Reported against the NC clock)
+  const lastReported = rows.find(r => String(r.ID ?? "").trim() === "Last Reported" && r.LagSec !== undefined);
+  if (lastReported?.Stale) notes.push({ status: "stale", text: `Last Reported ${formatDuration(lastReported.LagSec)} behind the NC` });
+
+  return { status: notes[0]?.status || "ok", notes, lag: lastReported ? lastReported.LagSec : null };
+}
+
+/**
+ * Devices of the first mode in SOURCE_MODES with any positioned device, plus its network controller.
+ * `href` is relative to `dir` (the site map's folder).
+ * @returns {{source:string|null, staleness:object|null, nc:object|null, devices:object[]}}
+ */
+function collectSiteDevices(categories, dir) {
+  for (const mode of SOURCE_MODES) {
+    const category = categories.find(c => c.mode === mode);
+    if (!category) continue;
+
+    let nc = null;
+    const devices = [];
+    for (const report of category.reports) {
+      const page = report.htmlPath ? path.relative(dir, report.htmlPath).replace(/\\/g, "/") : "";
+      for (const device of report.devices || []) {
+        const rows = device.rows || [];
+        const deviceType = NC_REPORT_TYPE.test(report.type) ? "Network Controller" : valueOf(rows, "Device Type");
+        // No Device Type: an empty slot (all zeros) or a TTID/position with no device behind it (every read failed)
+        if (!deviceType) continue;
+
+        const entry = {
+          key: device.key,
+          deviceType,
+          locationText: valueOf(rows, "Location Text"),
+          href: page ? `${page}#${deviceAnchor(device.key)}` : "",
+          position: coordinates(rows),
+          ...deviceStatus(rows),
+        };
+        if (NC_REPORT_TYPE.test(report.type)) nc = nc || entry;
+        else devices.push(entry);
+      }
+    }
+
+    if (devices.some(d => d.position) || nc?.position) return { source: category.category, staleness: category.staleness || null, nc, devices };
+  }
+  return { source: null, staleness: null, nc: null, devices: [] };
+}
+
+// ---------------- Map ----------------
+
+const W = 960;
+const H = 560;
+const PAD = 40;
+const METERS_PER_DEG_LAT = 110574;
+const METERS_PER_DEG_LON = 111320;
+
+const fmt = (v, digits = 1) => String(Number(v.toFixed(digits)));
+const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;");
+const typeOf = (device) => TYPE_COLORS.find(t => t.match.test(device.deviceType));
+
+function formatDistance(m) {
+  return m < 1000 ? `${fmt(m, 0)} m` : `${fmt(m / 1000, 2)} km`;
+}
+
+/**
+ * Equirectangular projection in metres around `origin` (the NC, or the devices' centre without one),
+ * which is plenty for a site a few kilometres across. Adds `xy` (metres east/north) to positioned devices.
+ */
+function project(devices, origin) {
+  const cosLat = Math.cos(origin.lat * Math.PI / 180);
+  for (const d of devices) {
+    if (!d.position) continue;
+    d.xy = {
+      x: (d.position.lon - origin.lon) * METERS_PER_DEG_LON * cosLat,
+      y: (d.position.lat - origin.lat) * METERS_PER_DEG_LAT,
+    };
+    d.distance = Math.hypot(d.xy.x, d.xy.y);
+  }
+}
+
+function siteMapSvg({ nc, devices }) {
+  const placed = [nc, ...devices].filter(d => d?.position);
+  if (!placed.length) return `<div class="chart-empty"><i class="bi bi-dash-circle"></i> No Latitude/Longitude read</div>`;
+
+  const origin = nc?.position || {
+    lat: placed.reduce((s, d) => s + d.position.lat, 0) / placed.length,
+    lon: placed.reduce((s, d) => s + d.position.lon, 0) / placed.length,
+  };
+  project(placed, origin);
+
+  // Same metres-per-pixel both ways; at least 100 m across so one spot doesn't fill the page
+  const xs = placed.map(d => d.xy.x);
+  const ys = placed.map(d => d.xy.y);
+  const spanX = Math.max(100, Math.max(...xs) - Math.min(...xs));
+  const spanY = Math.max(100, Math.max(...ys) - Math.min(...ys));
+  const k = Math.min((W - 2 * PAD) / spanX, (H - 2 * PAD) / spanY);
+  const cx = (Math.max(...xs) + Math.min(...xs)) / 2;
+  const cy = (Math.max(...ys) + Math.min(...ys)) / 2;
+  const px = (x) => W / 2 + (x - cx) * k;
+  const py = (y) => H / 2 - (y - cy) * k;
+
+  // Grid and scale bar in round metres
+  const { step } = niceTicks(0, (W - 2 * PAD) / k / 6, 1);
+  const grid = [];
+  for (let x = Math.ceil((cx - W / 2 / k) / step) * step; x <= cx + W / 2 / k; x += step) grid.push(`<line x1="${px(x)}" x2="${px(x)}" y1="0" y2="${H}" class="grid"/>`);
+  for (let y = Math.ceil((cy - H / 2 / k) / step) * step; y <= cy + H / 2 / k; y += step) grid.push(`<line x1="0" x2="${W}" y1="${py(y)}" y2="${py(y)}" class="grid"/>`);
+  const scaleBar = `<line x1="${PAD}" x2="${PAD + step * k}" y1="${H - 16}" y2="${H - 16}" class="scale"/>`
+    + `<text x="${PAD + step * k / 2}" y="${H - 22}" class="tick" text-anchor="middle">${formatDistance(step)}</text>`;
+  const north = `<path d="M${W - 28} ${PAD - 4}l6 14h-12z" class="north"/><text x="${W - 28}" y="${PAD + 24}" class="tick" text-anchor="middle">N</text>`;
+
+  // Devices sharing a spot (same coordinates, or a few pixels apart) are fanned out around it
+  const spots = new Map();
+  for (const d of devices.filter(d => d.position)) {
+    const at = `${Math.round(px(d.xy.x) / 6)},${Math.round(py(d.xy.y) / 6)}`;
+    if (!spots.has(at)) spots.set(at, []);
+    spots.get(at).push(d);
+  }
+  const markers = [...spots.values()].map(group => {
+    const x0 = px(group[0].xy.x);
+    const y0 = py(group[0].xy.y);
+    const radius = group.length > 1 ? Math.max(12, group.length * 3) : 0;
+    return (group.length > 1 ? `<circle cx="${x0}" cy="${y0}" r="2" class="spot"/>` : "")
+      + group.map((d, i) => {
+        const angle = 2 * Math.PI * i / group.length - Math.PI / 2;
+        const x = x0 + radius * Math.cos(angle);
+        const y = y0 + radius * Math.sin(angle);
+        const title = [`${d.key} · ${d.deviceType}${d.locationText ? ` · ${d.locationText}` : ""}`,
+          `${fmt(d.position.lat, 6)}, ${fmt(d.position.lon, 6)}${nc?.position ? ` · ${formatDistance(d.distance)} from NC` : ""}`,
+          ...d.notes.map(n => n.text)].join("\n");
+        return (radius ? `<line x1="${x0}" y1="${y0}" x2="${x}" y2="${y}" class="tether"/>` : "")
+          + `<a href="${esc(d.href)}"><title>${esc(title)}</title><circle cx="${x}" cy="${y}" r="6.5" fill="${typeOf(d).color}" stroke="${STATUSES[d.status].color}" class="marker ${d.status}"/></a>`;
+      }).join("");
+  }).join("");
+
+  const ncMarker = nc?.position
+    ? `<a href="${esc(nc.href)}"><title>${esc([`Network Controller · ${fmt(nc.position.lat, 6)}, ${fmt(nc.position.lon, 6)}`, ...nc.notes.map(n => n.text)].join("\n"))}</title>`
+      + `<rect x="${px(0) - 8}" y="${py(0) - 8}" width="16" height="16" transform="rotate(45 ${px(0)} ${py(0)})" stroke="${STATUSES[nc.status].color}" class="nc ${nc.status}"/></a>`
+    : "";
+
+  return `<svg viewBox="0 0 ${W} ${H}" class="map" role="img">${grid.join("")}${markers}${ncMarker}${scaleBar}${north}</svg>`;
+}
+
+// ---------------- Page ----------------
+
+const SITE_MAP_CSS = `
+    .subtitle { color: #64748b; margin: -1.2em 0 2em 0; }
+    .stats-bar { display: flex; gap: 1em; flex-wrap: wrap; margin-bottom: 2em; }
+    .stat-item { flex: 1; min-width: 120px; background: #f9fafb; border: 2px solid #e7fbe9; border-radius: 12px; padding: 1em; text-align: center; }
+    .stat-number { font-size: 1.8em; font-weight: 700; color: #16a34a; }
+    .stat-number.warn { color: #be123c; }
+    .stat-label { color: #64748b; font-size: 0.9em; }
+    .map-card { background: #f9fafb; border: 2px solid #e7fbe9; border-radius: 12px; padding: 1.2em 1.5em; margin-bottom: 1.5em; }
+    .map { width: 100%; height: auto; display: block; background: #fff; border-radius: 8px; }
+    .map .grid { stroke: #eef2f6; }
+    .map .tick { font-size: 11px; fill: #64748b; }
+    .map .scale { stroke: #475569; stroke-width: 3; }
+    .map .north { fill: #475569; }
+    .map .marker { stroke-width: 2.5; }
+    .map .marker.ok { stroke: #166534; stroke-width: 1; }
+    .map .nc { fill: #22223b; stroke-width: 3; }
+    .map .nc.ok { stroke: #22223b; }
+    .map .spot { fill: #94a3b8; }
+    .map .tether { stroke: #cbd5e1; }
+    .map a:hover circle, .map a:hover rect { stroke: #22223b; stroke-width: 3; }
+    .legend { display: flex; flex-wrap: wrap; gap: 1.2em; color: #475569; font-size: 0.9em; margin-top: 0.8em; }
+    .legend i { display: inline-block; width: 0.8em; height: 0.8em; border-radius: 50%; vertical-align: -0.05em; margin-right: 0.3em; }
+    .legend .ring { background: #fff; border: 3px solid; width: 0.5em; height: 0.5em; }
+    .legend .nc-mark { background: #22223b; border-radius: 1px; transform: rotate(45deg); }
+    .chart-empty { color: #64748b; font-style: italic; padding: 1em 0; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.95em; }
+    th { background: #e7fbe9; color: #166534; text-align: left; padding: 0.6em 0.8em; }
+    td { padding: 0.5em 0.8em; border-bottom: 1px solid #f1f5f9; }
+    td a { color: #166534; font-weight: 600; text-decoration: none; }
+    tr.error td { background: #fff1f2; }
+    tr.tracking td, tr.stale td { background: #fffbeb; }
+    .status { display: inline-flex; align-items: center; gap: 0.3em; }`;
+
+function siteMapHtml(site, data) {
+  const { source, staleness, nc, devices } = data;
+  const map = siteMapSvg(data);
+  const count = (status) => devices.filter(d => d.status === status).length;
+  const unplaced = devices.filter(d => !d.position).length;
+  const stat = (n, label, warn = false) => `<div class="stat-item"><div class="stat-number${warn && n ? " warn" : ""}">${n}</div><div class="stat-label">${label}</div></div>`;
+
+  const types = TYPE_COLORS.filter(t => devices.some(d => typeOf(d) === t));
+  const legend = types.map(t => `<span><i style="background:${t.color}"></i>${t.label}</span>`).join("")
+    + `<span><i class="nc-mark"></i>Network Controller</span>`
+    + Object.entries(STATUSES).filter(([s]) => s !== "ok").map(([, s]) => `<span><i class="ring" style="border-color:${s.color}"></i>${s.label}</span>`).join("")
+    + (staleness ? `<span>Stale: Last Reported more than ${formatDuration(staleness.staleAfterSec)} behind the NC clock (${staleness.clockSource})</span>` : "");
+
+  const rows = [nc, ...devices].filter(Boolean).map(d => `
+        <tr class="${d.status === "ok" ? "" : d.status}">
+          <td>${d.href ? `<a href="${esc(d.href)}">${esc(d.key)}</a>` : esc(d.key)}</td>
+          <td>${esc(d.deviceType)}</td>
+          <td>${esc(d.locationText)}</td>
+          <td>${d.position ? `${fmt(d.position.lat, 6)}, ${fmt(d.position.lon, 6)}` : "–"}</td>
+          <td>${d.position && nc?.position ? formatDistance(d.distance) : "–"}</td>
+          <td>${d.lag !== null ? `${formatDuration(Math.max(0, d.lag))} behind NC` : "–"}</td>
+          <td>${d.notes.length ? d.notes.map(n => `<span class="status"><i class="bi bi-exclamation-triangle" style="color:${STATUSES[n.status].color}"></i>${esc(n.text)}</span>`).join("<br>") : `<span class="status"><i class="bi bi-check-circle" style="color:#16a34a"></i>OK</span>`}</td>
+        </tr>`).join("");
+
+  return pageHtml({
+    site,
+    title: "Site Map",
+    headTitle: `Site Map - ${site}`,
+    homeHref: `${site}_master_index.html`,
+    css: SITE_MAP_CSS,
+    body: `    <div class="subtitle">Site: ${site} | ${source ? `Devices from ${source}` : "No Latitude/Longitude read"} | Generated: ${new Date().toLocaleString()}</div>
+    <div class="stats-bar">
+      ${stat(devices.length - unplaced, "Devices Placed")}
+      ${stat(unplaced, "No Position", true)}
+      ${stat(count("error"), "Read Errors", true)}
+      ${stat(count("tracking"), "Tracking Faults", true)}
+      ${stat(count("stale"), "Stale", true)}
+    </div>
+    <div class="map-card">
+      ${map}
+      <div class="legend">${legend}</div>
+    </div>
+    ${nc && !nc.position ? `<p class="chart-empty">The network controller's position was not read; the map is centred on the devices.</p>` : ""}
+    <table>
+      <thead><tr><th>Device</th><th>Device Type</th><th>Location Text</th><th>Latitude, Longitude</th><th>From NC</th><th>Last Reported</th><th>Status</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`,
+  });
+}
+
+/**
+ * Writes `<dir>/<site>_site_map.html` from generateAllReports categories (reports with devices and htmlPath).
+ * @returns {{htmlPath:string, source:string|null, placed:number, devices:number, flagged:number}}
+ */
+function writeSiteMap(site, categories, dir) {
+  const data = collectSiteDevices(categories, dir);
+  const htmlPath = path.join(dir, `${site}_site_map.html`);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(htmlPath, siteMapHtml(site, data));
+  return {
+    htmlPath,
+    source: data.source,
+    placed: data.devices.filter(d => d.position).length,
+    devices: data.devices.length,
+    flagged: data.devices.filter(d => d.status !== "ok").length,
+  };
+}
+
+module.exports = {
+  writeSiteMap,
+  collectSiteDevices,
+  siteMapHtml,
+};
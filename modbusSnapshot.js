@@ -0,0 +1,110 @@
+// modbusSnapshot.js
+// Machine-readable snapshot of every decoded value from a report run, keyed by
+// site / mode / device (TTID or position) / field ID, so runs can be diffed later.
+
+const fs = require("fs");
+const path = require("path");
+const { DECODE_STATUS } = require("./modbusCodec");
+
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_SNAPSHOT_DIR = path.resolve(__dirname, "modbus_snapshots");
+
+// Fields that tell an occupied page from an empty slot
+const IDENTITY_FIELDS = ["Device Type", "System ID"];
+
+const safeName = (s) => String(s).replace(/[^\w.-]+/g, "_");
+
+// TTID rows carry TTID, position rows carry Position; separators carry neither
+function deviceName(row) {
+  if (row.TTID !== undefined && row.TTID !== "") return `TTID ${row.TTID}`;
+  if (row.Position !== undefined && row.Position !== "") return `Position ${row.Position}`;
+  return null;
+}
+
+function rowError(row) {
+  if (row.DecodeStatus && row.DecodeStatus !== DECODE_STATUS.OK) return row.DecodeError || row.DecodeStatus;
+  const hex = String(row.CombinedHex ?? "");
+  if (hex.startsWith("Error: ")) return hex.slice("Error: ".length);
+  if (hex === "Invalid field spec" || hex === "Invalid TTID") return hex;
+  return null;
+}
+
+/**
+ * Builds a snapshot from generateAllReports categories (each report carries its rows).
+ *
+ * {
+ *   version, site, takenAt,
+ *   devices: {
+ *     "<mode>/<type>/<TTID n | Position n>": {
+ *       mode, type, device, unitId, present,
+ *       values: { "<field ID>": value },   // BigInts as strings
+ *       errors: { "<field ID>": message }
+ *     }
+ *   }
+ * }
+ */
+function buildSnapshot(site, categories, takenAt = new Date()) {
+  const devices = {};
+
+  for (const category of categories) {
+    for (const report of category.reports || []) {
+      for (const row of report.rows || []) {
+        const device = deviceName(row);
+        if (!row.ID || !device) continue;
+
+        const key = `${category.mode}/${report.type}/${device}`;
+        if (!devices[key]) {
+          devices[key] = { mode: category.mode, type: report.type, device, unitId: row.UnitID, present: false, values: {}, errors: {} };
+        }
+
+        const error = rowError(row);
+        if (error) {
+          devices[key].errors[row.ID] = error;
+        } else {
+          const value = typeof row.DecodedValue === "bigint" ? row.DecodedValue.toString() : row.DecodedValue;
+          devices[key].values[row.ID] = value;
+          if (IDENTITY_FIELDS.includes(row.ID) && String(value).trim() !== "") devices[key].present = true;
+        }
+      }
+    }
+  }
+
+  return { version: SNAPSHOT_VERSION, site, takenAt: takenAt.toISOString(), devices };
+}
+
+/** Writes a snapshot as <site>_<timestamp>.json and returns its path */
+function saveSnapshot(snapshot, dir = DEFAULT_SNAPSHOT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${safeName(snapshot.site)}_${snapshot.takenAt.replace(/[:.]/g, "-")}.json`);
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+  return file;
+}
+
+function loadSnapshot(file) {
+  const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (snapshot.version !== SNAPSHOT_VERSION || !snapshot.devices) {
+    throw new Error(`Not a version ${SNAPSHOT_VERSION} snapshot: ${file}`);
+  }
+  return snapshot;
+}
+
+/** Snapshot files for a site, oldest first */
+function listSnapshots(site, dir = DEFAULT_SNAPSHOT_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  const prefix = `${safeName(site)}_`;
+  return fs.readdirSync(dir)
+    .filter(f => f.startsWith(prefix) && f.endsWith(".json"))
+    .sort()
+    .map(f => path.join(dir, f));
+}
+
+module.exports = {
+  DEFAULT_SNAPSHOT_DIR,
+  buildSnapshot,
+  saveSnapshot,
+  loadSnapshot,
+  listSnapshots,
+  deviceName,
+  rowError,
+  IDENTITY_FIELDS,
+};
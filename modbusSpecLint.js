@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+// modbusSpecLint.js
+// Register map linter for the JSON field specs (every map in json/spec_registry.json):
+// unique IDs, known codecs and types, sizes that match the codec, no overlapping fields and
+// nothing past the 512-register page. loadSpec() runs it before a spec is used for reads.
+
+const fs = require("fs");
+const path = require("path");
+const { getCodec, normalizeCodec } = require("./modbusCodec");
+const { SEMANTICS } = require("./modbusTime");
+const { loadValueTables, checkFieldTables } = require("./modbusValueLabels");
+
+const PAGE_SIZE = 512;
+// Register block each spec describes: asset pages (remote_regs) and the NC page (tc_regs)
+const KNOWN_TYPES = ["remote_regs", "tc_regs"];
+
+// ---------------- Lint ----------------
+
+/**
+ * Checks a parsed spec. Errors make the spec unusable; warnings are worth a look.
+ * @param {any} entries - parsed spec JSON (should be an array of fields)
+ * @returns {{errors:{ID:string, message:string}[], warnings:{ID:string, message:string}[]}}
+ */
+function lintSpec(entries) {
+  const errors = [];
+  const warnings = [];
+  const error = (ID, message) => errors.push({ ID, message });
+
+  if (!Array.isArray(entries)) {
+    error("", "spec must be an array of fields");
+    return { errors, warnings };
+  }
+
+  const seen = new Map();
+  const placed = [];
+  const valueTables = loadValueTables();
+
+  entries.forEach((entry, i) => {
+    const ID = typeof entry?.ID === "string" ? entry.ID.trim() : "";
+    const label = ID || `entry #${i + 1}`;
+    if (!ID) {
+      error(label, "ID is missing");
+    } else if (seen.has(ID.toLowerCase())) {
+      error(label, `duplicate ID (also entry #${seen.get(ID.toLowerCase()) + 1})`);
+    } else {
+      seen.set(ID.toLowerCase(), i);
+      if (ID !== entry.ID) warnings.push({ ID: label, message: "ID has leading/trailing spaces" });
+    }
+
+    if (!KNOWN_TYPES.includes(entry?.Type)) error(label, `unknown Type "${entry?.Type}" (expected ${KNOWN_TYPES.join(" or ")})`);
+
+    const baseReg = entry?.BaseReg;
+    const size = entry?.Size;
+    const validBase = Number.isInteger(baseReg) && baseReg >= 0;
+    const validSize = Number.isInteger(size) && size > 0;
+    if (!validBase) error(label, `BaseReg must be a non-negative integer, got ${JSON.stringify(baseReg)}`);
+    if (!validSize) error(label, `Size must be a positive integer, got ${JSON.stringify(size)}`);
+    if (validBase && validSize && baseReg + size > PAGE_SIZE) {
+      error(label, `registers ${baseReg}–${baseReg + size - 1} run past the ${PAGE_SIZE}-register page`);
+    }
+
+    const codec = getCodec(entry?.Codec);
+    if (!codec) {
+      error(label, `unknown Codec "${entry?.Codec}"`);
+    } else if (codec.registers && validSize && codec.registers !== size) {
+      error(label, `${entry.Codec} needs ${codec.registers} register(s), Size is ${size}`);
+    }
+
+    for (const key of ["Scale", "Offset"]) {
+      if (entry?.[key] === undefined) continue;
+      if (!Number.isFinite(Number(entry[key]))) error(label, `${key} must be a number, got ${JSON.stringify(entry[key])}`);
+      else if (codec && !codec.numeric) warnings.push({ ID: label, message: `${key} has no effect on ${entry.Codec}` });
+    }
+
+    if (entry?.Semantic !== undefined) {
+      if (!SEMANTICS[entry.Semantic]) error(label, `unknown Semantic "${entry.Semantic}" (expected ${Object.keys(SEMANTICS).join(", ")})`);
+      else if (codec && !codec.numeric) warnings.push({ ID: label, message: `Semantic ${entry.Semantic} needs a numeric codec, not ${entry.Codec}` });
+    }
+
+    const tableKind = entry?.Bits !== undefined ? "Bits" : entry?.Enum !== undefined ? "Enum" : null;
+    if (tableKind) {
+      for (const problem of checkFieldTables(entry, valueTables)) error(label, problem);
+      if (codec && !codec.numeric && codec.name !== "boolean") warnings.push({ ID: label, message: `${tableKind} needs a numeric codec, not ${entry.Codec}` });
+    }
+
+    if (validBase && validSize) placed.push({ label, start: baseReg, end: baseReg + size - 1 });
+  });
+
+  placed.sort((a, b) => a.start - b.start || a.end - b.end);
+  placed.forEach((field, i) => {
+    // Every earlier field, not just the previous one: a long field can cover several short ones
+    for (const other of placed.slice(0, i)) {
+      if (other.end >= field.start) {
+        error(field.label, `registers ${field.start}–${field.end} overlap ${other.label} (${other.start}–${other.end})`);
+      }
+    }
+  });
+
+  return { errors, warnings };
+}
+
+// ---------------- Loading ----------------
+
+const cache = new Map(); // resolved path -> { mtimeMs, entries }
+
+/**
+ * Reads and lints a spec file; throws with every problem listed if it has errors.
+ * Linted specs are cached until the file changes, so calling this before every read is cheap.
+ */
+function loadSpec(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) throw new Error(`Spec not found: ${resolved}`);
+  const { mtimeMs } = fs.statSync(resolved);
+  const cached = cache.get(resolved);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.entries;
+
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  } catch (err) {
+    throw new Error(`${path.basename(file)} is not valid JSON: ${err.message}`);
+  }
+
+  const { errors } = lintSpec(entries);
+  if (errors.length) {
+    throw new Error(`${path.basename(file)} failed the spec lint (${errors.length} problem(s)):\n` +
+      errors.map(e => `  • ${e.ID}: ${e.message}`).join("\n") +
+      `\nRun "node modbusSpecLint.js ${file}" for the register layout.`);
+  }
+
+  cache.set(resolved, { mtimeMs, entries });
+  return entries;
+}
+
+// ---------------- Layout table ----------------
+
+/** Register layout sorted by address, with unused ranges shown as gaps */
+function layoutTable(entries) {
+  const fields = entries
+    .filter(e => Number.isInteger(e?.BaseReg) && Number.isInteger(e?.Size) && e.Size > 0)
+    .sort((a, b) => a.BaseReg - b.BaseReg);
+
+  const rows = [];
+  let next = 0;
+  for (const f of fields) {
+    if (f.BaseReg > next) rows.push({ Start: next, End: f.BaseReg - 1, Size: f.BaseReg - next, Codec: "", Type: "", ID: "(unused)" });
+    rows.push({ Start: f.BaseReg, End: f.BaseReg + f.Size - 1, Size: f.Size, Codec: getCodec(f.Codec) ? normalizeCodec(f.Codec) : f.Codec, Type: f.Type, ID: f.ID });
+    next = Math.max(next, f.BaseReg + f.Size);
+  }
+  if (next < PAGE_SIZE) rows.push({ Start: next, End: PAGE_SIZE - 1, Size: PAGE_SIZE - next, Codec: "", Type: "", ID: "(unused)" });
+
+  const columns = ["Start", "End", "Size", "Codec", "Type", "ID"];
+  const widths = columns.map(c => Math.max(c.length, ...rows.map(r => String(r[c]).length)));
+  const line = (values) => values.map((v, i) => String(v).padEnd(widths[i])).join("  ").trimEnd();
+  return [line(columns), widths.map(w => "-".repeat(w)).join("  "), ...rows.map(r => line(columns.map(c => r[c])))].join("\n");
+}
+
+// --- Exports (library) ---
+module.exports = { lintSpec, loadSpec, layoutTable, KNOWN_TYPES, PAGE_SIZE };
+
+// --- CLI glue ---
+if (require.main === module) {
+  try {
+    const args = process.argv.slice(2);
+    const files = args.filter(a => !a.startsWith("--"));
+    const showTable = !args.includes("--no-table");
+
+    let failed = false;
+    // Default: every map the spec registry refers to
+    const { loadSpecRegistry, registrySpecFiles } = require("./modbusSpecRegistry");
+    for (const file of files.length ? files : registrySpecFiles(loadSpecRegistry())) {
+      console.log(`\n📐 ${path.basename(file)}`);
+      let entries;
+      try {
+        entries = JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch (err) {
+        console.error(`❌ Can't read ${file}: ${err.message}`);
+        failed = true;
+        continue;
+      }
+
+      const { errors, warnings } = lintSpec(entries);
+      if (showTable && Array.isArray(entries)) console.log(layoutTable(entries));
+      for (const w of warnings) console.warn(`⚠️  ${w.ID}: ${w.message}`);
+      for (const e of errors) console.error(`❌ ${e.ID}: ${e.message}`);
+      if (errors.length) {
+        failed = true;
+      } else {
+        const used = entries.reduce((sum, e) => sum + e.Size, 0);
+        console.log(`✅ ${entries.length} fields, ${used} of ${PAGE_SIZE} registers used${warnings.length ? `, ${warnings.length} warning(s)` : ""}`);
+      }
+    }
+    process.exitCode = failed ? 2 : 0;
+  } catch (err) {
+    console.error("❌", err.message || err);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,215 @@
+// modbusSpecRegistry.js
+// Register maps per device type and firmware range (json/spec_registry.json). The readers
+// read a page's identity registers first (Device Type / FW Rev, System ID / SW Version on the
+// NC) and decode the rest of the page with the first map that matches.
+
+const fs = require("fs");
+const path = require("path");
+const { decodeField } = require("./modbusCodec");
+const { readPageFields } = require("./modbusBlockReader");
+const { loadSpec } = require("./modbusSpecLint");
+
+const jsonDir = (process?.resourcesPath && fs.existsSync(path.join(process.resourcesPath, "json")))
+  ? path.join(process.resourcesPath, "json")
+  : path.join(__dirname, "json");
+
+const DEFAULT_REGISTRY_PATH = path.join(jsonDir, "spec_registry.json");
+
+// One map per spec, as before the registry existed; used when there is no registry file
+const DEFAULT_REGISTRY = [
+  { Spec: "assets", File: "unsorted_assets.json" },
+  { Spec: "nc", File: "unsorted_nc.json" },
+];
+
+// Registers a map is picked by, per spec. Every map of a spec must place them identically.
+const IDENTITY = {
+  assets: { deviceType: "Device Type", firmware: "FW Rev" },
+  nc: { deviceType: "System ID", firmware: "SW Version" },
+};
+
+const RANGE_TERM = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)*)$/;
+
+// ---------------- Registry ----------------
+
+/**
+ * Registry file: an array of maps, tried in order (first match wins):
+ *   { Spec: "assets"|"nc", File: "tracker_assets.json", DeviceTypes?: ["Tracker", ...], Firmware?: ">=8.4 <9" }
+ * `File` is relative to the registry. Each spec needs a last map without DeviceTypes/Firmware
+ * as the fallback for empty slots and unknown devices.
+ */
+function loadSpecRegistry(file = process.env.SPEC_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) {
+  const exists = file && fs.existsSync(file);
+  const entries = exists ? JSON.parse(fs.readFileSync(file, "utf8")) : DEFAULT_REGISTRY;
+  const name = exists ? path.basename(file) : "spec registry";
+  const dir = exists ? path.dirname(path.resolve(file)) : jsonDir;
+  if (!Array.isArray(entries)) throw new Error(`${name} must be an array of register maps`);
+
+  const maps = entries.map(entry => {
+    if (!IDENTITY[entry?.Spec] || !entry.File) throw new Error(`Register map needs a Spec (assets or nc) and a File: ${JSON.stringify(entry)}`);
+    if (entry.DeviceTypes !== undefined && !Array.isArray(entry.DeviceTypes)) throw new Error(`${entry.File}: DeviceTypes must be an array`);
+    if (entry.Firmware !== undefined && !String(entry.Firmware).trim().split(/\s+/).every(t => RANGE_TERM.test(t))) {
+      throw new Error(`${entry.File}: Firmware "${entry.Firmware}" isn't a range like ">=8.4 <9"`);
+    }
+    return { ...entry, name: path.basename(entry.File, ".json"), path: path.resolve(dir, entry.File) };
+  });
+
+  for (const spec of Object.keys(IDENTITY)) {
+    const own = maps.filter(m => m.Spec === spec);
+    if (!own.length || !isFallback(own[own.length - 1])) {
+      throw new Error(`${name}: the last "${spec}" map must have no DeviceTypes or Firmware (it is the fallback)`);
+    }
+  }
+  return maps;
+}
+
+const isFallback = (map) => !map.DeviceTypes && !map.Firmware;
+
+/** Unique spec files the registry refers to */
+function registrySpecFiles(registry) {
+  return [...new Set(registry.map(m => m.path))];
+}
+
+const fallbackMap = (registry, spec) => registry.filter(m => m.Spec === spec).pop();
+
+/** Identity fields of a spec, taken from its fallback map: [{ key: "deviceType"|"firmware", field }] */
+function identityFields(registry, spec) {
+  const entries = loadSpec(fallbackMap(registry, spec).path);
+  return Object.entries(IDENTITY[spec])
+    .map(([key, id]) => ({ key, field: entries.find(e => e.ID?.trim() === id) }))
+    .filter(i => i.field);
+}
+
+/**
+ * Lints every map and checks that the identity registers sit in the same place in all maps of
+ * a spec (otherwise reading them first couldn't tell which map applies). Throws on problems.
+ */
+function checkSpecRegistry(registry) {
+  for (const spec of Object.keys(IDENTITY)) {
+    const identity = identityFields(registry, spec);
+    for (const map of registry.filter(m => m.Spec === spec)) {
+      const entries = loadSpec(map.path);
+      for (const { field } of identity) {
+        const own = entries.find(e => e.ID?.trim() === field.ID.trim());
+        if (!own || own.BaseReg !== field.BaseReg || own.Size !== field.Size || own.Codec !== field.Codec) {
+          throw new Error(`${path.basename(map.path)}: "${field.ID.trim()}" must match ${path.basename(fallbackMap(registry, spec).path)} (BaseReg ${field.BaseReg}, Size ${field.Size}, ${field.Codec})`);
+        }
+      }
+    }
+  }
+  return registry;
+}
+
+/** Every field ID in any map of a spec, lower-cased, for checking field names given on the command line */
+function specFieldIds(registry, spec) {
+  return new Set(registry.filter(m => m.Spec === spec)
+    .flatMap(m => loadSpec(m.path).map(e => String(e.ID ?? "").trim().toLowerCase()).filter(Boolean)));
+}
+
+// ---------------- Matching ----------------
+
+/** Compares dotted versions numerically ("8.10" > "8.9"); missing parts count as 0 */
+function compareVersions(a, b) {
+  const pa = String(a).match(/\d+/g) || [];
+  const pb = String(b).match(/\d+/g) || [];
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = Number(pa[i] || 0) - Number(pb[i] || 0);
+    if (diff) return Math.sign(diff);
+  }
+  return 0;
+}
+
+/** True if `version` satisfies every term of `range` (">=8.4 <9"); no range matches anything */
+function matchesFirmware(version, range) {
+  if (!range) return true;
+  if (!/\d/.test(String(version ?? ""))) return false;
+  return String(range).trim().split(/\s+/).every(term => {
+    const [, op = "=", bound] = term.match(RANGE_TERM);
+    const c = compareVersions(version, bound);
+    return { ">=": c >= 0, ">": c > 0, "<=": c <= 0, "<": c < 0, "=": c === 0 }[op];
+  });
+}
+
+/**
+ * First map of `spec` whose DeviceTypes (substring, case-insensitive, as in the field rules)
+ * and Firmware range match the decoded identity.
+ */
+function selectSpecMap(registry, spec, { deviceType = "", firmware = "" } = {}) {
+  const type = String(deviceType).trim().toLowerCase();
+  return registry.find(m => m.Spec === spec
+    && (!m.DeviceTypes || (type && m.DeviceTypes.some(t => type.includes(String(t).toLowerCase()))))
+    && matchesFirmware(firmware, m.Firmware));
+}
+
+// ---------------- Reading ----------------
+
+/**
+ * Reads the identity registers of one device page. The client must already have its unit ID set.
+ * @returns {Promise<{identity:{deviceType:string, firmware:string}, reads:Map<string, {data?:number[], error?:Error}>}>}
+ *   identity values are "" when unread; reads are keyed by field ID
+ */
+async function readIdentity(client, pageStart, registry, spec) {
+  const fields = identityFields(registry, spec);
+  const reads = await readPageFields(client, pageStart, fields.map(i => i.field));
+
+  const identity = { deviceType: "", firmware: "" };
+  for (const { key, field } of fields) {
+    const read = reads.get(field);
+    if (read?.data) identity[key] = String(decodeField(read.data, field).value ?? "").trim();
+  }
+  return { identity, reads: new Map(fields.map(({ field }) => [field.ID.trim(), reads.get(field)])) };
+}
+
+/**
+ * Reads one device page: identity registers first, then the remaining fields of the map they
+ * select. The client must already have its unit ID set. `only` narrows the map to the fields a
+ * caller wants (the identity registers are read regardless, to pick the map).
+ * @returns {Promise<{map:object, fields:object[], identity:{deviceType:string, firmware:string},
+ *   pageReads:Map<object, {data?:number[], error?:Error}>}>} fields/pageReads as in readPageFields
+ */
+async function readDevicePage(client, pageStart, registry, spec, { only = () => true } = {}) {
+  const { identity, reads: byId } = await readIdentity(client, pageStart, registry, spec);
+
+  const map = selectSpecMap(registry, spec, identity);
+  const fields = loadSpec(map.path).filter(only);
+  const pageReads = await readPageFields(client, pageStart, fields.filter(f => !byId.has(f.ID?.trim())));
+  for (const f of fields) {
+    if (byId.has(f.ID?.trim())) pageReads.set(f, byId.get(f.ID.trim()));
+  }
+
+  return { map, fields, identity, pageReads };
+}
+
+/** What readDevicePage would return when the whole page read failed: the fallback map, every field failed */
+function failedDevicePage(registry, spec, error, { only = () => true } = {}) {
+  const map = fallbackMap(registry, spec);
+  const fields = loadSpec(map.path).filter(only);
+  return { map, fields, identity: { deviceType: "", firmware: "" }, pageReads: new Map(fields.map(f => [f, { error }])) };
+}
+
+// ---------------- HTML ----------------
+
+const SPEC_MAP_CSS = `
+    .map-badge { display: inline-block; margin-left: 0.6em; padding: 0.1em 0.5em; border-radius: 5px; font-size: 0.7em; font-weight: 600; vertical-align: middle; background: #f1f5f9; color: #475569; border: 1px solid #e2e8f0; }`;
+
+/** Badge naming the register map a device was decoded with */
+function specMapBadgeHtml(mapName) {
+  return mapName ? `<span class="map-badge" title="Register map"><i class="bi bi-diagram-3"></i> ${mapName}</span>` : "";
+}
+
+module.exports = {
+  loadSpecRegistry,
+  checkSpecRegistry,
+  registrySpecFiles,
+  identityFields,
+  specFieldIds,
+  selectSpecMap,
+  matchesFirmware,
+  compareVersions,
+  readIdentity,
+  readDevicePage,
+  failedDevicePage,
+  SPEC_MAP_CSS,
+  specMapBadgeHtml,
+  IDENTITY,
+  DEFAULT_REGISTRY_PATH,
+};
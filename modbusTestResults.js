@@ -0,0 +1,194 @@
+// modbusTestResults.js
+// JUnit XML and TAP output for a report run, so CI pipelines (e.g. firmware qualification)
+// can gate on it: each mode category, device, and failing read or rule check is a test case.
+
+const fs = require("fs");
+const path = require("path");
+const { deviceName, rowError, IDENTITY_FIELDS } = require("./modbusSnapshot");
+
+// ---------------- Test cases ----------------
+
+/**
+ * Turns a generateAllReports result into test suites:
+ *   [{ name, cases: [{ classname, name, failure?: {type, message, details}, skipped?: string }] }]
+ *
+ * One suite per mode category (plus failed categories and cross-mode validation). Each category
+ * has a case for the mode itself and one per device; every failing read and rule check is a case
+ * of its own, so a CI dashboard lists them individually.
+ */
+function buildTestSuites(site, { categories = [], errors = [], validation = null }) {
+  const suites = [];
+
+  for (const category of categories) {
+    const classname = `${site}.${category.mode}`;
+    const cases = [{ classname, name: `${category.category} mode read` }];
+
+    for (const report of category.reports || []) {
+      const devices = new Map(); // device -> rows, in read order
+      for (const row of report.rows || []) {
+        const device = deviceName(row);
+        if (!device) continue;
+        if (!devices.has(device)) devices.set(device, []);
+        devices.get(device).push(row);
+      }
+
+      for (const [device, rows] of devices) {
+        const name = `${report.deviceType} ${device}`;
+        const failures = [];
+
+        for (const row of rows) {
+          const error = rowError(row);
+          if (error) {
+            failures.push({ type: "read", field: row.ID || "(device)", message: error });
+          } else if (row.RuleStatus === "fail" || row.RuleStatus === "critical") {
+            failures.push({ type: row.RuleStatus === "critical" ? "critical-rule" : "rule", field: row.ID, message: row.RuleMessage });
+          }
+        }
+
+        const identity = rows.find(r => IDENTITY_FIELDS.includes(r.ID) && !rowError(r));
+        if (!failures.length && identity && String(identity.DecodedValue ?? "").trim() === "") {
+          cases.push({ classname, name, skipped: "empty slot" });
+          continue;
+        }
+
+        cases.push(failures.length
+          ? {
+            classname, name,
+            failure: {
+              type: failures.some(f => f.type === "critical-rule") ? "critical-rule" : failures[0].type,
+              message: `${failures.length} failing read(s)/rule check(s)`,
+              details: failures.map(f => `${f.field}: ${f.message}`).join("\n"),
+            },
+          }
+          : { classname, name });
+
+        for (const f of failures) {
+          cases.push({
+            classname,
+            name: `${name} / ${f.field} ${f.type === "read" ? "read" : "rule"}`,
+            failure: { type: f.type, message: f.message, details: "" },
+          });
+        }
+      }
+    }
+
+    suites.push({ name: `${site} ${category.category}`, cases });
+  }
+
+  for (const e of errors) {
+    suites.push({
+      name: `${site} ${e.type}`,
+      cases: [{ classname: `${site}.${e.type}`, name: `${e.type} mode read`, failure: { type: "category", message: e.error, details: "" } }],
+    });
+  }
+
+  if (validation) {
+    const classname = `${site}.validation`;
+    suites.push({
+      name: `${site} Cross-Mode Validation`,
+      cases: validation.issues.length
+        ? validation.issues.map(i => ({
+          classname,
+          name: `${i.Issue} ${i.Device}${i.Mode ? ` (${i.Mode})` : ""}${i.Field ? ` ${i.Field}` : ""}`,
+          failure: {
+            type: i.Issue,
+            message: [i.Location && `at ${i.Location}`, i.Expected !== "" && `expected ${i.Expected}`, i.Actual !== "" && `got ${i.Actual}`].filter(Boolean).join(", "),
+            details: "",
+          },
+        }))
+        : [{ classname, name: `${validation.devices.length} devices consistent across ${validation.modes.join(", ")}` }],
+    });
+  }
+
+  return suites;
+}
+
+// ---------------- Formats ----------------
+
+const xmlEscape = (s) => String(s ?? "")
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;").replace(/'/g, "&apos;")
+  // Control characters (e.g. from decoded strings) aren't allowed in XML 1.0
+  .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "");
+
+const count = (cases, key) => cases.filter(c => c[key]).length;
+
+function toJUnitXml(suites, { name = "modbus", timestamp = new Date() } = {}) {
+  const all = suites.flatMap(s => s.cases);
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="${xmlEscape(name)}" tests="${all.length}" failures="${count(all, "failure")}" skipped="${count(all, "skipped")}" errors="0">`,
+  ];
+
+  for (const suite of suites) {
+    lines.push(`  <testsuite name="${xmlEscape(suite.name)}" tests="${suite.cases.length}" failures="${count(suite.cases, "failure")}" skipped="${count(suite.cases, "skipped")}" errors="0" timestamp="${timestamp.toISOString().slice(0, 19)}">`);
+    for (const c of suite.cases) {
+      const open = `    <testcase classname="${xmlEscape(c.classname)}" name="${xmlEscape(c.name)}"`;
+      if (c.failure) {
+        lines.push(`${open}>`);
+        lines.push(`      <failure type="${xmlEscape(c.failure.type)}" message="${xmlEscape(c.failure.message)}">${xmlEscape(c.failure.details)}</failure>`);
+        lines.push(`    </testcase>`);
+      } else if (c.skipped) {
+        lines.push(`${open}>`);
+        lines.push(`      <skipped message="${xmlEscape(c.skipped)}"/>`);
+        lines.push(`    </testcase>`);
+      } else {
+        lines.push(`${open}/>`);
+      }
+    }
+    lines.push(`  </testsuite>`);
+  }
+
+  lines.push(`</testsuites>`);
+  return lines.join("\n") + "\n";
+}
+
+function toTap(suites) {
+  const all = suites.flatMap(s => s.cases.map(c => ({ ...c, suite: s.name })));
+  const oneLine = (s) => String(s ?? "").replace(/[\r\n]+/g, " ").replace(/#/g, "\\#");
+  const yamlString = (s) => JSON.stringify(String(s ?? ""));
+
+  const lines = ["TAP version 13", `1..${all.length}`];
+  all.forEach((c, i) => {
+    const title = `${i + 1} - ${oneLine(c.suite)}: ${oneLine(c.name)}`;
+    if (c.skipped) {
+      lines.push(`ok ${title} # SKIP ${oneLine(c.skipped)}`);
+    } else if (c.failure) {
+      lines.push(`not ok ${title}`);
+      lines.push("  ---");
+      lines.push(`  type: ${yamlString(c.failure.type)}`);
+      lines.push(`  message: ${yamlString(c.failure.message)}`);
+      if (c.failure.details) {
+        lines.push("  details: |");
+        for (const d of c.failure.details.split("\n")) lines.push(`    ${d}`);
+      }
+      lines.push("  ...");
+    } else {
+      lines.push(`ok ${title}`);
+    }
+  });
+  return lines.join("\n") + "\n";
+}
+
+/** Writes whichever of `junitPath` / `tapPath` is set; returns the paths written */
+function writeTestResults(suites, { junitPath = null, tapPath = null, name } = {}) {
+  const written = {};
+  if (junitPath) {
+    fs.mkdirSync(path.dirname(path.resolve(junitPath)), { recursive: true });
+    fs.writeFileSync(junitPath, toJUnitXml(suites, { name }));
+    written.junitPath = path.resolve(junitPath);
+  }
+  if (tapPath) {
+    fs.mkdirSync(path.dirname(path.resolve(tapPath)), { recursive: true });
+    fs.writeFileSync(tapPath, toTap(suites));
+    written.tapPath = path.resolve(tapPath);
+  }
+  return written;
+}
+
+module.exports = {
+  buildTestSuites,
+  toJUnitXml,
+  toTap,
+  writeTestResults,
+};
@@ -0,0 +1,173 @@
+// modbusTime.js
+// Time-valued fields: spec fields tagged with a `Semantic` (epoch seconds or milliseconds, or a
+// duration) are shown as dates and human durations, and each device's Last Reported is compared
+// with the network controller's clock to flag devices that stopped reporting.
+
+const { rowError } = require("./modbusSnapshot");
+
+// Semantic types a spec field may declare; the decoded number keeps its raw value
+const SEMANTICS = {
+  epoch_s: { kind: "epoch", seconds: 1 },
+  epoch_ms: { kind: "epoch", seconds: 0.001 },
+  duration_s: { kind: "duration", seconds: 1 },
+  duration_ms: { kind: "duration", seconds: 0.001 },
+};
+
+// Last Reported this far behind the NC clock marks a device as stale (STALE_AFTER_SEC overrides)
+const DEFAULT_STALE_AFTER_SEC = 3600;
+
+// NC fields read as "now" on the controller, in order of preference; the run's clock when none reads
+const NC_CLOCK_FIELDS = ["Poll Response Time", "GPS Fix Time"];
+
+const LAST_REPORTED = "Last Reported";
+
+// ---------------- Formatting ----------------
+
+/** Value in seconds for a field with a time semantic, or null */
+function semanticSeconds(value, semantic) {
+  const definition = SEMANTICS[semantic];
+  if (!definition || value === "" || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number * definition.seconds : null;
+}
+
+/** "2025-08-13T13:29:02Z" */
+function formatIso(seconds) {
+  const date = new Date(seconds * 1000);
+  return Number.isNaN(date.getTime()) ? String(seconds) : date.toISOString().replace(/\.\d+Z$/, "Z");
+}
+
+/** "7d 0h 57m", "3h 2m", "4m 10s", "12s" */
+function formatDuration(seconds) {
+  const total = Math.round(Math.abs(seconds));
+  const sign = seconds < 0 ? "-" : "";
+  const d = Math.floor(total / 86400);
+  const h = Math.floor(total % 86400 / 3600);
+  const m = Math.floor(total % 3600 / 60);
+  const s = total % 60;
+  if (d) return `${sign}${d}d ${h}h ${m}m`;
+  if (h) return `${sign}${h}h ${m}m`;
+  if (m) return `${sign}${m}m ${s}s`;
+  return `${sign}${s}s`;
+}
+
+/**
+ * Display form of a decoded value with a time semantic:
+ * { text, title } where text is the ISO date or the duration and title the local date / raw value.
+ * Returns null for fields without one (or values that aren't numbers); 0 epochs read "never".
+ */
+function formatSemantic(value, semantic) {
+  const seconds = semanticSeconds(value, semantic);
+  if (seconds === null) return null;
+  if (SEMANTICS[semantic].kind === "duration") return { text: formatDuration(seconds), title: `${value} (${semantic})` };
+  if (seconds <= 0) return { text: "never", title: `${value} (${semantic})` };
+  return { text: formatIso(seconds), title: `${new Date(seconds * 1000).toLocaleString()} · ${value} (${semantic})` };
+}
+
+// ---------------- Staleness ----------------
+
+/** STALE_AFTER_SEC, or the default; throws on anything that isn't a positive number */
+function staleAfterSecFromEnv(value = process.env.STALE_AFTER_SEC) {
+  if (value === undefined || value === "") return DEFAULT_STALE_AFTER_SEC;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) throw new Error(`STALE_AFTER_SEC must be a positive number of seconds, got "${value}"`);
+  return seconds;
+}
+
+const fieldRow = (rows, id) => rows.find(row => String(row.ID ?? "").trim() === id && !rowError(row));
+
+/** NC clock of one mode's reports: { seconds, source } from NC_CLOCK_FIELDS, else the run's clock */
+function ncClock(reports, now = Date.now() / 1000) {
+  for (const id of NC_CLOCK_FIELDS) {
+    const readings = reports.flatMap(report => (report.devices || [])
+      .map(device => fieldRow(device.rows || [], id))
+      .filter(Boolean)
+      .map(row => semanticSeconds(row.DecodedValue, row.Semantic || "epoch_s"))
+      .filter(seconds => seconds > 0));
+    if (readings.length) return { seconds: Math.max(...readings), source: `NC ${id}` };
+  }
+  return { seconds: now, source: "run time" };
+}
+
+/**
+ * Compares every device's Last Reported with the NC clock of the same mode's reports. Marks the
+ * Last Reported row with `LagSec` and `Stale`, and each report with `staleness`.
+ * Devices whose Last Reported is 0 or unread (empty slots, failed reads) aren't counted.
+ * @returns {{clock:number, clockSource:string, staleAfterSec:number, checked:number, stale:number, devices:{key:string, lagSec:number}[]}}
+ */
+function markStaleDevices(reports, { staleAfterSec = DEFAULT_STALE_AFTER_SEC, now } = {}) {
+  const clock = ncClock(reports, now);
+  const summary = { clock: clock.seconds, clockSource: clock.source, staleAfterSec, checked: 0, stale: 0, devices: [] };
+
+  for (const report of reports) {
+    report.staleness = { checked: 0, stale: 0 };
+    for (const device of report.devices || []) {
+      const row = fieldRow(device.rows || [], LAST_REPORTED);
+      const lastReported = row ? semanticSeconds(row.DecodedValue, row.Semantic || "epoch_s") : null;
+      if (!(lastReported > 0)) continue;
+
+      row.LagSec = Math.round(clock.seconds - lastReported);
+      row.Stale = row.LagSec > staleAfterSec;
+      report.staleness.checked++;
+      summary.checked++;
+      if (!row.Stale) continue;
+      report.staleness.stale++;
+      summary.stale++;
+      summary.devices.push({ key: device.key, lagSec: row.LagSec });
+    }
+  }
+  return summary;
+}
+
+/** Staleness of the site: the first category read in TTID, Legacy Sorted, Legacy Unsorted order */
+function siteStaleness(categories) {
+  for (const mode of ["ttid", "legacy-sorted", "legacy-unsorted"]) {
+    const category = categories.find(c => c.mode === mode && c.staleness);
+    if (category) return { ...category.staleness, category: category.category };
+  }
+  return null;
+}
+
+// ---------------- HTML ----------------
+
+const TIME_CSS = `
+    .time-raw { display: block; color: #94a3b8; font-size: 0.8em; margin-top: 0.2em; }
+    .badge-stale { display: inline-block; margin-left: 0.4em; padding: 0.1em 0.5em; border-radius: 5px; font-size: 0.8em; font-weight: 600; background: #fef3c7; color: #92400e; border: 1px solid #fde68a; }
+    .device-header .badge-stale { font-size: 0.7em; vertical-align: middle; margin-left: 0.6em; }
+    tr.stale td { background: #fffbeb; }
+    .staleness-note { color: #64748b; margin: 0 0 1em 0; }`;
+
+/** Lag badge on a stale Last Reported value */
+function staleBadgeHtml(row) {
+  return row.Stale ? `<span class="badge-stale" title="Last Reported ${row.LagSec}s before the NC clock"><i class="bi bi-clock-history"></i> ${formatDuration(row.LagSec)} behind NC</span>` : "";
+}
+
+/** Badge for a device header when its Last Reported is stale */
+function deviceStaleBadgeHtml(rows) {
+  return rows.some(row => row.Stale) ? `<span class="badge-stale"><i class="bi bi-clock-history"></i> stale</span>` : "";
+}
+
+/** "Clock 2025-08-13T13:29:34Z (NC Poll Response Time): 2 of 5 devices stale (Last Reported more than 1h 0m behind)" */
+function stalenessNoteHtml(staleness) {
+  if (!staleness) return "";
+  return `<p class="staleness-note"><i class="bi bi-clock-history"></i> Clock ${formatIso(staleness.clock)} (${staleness.clockSource}): `
+    + `${staleness.stale} of ${staleness.checked} devices stale (Last Reported more than ${formatDuration(staleness.staleAfterSec)} behind)</p>`;
+}
+
+module.exports = {
+  SEMANTICS,
+  DEFAULT_STALE_AFTER_SEC,
+  NC_CLOCK_FIELDS,
+  semanticSeconds,
+  formatIso,
+  formatDuration,
+  formatSemantic,
+  staleAfterSecFromEnv,
+  ncClock,
+  markStaleDevices,
+  siteStaleness,
+  TIME_CSS,
+  staleBadgeHtml,
+  deviceStaleBadgeHtml,
+  stalenessNoteHtml,
+};
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+// modbusValidator.js
+// Cross-mode consistency check: matches the devices read in the ttid, legacy-unsorted
+// and legacy-sorted layouts by SNAP Addr and reports anything that doesn't line up.
+
+const fs = require("fs");
+const path = require("path");
+const { Parser } = require("json2csv");
+const { loadSnapshot, listSnapshots, DEFAULT_SNAPSHOT_DIR } = require("./modbusSnapshot");
+const { compareDevices, loadTolerances } = require("./modbusDiff");
+const { FAVICON_LINK, ICONS_STYLE } = require("./modbusHtmlAssets");
+
+const MODES = ["ttid", "legacy-unsorted", "legacy-sorted"];
+
+// Report groups that hold the NC page in each mode
+const NC_GROUPS = { ttid: "network", "legacy-unsorted": "nc", "legacy-sorted": "legacy-network" };
+
+// Device Type each sorted group must contain; unlisted groups (legacy-unsorted assets) take any type
+const GROUP_DEVICE_TYPES = {
+  "ttid/row": "tracker",
+  "ttid/weather": "weather",
+  "ttid/repeater": "repeater",
+  "legacy-sorted/legacy-tracker": "tracker",
+  "legacy-sorted/legacy-weather": "weather",
+};
+
+// Device types each mode's reader covers; a device of another type can't be "missing" there
+const MODE_DEVICE_TYPES = {
+  ttid: ["tracker", "weather", "repeater"],
+  "legacy-unsorted": null,
+  "legacy-sorted": ["tracker", "weather"],
+};
+
+const ISSUE_TYPES = ["missing", "duplicate", "misplaced", "out-of-order", "mismatch"];
+
+const NO_SNAP = /^(0x)?0*$/i;
+
+const kindOf = (device) => {
+  const type = String(device.values["Device Type"] || "").toLowerCase();
+  return ["tracker", "weather", "repeater", "companion"].find(k => type.includes(k)) || type;
+};
+const slotNumber = (device) => Number(String(device.device).split(" ")[1]);
+const location = (device) => `${device.mode} ${device.type} ${device.device} (unit ${device.unitId})`;
+
+/**
+ * Validates one run snapshot that contains two or more modes.
+ *
+ * @param {object} snapshot - see modbusSnapshot.js
+ * @param {object} [tolerances] - see modbusDiff.js; ignored/within-tolerance telemetry isn't a mismatch
+ * @returns {{site:string, takenAt:string, modes:string[], devices:object[], issues:object[], summary:Record<string, number>}}
+ *   devices: one row per SNAP Addr with where it was found in each mode
+ *   issues:  { Issue, Device, Mode, Location, Field, Expected, Actual }
+ */
+function validateSnapshot(snapshot, tolerances = loadTolerances()) {
+  const all = Object.values(snapshot.devices);
+  const modes = MODES.filter(m => all.some(d => d.mode === m));
+  const issues = [];
+  const issue = (Issue, Device, rest) => issues.push({ Issue, Device, Mode: "", Location: "", Field: "", Expected: "", Actual: "", ...rest });
+
+  // ---- Network controller: same page in every mode ----
+  const ncPages = modes
+    .map(m => all.find(d => d.mode === m && d.type === NC_GROUPS[m] && d.present))
+    .filter(Boolean);
+  for (const page of ncPages.slice(1)) {
+    for (const c of compareDevices(ncPages[0], page, tolerances)) {
+      issue("mismatch", "Network Controller", { Mode: page.mode, Location: location(page), Field: c.Field, Expected: c.Before, Actual: c.After });
+    }
+  }
+
+  // ---- Assets: group by SNAP Addr per mode ----
+  const bySnap = new Map();
+  for (const device of all) {
+    if (!device.present || Object.values(NC_GROUPS).includes(device.type)) continue;
+    const snap = String(device.values["SNAP Addr"] ?? "");
+    if (NO_SNAP.test(snap.trim())) continue;
+
+    if (!bySnap.has(snap)) bySnap.set(snap, Object.fromEntries(modes.map(m => [m, []])));
+    bySnap.get(snap)[device.mode].push(device);
+  }
+
+  const devices = [];
+  for (const [snap, found] of [...bySnap.entries()].sort()) {
+    const first = modes.map(m => found[m][0]).find(Boolean);
+    const kind = kindOf(first);
+
+    for (const mode of modes) {
+      const hits = found[mode];
+      const covered = !MODE_DEVICE_TYPES[mode] || MODE_DEVICE_TYPES[mode].includes(kind);
+
+      if (hits.length === 0 && covered) {
+        issue("missing", snap, { Mode: mode, Expected: `${first.values["Device Type"]} seen at ${location(first)}`, Actual: "Not found" });
+      }
+      if (hits.length > 1) {
+        issue("duplicate", snap, { Mode: mode, Location: hits.map(location).join("; "), Actual: `${hits.length} slots` });
+      }
+      for (const hit of hits) {
+        const expected = GROUP_DEVICE_TYPES[`${mode}/${hit.type}`];
+        if (expected && kindOf(hit) !== expected) {
+          issue("misplaced", snap, { Mode: mode, Location: location(hit), Field: "Device Type", Expected: expected, Actual: hit.values["Device Type"] });
+        }
+      }
+    }
+
+    // Field mismatches against the first layout the device showed up in
+    const reference = first;
+    for (const mode of modes) {
+      const other = found[mode][0];
+      if (!other || other === reference) continue;
+      for (const c of compareDevices(reference, other, tolerances)) {
+        issue("mismatch", snap, { Mode: mode, Location: location(other), Field: c.Field, Expected: c.Before, Actual: c.After });
+      }
+    }
+
+    const row = { SNAPAddr: snap, DeviceType: first.values["Device Type"] || "" };
+    for (const mode of modes) row[mode] = found[mode].map(d => `${d.device} (unit ${d.unitId})`).join("; ");
+    devices.push(row);
+  }
+
+  // ---- Sort order: legacy-sorted groups follow TTID order ----
+  if (modes.includes("legacy-sorted") && modes.includes("ttid")) {
+    const ttidOf = new Map();
+    for (const found of bySnap.values()) {
+      if (found.ttid[0]) for (const d of found["legacy-sorted"]) ttidOf.set(d, slotNumber(found.ttid[0]));
+    }
+
+    const groups = [...new Set(all.filter(d => d.mode === "legacy-sorted").map(d => d.type))];
+    for (const group of groups) {
+      const ordered = all
+        .filter(d => d.mode === "legacy-sorted" && d.type === group && ttidOf.has(d))
+        .filter(d => kindOf(d) === GROUP_DEVICE_TYPES[`legacy-sorted/${group}`]) // misplaced ones are already reported
+        .sort((a, b) => slotNumber(a) - slotNumber(b));
+      for (let i = 1; i < ordered.length; i++) {
+        if (ttidOf.get(ordered[i]) < ttidOf.get(ordered[i - 1])) {
+          issue("out-of-order", ordered[i].values["SNAP Addr"], {
+            Mode: "legacy-sorted",
+            Location: location(ordered[i]),
+            Expected: `after TTID ${ttidOf.get(ordered[i - 1])} (${ordered[i - 1].device})`,
+            Actual: `TTID ${ttidOf.get(ordered[i])}`,
+          });
+        }
+      }
+    }
+  }
+
+  const summary = Object.fromEntries(ISSUE_TYPES.map(t => [t, issues.filter(i => i.Issue === t).length]));
+  return { site: snapshot.site, takenAt: snapshot.takenAt, modes, devices, issues, summary };
+}
+
+// ---------------- Output ----------------
+
+/**
+ * Writes <site>_validation.csv (issues) and <site>_validation.html.
+ * @returns {{csvPath:string, htmlPath:string}}
+ */
+function writeValidationReport(result, outputDir) {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const csvPath = path.join(outputDir, `${result.site}_validation.csv`);
+  const parser = new Parser({ fields: ["Issue", "Device", "Mode", "Location", "Field", "Expected", "Actual"] });
+  fs.writeFileSync(csvPath, parser.parse(result.issues));
+
+  const htmlPath = csvPath.replace(/\.csv$/i, ".html");
+  fs.writeFileSync(htmlPath, generateValidationHtml(result));
+  return { csvPath, htmlPath };
+}
+
+function generateValidationHtml({ site, takenAt, modes, devices, issues, summary }) {
+  const titles = {
+    missing: "Missing From a Layout",
+    duplicate: "Duplicated in a Layout",
+    misplaced: "Wrong Unit / Sort Group",
+    "out-of-order": "Out of Sort Order",
+    mismatch: "Field Mismatches",
+  };
+  const total = issues.length;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Cross-Mode Validation - ${site}</title>
+  ${FAVICON_LINK}
+  <style>
+    body { background: linear-gradient(120deg, #f8fafc 0%, #e0e7ef 100%); margin: 0; padding: 0; min-height: 100vh; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+    .container { max-width: 1100px; margin: 2.5em auto; background: #fff; border-radius: 18px; box-shadow: 0 6px 32px #b0b8c940, 0 1.5px 4px #b0b8c930; padding: 2.5em 2em 2em 2em; }
+    .header { display: flex; align-items: center; gap: 1em; margin-bottom: 1em; }
+    .header-icon { font-size: 2.5em; color: #16a34a; }
+    h1 { font-size: 2.2em; font-weight: 700; color: #22223b; margin: 0; letter-spacing: 1px; }
+    h2 { font-size: 1.3em; color: #166534; margin: 1.8em 0 0.6em; }
+    .subtitle { color: #64748b; margin-bottom: 1.5em; }
+    .stats-bar { display: flex; justify-content: space-between; background: #f1f5f9; padding: 1em 1.5em; border-radius: 10px; margin-bottom: 1em; }
+    .stat-item { text-align: center; }
+    .stat-number { font-size: 1.5em; font-weight: 700; color: #16a34a; }
+    .stat-number.bad { color: #b00; }
+    .stat-label { font-size: 0.9em; color: #64748b; margin-top: 0.2em; }
+    .verdict { padding: 0.8em 1.2em; border-radius: 10px; font-weight: 600; margin-bottom: 1em; }
+    .verdict.ok { background: #f0fdf4; color: #166534; border: 1px solid #bbf7d0; }
+    .verdict.bad { background: #ffeaea; color: #b00; border: 1px solid #fca5a5; }
+    table { border-collapse: separate; border-spacing: 0; width: 100%; background: #f9fafb; border-radius: 12px; overflow: hidden; box-shadow: 0 1px 4px #b0b8c920; }
+    th, td { padding: 0.55em 0.6em; text-align: left; vertical-align: top; }
+    th { background: #e7fbe9; color: #166534; font-weight: 600; border-bottom: 1px solid #bbf7d0; }
+    td { color: #3a3a40; border-bottom: 1px solid #f1f5f9; word-break: break-word; }
+    tr.error td { background: #ffeaea; color: #b00; }
+    .mono { font-family: 'Fira Mono', 'Consolas', 'Menlo', monospace; font-size: 0.92em; }
+    .home-btn { position: fixed; top: 14px; right: 14px; width: 38px; height: 38px; border-radius: 50%; background: #ffffff; color: #166534; display: flex; align-items: center; justify-content: center; text-decoration: none; border: 1px solid #e2e8f0; box-shadow: 0 2px 8px rgba(0,0,0,0.05); z-index: 9999; }
+  </style>
+  ${ICONS_STYLE}
+</head>
+<body>
+  <a href="${site}_master_index.html" class="home-btn" title="Home"><i class="bi bi-house"></i></a>
+  <div class="container">
+    <div class="header"><span class="header-icon"><i class="bi bi-shield-check"></i></span><h1>Cross-Mode Validation</h1></div>
+    <div class="subtitle">Site: ${site} | Modes: ${modes.join(", ")} | Read: ${new Date(takenAt).toLocaleString()}</div>
+    <div class="verdict ${total ? "bad" : "ok"}">${total ? `${total} issue(s) found across ${devices.length} matched devices` : `All ${devices.length} devices match across ${modes.length} modes`}</div>
+    <div class="stats-bar">
+      ${ISSUE_TYPES.map(t => `<div class="stat-item"><div class="stat-number${summary[t] ? " bad" : ""}">${summary[t]}</div><div class="stat-label">${titles[t]}</div></div>`).join("")}
+    </div>
+    ${ISSUE_TYPES.filter(t => summary[t]).map(t => `
+    <h2>${titles[t]}</h2>
+    <table><thead><tr><th>Device</th><th>Mode</th><th>Location</th><th>Field</th><th>Expected</th><th>Actual</th></tr></thead><tbody>
+      ${issues.filter(i => i.Issue === t).map(i => `<tr class="error"><td class="mono">${i.Device}</td><td>${i.Mode}</td><td>${i.Location}</td><td>${i.Field}</td><td>${i.Expected}</td><td>${i.Actual}</td></tr>`).join("")}
+    </tbody></table>`).join("")}
+    <h2>Device Placement</h2>
+    <table><thead><tr><th>SNAP Addr</th><th>Device Type</th>${modes.map(m => `<th>${m}</th>`).join("")}</tr></thead><tbody>
+      ${devices.map(d => `<tr><td class="mono">${d.SNAPAddr}</td><td>${d.DeviceType}</td>${modes.map(m => `<td>${d[m] || "—"}</td>`).join("")}</tr>`).join("")}
+    </tbody></table>
+  </div>
+</body>
+</html>`;
+}
+
+// --- Exports (library) ---
+module.exports = { validateSnapshot, writeValidationReport };
+
+// --- CLI glue ---
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = process.argv.slice(2);
+      const getFlag = (name, fallback) => {
+        const i = args.findIndex(a => a === `--${name}`);
+        return (i !== -1 && i + 1 < args.length) ? args[i + 1] : fallback;
+      };
+
+      let snapshotPath = args[0] && !args[0].startsWith("--") ? args[0] : undefined;
+      const site = getFlag("site");
+      if (!snapshotPath && site) {
+        snapshotPath = listSnapshots(site, getFlag("dir", process.env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR)).pop();
+      }
+      if (!snapshotPath) {
+        console.error("Usage: node modbusValidator.js <snapshot.json> | --site <site> [--dir modbus_snapshots] [--tolerances json/diff_tolerances.json] [--out dir]");
+        process.exit(1);
+      }
+
+      const snapshot = loadSnapshot(snapshotPath);
+      const result = validateSnapshot(snapshot, loadTolerances(getFlag("tolerances")));
+      const { csvPath, htmlPath } = writeValidationReport(result, getFlag("out", path.resolve(__dirname, "modbus_csv_outputs")));
+
+      console.log(`🔎 ${path.basename(snapshotPath)}: ${result.devices.length} devices across ${result.modes.join(", ")}`);
+      for (const t of ISSUE_TYPES) console.log(`   • ${t}: ${result.summary[t]}`);
+      console.log(`✅ Validation CSV:  ${csvPath}`);
+      console.log(`✅ Validation HTML: ${htmlPath}`);
+      process.exitCode = result.issues.length ? 2 : 0;
+    } catch (err) {
+      console.error("❌", err.message || err);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,144 @@
+// modbusValueLabels.js
+// Enum and bitfield decoding for status and flag registers. A spec field names a table with
+// "Enum" (value -> label) or "Bits" (bit number -> name), either inline or by name from
+// json/value_tables.json; the decoded number stays the raw value and gets a label next to it.
+
+const fs = require("fs");
+const path = require("path");
+
+const jsonDir = (process?.resourcesPath && fs.existsSync(path.join(process.resourcesPath, "json")))
+  ? path.join(process.resourcesPath, "json")
+  : path.join(__dirname, "json");
+
+const DEFAULT_VALUE_TABLES_PATH = path.join(jsonDir, "value_tables.json");
+
+const cache = new Map(); // resolved path -> { mtimeMs, tables }
+
+const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;");
+
+// ---------------- Tables ----------------
+
+/**
+ * Named tables: { "<name>": { Enum: { "<value>": "<label>" } } | { Bits: { "<bit>": "<name>" } } }
+ * from json/value_tables.json (or $VALUE_TABLES_PATH). A missing file means no named tables.
+ */
+function loadValueTables(file = process.env.VALUE_TABLES_PATH || DEFAULT_VALUE_TABLES_PATH) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) return {};
+  const { mtimeMs } = fs.statSync(resolved);
+  const cached = cache.get(resolved);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.tables;
+
+  const tables = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  if (!tables || typeof tables !== "object" || Array.isArray(tables)) throw new Error(`${path.basename(file)} must map table names to { Enum } or { Bits }`);
+  cache.set(resolved, { mtimeMs, tables });
+  return tables;
+}
+
+/** The field's Enum or Bits table as an object, following a table name; null when it has none or the name is unknown */
+function fieldTable(field, kind, tables = loadValueTables()) {
+  const ref = field?.[kind];
+  if (ref === undefined || ref === null) return null;
+  if (typeof ref === "string") return tables[ref]?.[kind] || null;
+  return ref;
+}
+
+/**
+ * Problems with a field's Enum/Bits for the spec lint: unknown table names, keys that aren't
+ * integers (or bit numbers past 63), missing labels, both on one field.
+ * @returns {string[]}
+ */
+function checkFieldTables(field, tables = loadValueTables()) {
+  const problems = [];
+  if (field?.Enum !== undefined && field?.Bits !== undefined) problems.push("has both Enum and Bits");
+  for (const kind of ["Enum", "Bits"]) {
+    const ref = field?.[kind];
+    if (ref === undefined) continue;
+    if (typeof ref === "string" && !tables[ref]?.[kind]) {
+      problems.push(`unknown ${kind} table "${ref}"`);
+      continue;
+    }
+    const table = fieldTable(field, kind, tables);
+    if (!table || typeof table !== "object" || Array.isArray(table)) {
+      problems.push(`${kind} must be a table name or an object`);
+      continue;
+    }
+    for (const [key, label] of Object.entries(table)) {
+      if (!/^\d+$/.test(key) || (kind === "Bits" && Number(key) > 63)) problems.push(`${kind} key "${key}" is not ${kind === "Bits" ? "a bit number (0–63)" : "an integer"}`);
+      else if (typeof label !== "string" || !label.trim()) problems.push(`${kind} ${key} has no label`);
+    }
+  }
+  return problems;
+}
+
+// ---------------- Labels ----------------
+
+/**
+ * Label of a decoded value for a field with an Enum or Bits table:
+ *   Enum: { label: "<label>" }, or "Unknown (9)" for values not in the table
+ *   Bits: { label: "Flag A / Flag C", bits: [{ bit, name, set }] } — every named bit plus
+ *         any set bit without a name ("Bit 9"); "None" when no bit is set
+ * Returns null for fields without a table, or values that aren't integers.
+ */
+function labelValue(value, field, tables = loadValueTables()) {
+  if (value === "" || value === null || value === undefined) return null;
+  const enumTable = fieldTable(field, "Enum", tables);
+  const bitsTable = fieldTable(field, "Bits", tables);
+  if (!enumTable && !bitsTable) return null;
+
+  let raw;
+  try {
+    raw = BigInt(typeof value === "boolean" ? Number(value) : value);
+  } catch {
+    return null;
+  }
+
+  if (enumTable) return { label: enumTable[raw.toString()] ?? `Unknown (${raw})` };
+
+  const bits = Object.entries(bitsTable)
+    .map(([bit, name]) => ({ bit: Number(bit), name, set: ((raw >> BigInt(bit)) & 1n) === 1n }));
+  for (let bit = 0; raw >> BigInt(bit) > 0n; bit++) {
+    if (((raw >> BigInt(bit)) & 1n) === 1n && !(String(bit) in bitsTable)) bits.push({ bit, name: `Bit ${bit}`, set: true });
+  }
+  bits.sort((a, b) => a.bit - b.bit);
+  const set = bits.filter(b => b.set).map(b => b.name);
+  return { label: set.length ? set.join(" / ") : "None", bits };
+}
+
+/** Row columns for a decoded field: DecodedLabel (CSV) and DecodedBits (per-bit breakdown in the HTML) */
+function labelColumns(value, field) {
+  const labelled = labelValue(value, field);
+  if (!labelled) return {};
+  return { DecodedLabel: labelled.label, ...(labelled.bits ? { DecodedBits: labelled.bits } : {}) };
+}
+
+// ---------------- HTML ----------------
+
+const LABELS_CSS = `
+    .value-raw { display: block; color: #94a3b8; font-size: 0.8em; margin-top: 0.2em; }
+    .bit-list { display: flex; flex-wrap: wrap; gap: 0.3em; margin-top: 0.35em; }
+    .bit { padding: 0.05em 0.45em; border-radius: 4px; font-size: 0.75em; background: #f1f5f9; color: #94a3b8; border: 1px solid #e2e8f0; }
+    .bit.set { background: #dcfce7; color: #166534; border-color: #bbf7d0; font-weight: 600; }`;
+
+/** Per-bit breakdown of a bitfield row: every named bit, the set ones highlighted */
+function bitListHtml(row) {
+  if (!Array.isArray(row.DecodedBits)) return "";
+  return `<div class="bit-list">${row.DecodedBits.map(b => `<span class="bit${b.set ? " set" : ""}" title="bit ${b.bit}${b.set ? " set" : " clear"}">${b.bit}: ${esc(b.name)}</span>`).join("")}</div>`;
+}
+
+/** Label badge of an enum or bitfield row, with the raw number and the per-bit breakdown underneath */
+function valueLabelHtml(row, value) {
+  return `<span class="badge badge-success decodedvalue-badge" title="${esc(value)}">${esc(row.DecodedLabel)}</span><span class="value-raw">${esc(value)}</span>${bitListHtml(row)}`;
+}
+
+module.exports = {
+  loadValueTables,
+  fieldTable,
+  checkFieldTables,
+  labelValue,
+  labelColumns,
+  LABELS_CSS,
+  bitListHtml,
+  valueLabelHtml,
+  DEFAULT_VALUE_TABLES_PATH,
+};
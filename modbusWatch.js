@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+// modbusWatch.js
+// Long-running watch: re-polls selected devices and fields at a fixed interval and appends
+// every decoded sample to rotating NDJSON and CSV logs, to catch what a one-shot run misses.
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const fs = require("fs");
+const path = require("path");
+const { Parser } = require("json2csv");
+const { createModbusPool, mapConcurrent } = require("./modbusScheduler");
+const { decodeField, DECODE_STATUS } = require("./modbusCodec");
+const { resolveTarget } = require("./modbusWriter");
+const { loadSpecRegistry, checkSpecRegistry, specFieldIds, readDevicePage, failedDevicePage } = require("./modbusSpecRegistry");
+
+// ---------------- Paths & specs ----------------
+
+const DEFAULT_WATCH_DIR = path.resolve(__dirname, "modbus_watch_logs");
+
+const CSV_FIELDS = ["Timestamp", "Site", "Device", "UnitID", "Address", "Field", "Value", "Status", "Error"];
+
+// Status of a sample whose registers couldn't be read (decode statuses come from DECODE_STATUS)
+const READ_ERROR = "read_error";
+
+// Assets stamp "Last Reported" on every check-in; the same value poll after poll means it froze
+const HEARTBEAT_FIELD = "Last Reported";
+
+const fieldKey = (field) => String(field.ID ?? "").trim().toLowerCase();
+const isReadable = (field) => Number.isFinite(Number(field.BaseReg)) && Number.isFinite(Number(field.Size)) && Number(field.Size) > 0;
+
+/**
+ * Resolves each target's unit ID and page address once, so every poll reuses them. The register
+ * map is picked on every poll from the device's identity registers, as the report readers do
+ * (see modbusSpecRegistry.js); `select` keeps the requested field IDs (every field when empty).
+ * @returns {{target:object, unitId:number, pageStart:number, spec:string, label:string, registry:object[], select:Function, fields:object[]}[]}
+ */
+function resolveDevices(targets, fieldIds = [], registry = checkSpecRegistry(loadSpecRegistry())) {
+  const wanted = new Set(fieldIds.map(id => String(id).trim().toLowerCase()));
+  return targets.map(target => {
+    const resolved = resolveTarget(target);
+    const known = specFieldIds(registry, resolved.spec);
+    const unknown = [...wanted].filter(id => !known.has(id));
+    if (unknown.length) throw new Error(`Not in any ${resolved.spec} register map: ${unknown.join(", ")}`);
+    return { target, ...resolved, registry, select: (field) => !wanted.size || wanted.has(fieldKey(field)), fields: [] };
+  });
+}
+
+/**
+ * Reads and decodes every device's fields once, with the register map its identity selects.
+ * Each device's `map` and `fields` are updated to what this poll decoded.
+ * @returns {Promise<object[][]>} one list of samples (see CSV_FIELDS) per device, in `devices` order
+ */
+function pollDevices(pool, devices, { site, timestamp = new Date().toISOString() }) {
+  return mapConcurrent(devices, pool.concurrency, async (device) => {
+    const only = (field) => isReadable(field) && device.select(field);
+    let page;
+    try {
+      page = await pool.run(device.unitId, conn => readDevicePage(conn, device.pageStart, device.registry, device.spec, { only }));
+    } catch (err) {
+      page = failedDevicePage(device.registry, device.spec, err, { only });
+    }
+    device.map = page.map.name;
+    device.fields = page.fields;
+
+    return page.fields.map(field => {
+      const sample = {
+        Timestamp: timestamp,
+        Site: site,
+        Device: device.label,
+        UnitID: device.unitId,
+        Address: device.pageStart + Number(field.BaseReg),
+        Field: field.ID,
+        Value: "",
+        Status: "",
+        Error: "",
+      };
+      const read = page.pageReads.get(field);
+      if (read.error) {
+        sample.Status = READ_ERROR;
+        sample.Error = read.error.message || String(read.error);
+        return sample;
+      }
+      const decoded = decodeField(read.data, field);
+      sample.Value = typeof decoded.value === "bigint" ? decoded.value.toString() : (decoded.value ?? "");
+      sample.Status = decoded.status;
+      sample.Error = decoded.error || "";
+      return sample;
+    });
+  });
+}
+
+// ---------------- Rotating log ----------------
+
+/**
+ * Appends lines to `<dir>/<base><ext>`. Once the file passes `maxBytes` it is renamed
+ * to `<base>.<timestamp><ext>` and a new one is started; only the newest `keep`
+ * rotated files are kept. `header` (if any) is written at the top of every new file.
+ */
+function createRotatingLog(dir, base, ext, { maxBytes, keep, header = null }) {
+  const file = path.join(dir, `${base}${ext}`);
+  fs.mkdirSync(dir, { recursive: true });
+
+  function rotate() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    fs.renameSync(file, path.join(dir, `${base}.${stamp}${ext}`));
+
+    const rotated = fs.readdirSync(dir)
+      .filter(f => f.startsWith(`${base}.`) && f.endsWith(ext))
+      .sort();
+    for (const old of rotated.slice(0, Math.max(0, rotated.length - keep))) {
+      fs.rmSync(path.join(dir, old), { force: true });
+    }
+  }
+
+  return {
+    file,
+    append(lines) {
+      if (!lines.length) return;
+      if (fs.existsSync(file) && fs.statSync(file).size >= maxBytes) rotate();
+      const fresh = !fs.existsSync(file) || fs.statSync(file).size === 0;
+      fs.appendFileSync(file, (fresh && header ? header + "\n" : "") + lines.join("\n") + "\n");
+    },
+  };
+}
+
+// ---------------- Watch ----------------
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Polls `targets` every `intervalMs` until `count` polls are done (0 = forever) or
+ * the returned `stop()` is called.
+ *
+ * @param {{
+ *   site: string,
+ *   port?: number,
+ *   targets: {ttid?:number, type?:string, position?:number, unitId?:number}[],  // see modbusWriter.resolveTarget
+ *   fields?: string[],        // spec IDs; empty = every field of the device's register map
+ *   intervalMs?: number,
+ *   count?: number,
+ *   outputDir?: string,
+ *   maxBytes?: number,        // rotate a log once it reaches this size
+ *   keep?: number,            // rotated files kept per log
+ *   frozenAfter?: number,     // warn when Last Reported is unchanged for this many polls (0 = off)
+ *   scheduler?: object,
+ *   specRegistry?: object[],  // see modbusSpecRegistry.loadSpecRegistry
+ *   onPoll?: (samples:object[], poll:number) => void
+ * }} options
+ * @returns {{done: Promise<{polls:number, samples:number, ndjsonPath:string, csvPath:string}>, stop: () => void}}
+ */
+function watchModbus({
+  site,
+  port = Number(process.env.MODBUS_PORT || 502),
+  targets,
+  fields = [],
+  intervalMs = Number(process.env.WATCH_INTERVAL_MS || 60000),
+  count = 0,
+  outputDir = process.env.WATCH_DIR || DEFAULT_WATCH_DIR,
+  maxBytes = Number(process.env.WATCH_MAX_BYTES || 10 * 1024 * 1024),
+  keep = Number(process.env.WATCH_KEEP || 10),
+  frozenAfter = 3,
+  scheduler = {},
+  specRegistry = loadSpecRegistry(),
+  onPoll = () => {},
+}) {
+  if (!targets?.length) throw new Error("Nothing to watch: no targets");
+
+  const devices = resolveDevices(targets, fields, checkSpecRegistry(specRegistry));
+
+  const base = `${String(site).replace(/[^\w.-]+/g, "_")}_watch`;
+  const ndjson = createRotatingLog(outputDir, base, ".ndjson", { maxBytes, keep });
+  const csv = createRotatingLog(outputDir, base, ".csv", { maxBytes, keep, header: CSV_FIELDS.map(f => `"${f}"`).join(",") });
+  const csvParser = new Parser({ fields: CSV_FIELDS, header: false });
+
+  let stopped = false;
+  let wake = null;
+  const stop = () => {
+    stopped = true;
+    if (wake) wake();
+  };
+
+  const done = (async () => {
+    const pool = createModbusPool({ site, port, ...scheduler });
+    const heartbeats = new Map(); // device label -> { value, unchangedPolls }
+    let polls = 0;
+    let total = 0;
+
+    try {
+      await pool.open();
+
+      while (!stopped) {
+        const started = Date.now();
+        const timestamp = new Date(started).toISOString();
+
+        const samples = (await pollDevices(pool, devices, { site, timestamp })).flat();
+        ndjson.append(samples.map(s => JSON.stringify(s)));
+        csv.append([csvParser.parse(samples)]);
+        polls++;
+        total += samples.length;
+
+        if (frozenAfter > 0) {
+          // An empty slot reads 0 forever; only occupied ones can freeze
+          for (const s of samples.filter(s => s.Field === HEARTBEAT_FIELD && s.Status === DECODE_STATUS.OK && Number(s.Value) > 0)) {
+            const last = heartbeats.get(s.Device);
+            const unchangedPolls = last && last.value === s.Value ? last.unchangedPolls + 1 : 0;
+            heartbeats.set(s.Device, { value: s.Value, unchangedPolls });
+            if (unchangedPolls === frozenAfter) {
+              console.warn(`⚠️  ${s.Device}: ${HEARTBEAT_FIELD} has not changed for ${frozenAfter} polls (${s.Value})`);
+            }
+          }
+        }
+
+        onPoll(samples, polls);
+        if (count > 0 && polls >= count) break;
+
+        const wait = Math.max(0, intervalMs - (Date.now() - started));
+        await new Promise(resolve => {
+          wake = resolve;
+          sleep(wait).then(resolve);
+        });
+        wake = null;
+      }
+    } finally {
+      pool.close();
+    }
+
+    return { polls, samples: total, ndjsonPath: ndjson.file, csvPath: csv.file };
+  })();
+
+  return { done, stop };
+}
+
+// --- Exports (library) ---
+module.exports = { watchModbus, resolveDevices, pollDevices, createRotatingLog, READ_ERROR, DEFAULT_WATCH_DIR };
+
+// --- CLI glue ---
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = process.argv.slice(2);
+      const getFlag = (name, fallback) => {
+        const i = args.findIndex(a => a === `--${name}`);
+        return (i !== -1 && i + 1 < args.length) ? args[i + 1] : fallback;
+      };
+      const list = (v) => (v ? String(v).split(",").map(s => s.trim()).filter(Boolean) : []);
+
+      const site = getFlag("site", process.env.SITE);
+      const ttids = list(getFlag("ttids"));
+      const positions = list(getFlag("positions"));
+
+      if (!site || (!ttids.length && !positions.length)) {
+        console.error('Usage: node modbusWatch.js --site <host> (--ttids 1,2 [--type row|weather|repeater|network] | --positions 0,1 [--unit 1]) [--fields "RSSI,Battery Voltage,Last Reported"] [--interval 60] [--count 0] [--out modbus_watch_logs] [--port 502]');
+        process.exit(1);
+      }
+
+      const type = getFlag("type", "row");
+      const unitId = Number(getFlag("unit", 1));
+      const targets = [
+        ...ttids.map(ttid => ({ ttid: Number(ttid), type })),
+        ...positions.map(position => ({ position: Number(position), unitId })),
+      ];
+      const intervalSec = getFlag("interval");
+
+      const watch = watchModbus({
+        site,
+        port: Number(getFlag("port", process.env.MODBUS_PORT || 502)),
+        targets,
+        fields: list(getFlag("fields")),
+        intervalMs: intervalSec !== undefined ? Number(intervalSec) * 1000 : undefined,
+        count: Number(getFlag("count", 0)),
+        outputDir: getFlag("out", undefined),
+        frozenAfter: Number(getFlag("frozen-after", 3)),
+        onPoll: (samples, poll) => {
+          const errors = samples.filter(s => s.Status !== DECODE_STATUS.OK).length;
+          console.log(`${errors ? "⚠️ " : "📈"} Poll ${poll} @ ${samples[0]?.Timestamp}: ${samples.length} values${errors ? `, ${errors} errors` : ""}`);
+        },
+      });
+
+      console.log(`👀 Watching ${targets.length} device(s) on ${site}. Press Ctrl+C to stop.`);
+      process.on("SIGINT", watch.stop);
+      process.on("SIGTERM", watch.stop);
+
+      const summary = await watch.done;
+      console.log(`✅ ${summary.polls} polls, ${summary.samples} values`);
+      console.log(`   • NDJSON: ${summary.ndjsonPath}`);
+      console.log(`   • CSV:    ${summary.csvPath}`);
+    } catch (err) {
+      console.error("❌", err.message || err);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,346 @@
+// modbusWriter.js
+// Guarded Modbus register writes: allow-listed fields the target's register map carries, refused
+// unless the NC has Modbus writes enabled and serves the layout the target is addressed in, with
+// dry-run planning, read-back verification and an audit log.
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ModbusRTU = require("modbus-serial");
+const { computeUnitId, computeStartingAddressForType } = require("./csvModbusTTID");
+const { getModbusServiceConfig, modeFromConfig } = require("./modbus-set-mode-api");
+const { schedulerOptionsFromEnv } = require("./modbusScheduler");
+const { getCodec, encodeField, decodeField, registersToHex } = require("./modbusCodec");
+const { loadSpec } = require("./modbusSpecLint");
+const { loadSpecRegistry, specFieldIds, readIdentity, selectSpecMap, IDENTITY } = require("./modbusSpecRegistry");
+
+// ---------------- Paths & allow-list ----------------
+
+const jsonDir = (process?.resourcesPath && fs.existsSync(path.join(process.resourcesPath, "json")))
+  ? path.join(process.resourcesPath, "json")
+  : path.join(__dirname, "json");
+
+const WRITABLE_REGISTERS_PATH = path.join(jsonDir, "writable_registers.json");
+const DEFAULT_AUDIT_PATH = path.resolve(__dirname, "modbus_write_audit.log");
+
+// Modes whose register layout each kind of addressing refers to
+const ADDRESSING_MODES = {
+  ttid: ["ttid"],
+  legacy: ["legacy-unsorted", "legacy-sorted"],
+};
+
+const fieldKey = (spec, id) => `${spec}:${String(id).trim().toLowerCase()}`;
+
+/**
+ * Allow-listed writable fields, keyed by "<spec>:<lower-case ID>": { Spec, ID, Min?, Max? }.
+ * Each must be in at least one register map of its spec; which maps actually carry it is
+ * decided per device when the write is planned.
+ */
+function loadWritableFields(registry = loadSpecRegistry()) {
+  const allowList = JSON.parse(fs.readFileSync(WRITABLE_REGISTERS_PATH, "utf8"));
+  const fields = new Map();
+
+  for (const item of allowList) {
+    if (!IDENTITY[item.Spec]) throw new Error(`Unknown spec "${item.Spec}" in ${path.basename(WRITABLE_REGISTERS_PATH)}`);
+    if (!specFieldIds(registry, item.Spec).has(String(item.ID).trim().toLowerCase())) {
+      throw new Error(`"${item.ID}" is not in any ${item.Spec} register map`);
+    }
+    fields.set(fieldKey(item.Spec, item.ID), item);
+  }
+  return fields;
+}
+
+// ---------------- Planning ----------------
+
+/**
+ * Unit ID and page address of a write target.
+ *  - { ttid, type }      TTID-mode addressing (type: row | weather | repeater | network)
+ *  - { position, unitId } legacy addressing (unit 0 is the NC, anything else an asset)
+ */
+function resolveTarget(target = {}) {
+  if (target.ttid !== undefined) {
+    const type = String(target.type || "row").toLowerCase();
+    const ttidNum = Number(target.ttid);
+    const unitId = computeUnitId(type, ttidNum);
+    return {
+      unitId,
+      pageStart: computeStartingAddressForType(type, ttidNum, unitId, 0),
+      spec: type === "network" ? "nc" : "assets",
+      addressing: "ttid",
+      label: `TTID ${ttidNum} (${type})`,
+    };
+  }
+
+  if (target.position !== undefined) {
+    const position = Number(target.position);
+    if (!Number.isInteger(position) || position < 0) throw new Error(`Invalid position: ${target.position}`);
+    const unitId = Number(target.unitId ?? 1);
+    return {
+      unitId,
+      pageStart: position * 512,
+      spec: unitId === 0 ? "nc" : "assets",
+      addressing: "legacy",
+      label: `Position ${position} (unit ${unitId})`,
+    };
+  }
+
+  throw new Error("Write target needs a ttid or a position");
+}
+
+/**
+ * Works out exactly what a write would send, without touching the device. `map` is the
+ * register map the target's identity selects (see selectSpecMap); the field has to be in it.
+ * Throws if the field isn't allow-listed, isn't in the map or the value is out of bounds.
+ *
+ * @param {{ttid?:number, type?:string, position?:number, unitId?:number}} target
+ * @param {string} fieldId - spec ID, e.g. "Requested Angle"
+ * @param {any} value
+ * @param {{map:object, registry?:object[]}} options
+ * @returns {{label:string, unitId:number, address:number, size:number, map:string, field:object, value:any, registers:number[], bytes:string}}
+ */
+function planWrite(target, fieldId, value, { map, registry = loadSpecRegistry() }) {
+  const resolved = resolveTarget(target);
+  const allowed = loadWritableFields(registry).get(fieldKey(resolved.spec, fieldId));
+  if (!allowed) {
+    throw new Error(`"${fieldId}" is not a writable ${resolved.spec} register (see ${path.basename(WRITABLE_REGISTERS_PATH)})`);
+  }
+  if (map.Spec !== resolved.spec) throw new Error(`${map.name} is not a ${resolved.spec} register map`);
+
+  const entry = loadSpec(map.path).find(e => fieldKey(resolved.spec, e.ID ?? "") === fieldKey(resolved.spec, fieldId));
+  if (!entry) throw new Error(`${resolved.label} is decoded with ${map.name}, which has no "${allowed.ID}" register`);
+  const field = { ...entry, Min: allowed.Min, Max: allowed.Max };
+
+  if (getCodec(field.Codec)?.numeric) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) throw new Error(`"${field.ID}" needs a number, got "${value}"`);
+    if (field.Min !== undefined && num < field.Min) throw new Error(`${field.ID} ${num} is below the minimum of ${field.Min}`);
+    if (field.Max !== undefined && num > field.Max) throw new Error(`${field.ID} ${num} is above the maximum of ${field.Max}`);
+  }
+
+  const registers = encodeField(value, field);
+  return {
+    label: resolved.label,
+    unitId: resolved.unitId,
+    address: resolved.pageStart + Number(field.BaseReg),
+    size: Number(field.Size),
+    map: map.name,
+    field,
+    value,
+    registers,
+    bytes: registersToHex(registers),
+  };
+}
+
+/**
+ * Why the NC's Modbus config rules the write out, or null: writes must be enabled (unless it's
+ * a dry run) and the NC must be serving the layout the target is addressed in.
+ */
+function guardReason(guard, resolved, dryRun) {
+  if (!guard.ok) return `Could not read the NC's Modbus config: ${guard.error}`;
+  if (!dryRun && !guard.config.enableModbusWrites) return "Modbus writes are disabled on the NC (enableModbusWrites=false)";
+  const mode = modeFromConfig(guard.config);
+  if (!mode) return "Could not tell the NC's Modbus mode from its config (enableLegacyMode/enableModbusSorting)";
+  if (!ADDRESSING_MODES[resolved.addressing].includes(mode)) {
+    return `${resolved.label} uses ${resolved.addressing === "ttid" ? "TTID" : "legacy position"} addressing, but the NC is in ${mode} mode`;
+  }
+  return null;
+}
+
+// ---------------- Audit log ----------------
+
+// One JSON object per line; BigInts are written as strings
+function appendAudit(auditPath, record) {
+  const line = JSON.stringify(record, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+  fs.mkdirSync(path.dirname(auditPath), { recursive: true });
+  fs.appendFileSync(auditPath, line + "\n");
+}
+
+// ---------------- Write ----------------
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Writes one allow-listed register on one device, then reads it back. The NC's config has to
+ * show writes enabled and the mode the target is addressed in; the target's identity registers
+ * pick the register map the field is looked up in, so a field only some devices carry can't be
+ * written to the others. A dry run does all of that except the write itself.
+ * Every attempt (dry-run, refused, rejected, written) is appended to the audit log.
+ *
+ * @param {{
+ *   site: string,
+ *   port?: number,
+ *   target: {ttid?:number, type?:string, position?:number, unitId?:number},
+ *   field: string,
+ *   value: any,
+ *   dryRun?: boolean,
+ *   verifyDelayMs?: number,   // wait before the read-back
+ *   graphql?: object,         // setModbusMode-style options: url, accessToken, xsrfToken, xsrfCookie, ...
+ *   auditPath?: string,
+ *   specRegistry?: object[]
+ * }} request
+ * @returns {Promise<{ok:boolean, status:string, plan?:object, readBack?:object, reason?:string, error?:string}>}
+ *   status: dry-run | verified | mismatch | refused | rejected | error. Never throws.
+ */
+async function writeRegister({
+  site,
+  port = Number(process.env.MODBUS_PORT || 502),
+  target,
+  field,
+  value,
+  dryRun = false,
+  verifyDelayMs = 250,
+  graphql = {},
+  auditPath = process.env.MODBUS_WRITE_AUDIT_PATH || DEFAULT_AUDIT_PATH,
+  specRegistry = loadSpecRegistry(),
+}) {
+  let result;
+  let plan;
+  let resolved;
+
+  try {
+    resolved = resolveTarget(target);
+    if (!loadWritableFields(specRegistry).has(fieldKey(resolved.spec, field))) {
+      throw new Error(`"${field}" is not a writable ${resolved.spec} register (see ${path.basename(WRITABLE_REGISTERS_PATH)})`);
+    }
+  } catch (err) {
+    result = { ok: false, status: "rejected", error: err.message };
+  }
+
+  if (!result) {
+    const guard = await getModbusServiceConfig({ ...graphql, url: graphql.url || `https://${site}/graphql` });
+    const reason = guardReason(guard, resolved, dryRun);
+    if (reason) result = { ok: false, status: "refused", reason };
+  }
+
+  if (!result) {
+    const client = new ModbusRTU();
+    try {
+      await client.connectTCP(site, { port });
+      client.setTimeout(schedulerOptionsFromEnv().timeoutMs);
+      client.setID(resolved.unitId);
+
+      // The identity picks the map, the same way the readers decode this page
+      const { identity, reads } = await readIdentity(client, resolved.pageStart, specRegistry, resolved.spec);
+      const failed = [...reads.values()].find(read => read?.error);
+      if (failed) throw failed.error;
+
+      if (!identity.deviceType) {
+        result = { ok: false, status: "refused", reason: `No device at ${resolved.label}: its ${IDENTITY[resolved.spec].deviceType} register is empty` };
+      } else {
+        try {
+          plan = planWrite(target, field, value, { map: selectSpecMap(specRegistry, resolved.spec, identity), registry: specRegistry });
+        } catch (err) {
+          result = { ok: false, status: "rejected", error: err.message };
+        }
+      }
+
+      if (plan && dryRun) {
+        result = { ok: true, status: "dry-run", plan };
+      } else if (plan) {
+        await client.writeRegisters(plan.address, plan.registers);
+
+        if (verifyDelayMs > 0) await sleep(verifyDelayMs);
+        const { data } = await client.readHoldingRegisters(plan.address, plan.size);
+        const verified = data.every((reg, i) => reg === plan.registers[i]);
+        result = {
+          ok: verified,
+          status: verified ? "verified" : "mismatch",
+          plan,
+          readBack: { registers: data, bytes: registersToHex(data), value: decodeField(data, plan.field).value },
+        };
+      }
+    } catch (err) {
+      result = { ok: false, status: "error", plan, error: err.message };
+    } finally {
+      try { client.close(() => {}); } catch {}
+    }
+  }
+
+  appendAudit(auditPath, {
+    timestamp: new Date().toISOString(),
+    user: os.userInfo().username,
+    site,
+    port,
+    target,
+    field,
+    value,
+    dryRun,
+    status: result.status,
+    map: plan?.map,
+    unitId: plan?.unitId,
+    address: plan?.address,
+    registers: plan?.registers,
+    bytes: plan?.bytes,
+    readBack: result.readBack,
+    reason: result.reason,
+    error: result.error,
+  });
+
+  return result;
+}
+
+// --- Exports (library) ---
+module.exports = { writeRegister, planWrite, resolveTarget, loadWritableFields };
+
+// --- CLI glue ---
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = process.argv.slice(2);
+      const getFlag = (name, fallback) => {
+        const i = args.findIndex(a => a === `--${name}`);
+        return (i !== -1 && i + 1 < args.length) ? args[i + 1] : fallback;
+      };
+
+      const site   = getFlag("site", process.env.SITE);
+      const field  = getFlag("field");
+      const value  = getFlag("value");
+      const ttid   = getFlag("ttid");
+      const pos    = getFlag("position");
+      const dryRun = args.includes("--dry-run");
+
+      if (!site || !field || value === undefined || (ttid === undefined && pos === undefined)) {
+        console.error('Usage: node modbusWriter.js --site <host> (--ttid <n> [--type row|weather|repeater|network] | --position <n> [--unit 1]) --field "<spec ID>" --value <v> [--dry-run] [--port 502] [--url https://host/graphql]');
+        process.exit(1);
+      }
+
+      const target = ttid !== undefined
+        ? { ttid: Number(ttid), type: getFlag("type", "row") }
+        : { position: Number(pos), unitId: Number(getFlag("unit", 1)) };
+
+      const result = await writeRegister({
+        site,
+        port: Number(getFlag("port", process.env.MODBUS_PORT || 502)),
+        target,
+        field,
+        value,
+        dryRun,
+        graphql: { url: getFlag("url", process.env.GRAPHQL_URL || `https://${site}/graphql`) },
+      });
+
+      const { plan } = result;
+      if (plan) {
+        console.log(`🎯 ${plan.label}: ${plan.field.ID} = ${plan.value} (${plan.field.Codec})`);
+        console.log(`   • Map:      ${plan.map}`);
+        console.log(`   • Unit ID:  ${plan.unitId}`);
+        console.log(`   • Address:  ${plan.address} (${plan.size} registers)`);
+        console.log(`   • Encoded:  [${plan.registers.join(", ")}]  0x${plan.bytes}`);
+      }
+
+      switch (result.status) {
+        case "dry-run":  console.log("🧪 Dry run: nothing was written."); break;
+        case "verified": console.log(`✅ Written and verified (read back ${result.readBack.value}).`); break;
+        case "mismatch": console.error(`⚠️  Written, but read-back differs: 0x${result.readBack.bytes} (${result.readBack.value})`); break;
+        case "refused":  console.error(`🚫 Refused: ${result.reason}`); break;
+        default:         console.error(`❌ ${result.error}`);
+      }
+      process.exitCode = result.ok ? 0 : 2;
+    } catch (err) {
+      console.error("❌", err.message || err);
+      process.exit(1);
+    }
+  })();
+}
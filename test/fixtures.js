@@ -0,0 +1,7 @@
+// fixtures.js
+// Report rows as the readers emit them, shared by the tests.
+
+/** A decoded TTID row as the readers emit it */
+const row = (ttid, ID, DecodedValue, extra = {}) => ({ TTID: ttid, ID, DecodedValue, DecodeStatus: "ok", CombinedHex: "'0000", ...extra });
+
+module.exports = { row };
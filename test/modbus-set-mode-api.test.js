@@ -0,0 +1,45 @@
+// modbus-set-mode-api.test.js
+// Reading the Modbus service config from a local stand-in for the NC's GraphQL endpoint.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { getModbusServiceConfig } = require("../modbus-set-mode-api");
+
+// Serves each request with the next { status, body } from `replies`
+async function withServer(replies, fn) {
+  const server = http.createServer((req, res) => {
+    const { status, body } = replies.shift();
+    req.resume();
+    req.on("end", () => {
+      res.writeHead(status, { "content-type": "text/plain" });
+      res.end(body);
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}/graphql`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test("getModbusServiceConfig returns the modbusService flags", async () => {
+  const config = { enableModbusService: true, enableModbusWrites: false, enableLegacyMode: true, enableModbusSorting: false };
+  const body = JSON.stringify({ data: { systemConfig: { modbusService: config } } });
+  await withServer([{ status: 200, body }], async (url) => {
+    assert.deepStrictEqual(await getModbusServiceConfig({ url }), { ok: true, config });
+  });
+});
+
+test("getModbusServiceConfig reports HTTP errors and non-JSON bodies instead of parse errors", async () => {
+  await withServer([
+    { status: 502, body: "<html>Bad Gateway</html>" },
+    { status: 200, body: "<html>Login</html>" },
+    { status: 200, body: JSON.stringify({ errors: [{ message: "Not authorized" }] }) },
+  ], async (url) => {
+    assert.deepStrictEqual(await getModbusServiceConfig({ url }), { ok: false, error: "HTTP 502" });
+    assert.deepStrictEqual(await getModbusServiceConfig({ url }), { ok: false, error: "Non-JSON response (status 200)" });
+    assert.match((await getModbusServiceConfig({ url })).error, /^GraphQL errors: .*Not authorized/);
+  });
+});
@@ -0,0 +1,80 @@
+// modbusBlockReader.test.js
+// Block planning and the per-field fallback, against a fake client that records every read.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { planBlocks, readPageFields, MAX_BLOCK_SIZE } = require("../modbusBlockReader");
+
+const field = (ID, BaseReg, Size) => ({ ID, BaseReg, Size });
+const spans = (blocks) => blocks.map(b => [b.offset, b.size, b.fields.map(f => f.ID)]);
+
+// Register value = its address; reads touching an address in `unmapped` fail with `code`
+function fakeClient({ unmapped = [], code = 2 } = {}) {
+  const reads = [];
+  return {
+    reads,
+    async readHoldingRegisters(address, length) {
+      reads.push([address, length]);
+      if (unmapped.some(a => a >= address && a < address + length)) {
+        throw Object.assign(new Error("Illegal data address"), { modbusCode: code });
+      }
+      return { data: Array.from({ length }, (_, i) => address + i) };
+    },
+  };
+}
+
+test("planBlocks merges adjacent and overlapping fields, and splits at gaps", () => {
+  const blocks = planBlocks([field("C", 10, 2), field("A", 0, 4), field("B", 4, 2), field("D", 11, 2)]);
+  assert.deepStrictEqual(spans(blocks), [[0, 6, ["A", "B"]], [10, 3, ["C", "D"]]]);
+});
+
+test("planBlocks never builds a block past the 125-register cap", () => {
+  assert.strictEqual(MAX_BLOCK_SIZE, 125);
+  const fields = Array.from({ length: 70 }, (_, i) => field(`F${i}`, i * 2, 2));
+  const blocks = planBlocks(fields);
+  assert.deepStrictEqual(blocks.map(b => [b.offset, b.size]), [[0, 124], [124, 16]]);
+  assert.ok(blocks.every(b => b.size <= MAX_BLOCK_SIZE));
+  assert.deepStrictEqual(spans(planBlocks([field("A", 0, 4), field("B", 4, 4)], 6)), [[0, 4, ["A"]], [4, 4, ["B"]]]);
+});
+
+test("planBlocks keeps oversized and page-crossing fields on their own", () => {
+  const blocks = planBlocks([field("A", 0, 2), field("Big", 2, 130), field("B", 132, 2), field("Tail", 510, 4)]);
+  assert.deepStrictEqual(spans(blocks), [[0, 2, ["A"]], [2, 130, ["Big"]], [132, 2, ["B"]], [510, 4, ["Tail"]]]);
+});
+
+test("readPageFields slices each field out of its block", async () => {
+  const a = field("A", 0, 2);
+  const b = field("B", 2, 1);
+  const c = field("C", 20, 2);
+  const client = fakeClient();
+  const results = await readPageFields(client, 512, [a, b, c]);
+
+  assert.deepStrictEqual(client.reads, [[512, 3], [532, 2]]);
+  assert.deepStrictEqual(results.get(a), { data: [512, 513] });
+  assert.deepStrictEqual(results.get(b), { data: [514] });
+  assert.deepStrictEqual(results.get(c), { data: [532, 533] });
+});
+
+test("an illegal-address block falls back to one read per field", async () => {
+  const a = field("A", 0, 2);
+  const hole = field("Hole", 2, 1);
+  const b = field("B", 3, 2);
+  const client = fakeClient({ unmapped: [2] });
+  const results = await readPageFields(client, 0, [a, hole, b]);
+
+  assert.deepStrictEqual(client.reads, [[0, 5], [0, 2], [2, 1], [3, 2]]);
+  assert.deepStrictEqual(results.get(a), { data: [0, 1] });
+  assert.strictEqual(results.get(hole).error.modbusCode, 2);
+  assert.deepStrictEqual(results.get(b), { data: [3, 4] });
+});
+
+test("other errors fail the whole block without retrying per field", async () => {
+  const a = field("A", 0, 2);
+  const b = field("B", 2, 2);
+  const client = fakeClient({ unmapped: [0], code: 4 });
+  const results = await readPageFields(client, 0, [a, b]);
+
+  assert.deepStrictEqual(client.reads, [[0, 4]]);
+  assert.strictEqual(results.get(a).error.modbusCode, 4);
+  assert.strictEqual(results.get(b).error, results.get(a).error);
+});
@@ -0,0 +1,68 @@
+// modbusCli.test.js
+// Command-line parsing and the usage exit code; no command reaches the network.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { main, parseArgs, COMMANDS, EXIT } = require("../modbusCli");
+
+const OPTIONS = {
+  site: { alias: "s", value: true },
+  format: { alias: "f", value: true },
+  verbose: { alias: "v" },
+  snapshot: {},
+};
+
+// Runs main() with its usage output swallowed
+async function run(argv) {
+  const error = console.error;
+  console.error = () => {};
+  try {
+    return await main(argv);
+  } finally {
+    console.error = error;
+  }
+}
+
+test("parseArgs reads long, inline, short and negated flags", () => {
+  const { flags, positionals } = parseArgs(["a.csv", "--site", "10.0.0.1", "--format=json", "-v", "--no-snapshot", "b.csv"], OPTIONS);
+  assert.deepStrictEqual(flags, { site: "10.0.0.1", format: "json", verbose: true, snapshot: false });
+  assert.deepStrictEqual(positionals, ["a.csv", "b.csv"]);
+
+  assert.deepStrictEqual(parseArgs(["-s", "h", "--format=a=b"], OPTIONS).flags, { site: "h", format: "a=b" });
+  assert.deepStrictEqual(parseArgs(["--", "--site", "-"], OPTIONS).positionals, ["--site", "-"]);
+});
+
+test("parseArgs rejects unknown flags, missing values and values on switches", () => {
+  const usage = (argv, message) => assert.throws(() => parseArgs(argv, OPTIONS), (err) => err.usage && message.test(err.message));
+  usage(["--sight", "x"], /Unknown option: --sight/);
+  usage(["-x"], /Unknown option: -x/);
+  usage(["--no-site"], /Unknown option: --no-site/);
+  usage(["--site"], /--site needs a value/);
+  usage(["--site", "--verbose"], /--site needs a value/);
+  usage(["--verbose=yes"], /--verbose doesn't take a value/);
+});
+
+test("main exits with the usage code for bad command lines", async () => {
+  assert.strictEqual(await run([]), EXIT.USAGE);
+  assert.strictEqual(await run(["frobnicate"]), EXIT.USAGE);
+  assert.strictEqual(await run(["read", "ttid"]), EXIT.USAGE);
+  assert.strictEqual(await run(["lint-specs", "--bogus"]), EXIT.USAGE);
+  assert.strictEqual(await run(["lint-specs", "--format", "xml"]), EXIT.USAGE);
+});
+
+test("commands only take the shared flags that apply to them", async () => {
+  const shared = (name) => ["site", "port", "unit", "out"].filter(flag => COMMANDS[name].options[flag]);
+  assert.deepStrictEqual(shared("report"), ["site", "port", "out"]);
+  assert.deepStrictEqual(shared("read position"), ["site", "port", "unit"]);
+  assert.deepStrictEqual(shared("lint-specs"), []);
+
+  assert.strictEqual(await run(["report", "--unit", "1"]), EXIT.USAGE);
+  assert.strictEqual(await run(["read", "ttid", "600", "--unit", "1"]), EXIT.USAGE);
+  assert.strictEqual(await run(["get-mode", "--out", "reports"]), EXIT.USAGE);
+  assert.strictEqual(await run(["lint-specs", "--site", "10.0.0.1"]), EXIT.USAGE);
+});
+
+test("diff rejects a tolerance that isn't a number or a percentage", async () => {
+  assert.strictEqual(await run(["diff", "before.json", "after.json", "--tolerance", "abc"]), EXIT.USAGE);
+  assert.strictEqual(await run(["diff", "before.json", "after.json", "--tolerance", "x%"]), EXIT.USAGE);
+});
@@ -0,0 +1,67 @@
+// modbusCodec.test.js
+// Codec names, word orders, 64-bit values and scaling, decoded and encoded both ways.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { normalizeCodec, getCodec, decodeRegisters, decodeField, encodeValue, registersToHex, combinedHex, DECODE_STATUS, WORD_ORDERS } = require("../modbusCodec");
+
+test("normalizeCodec maps aliases and word-order suffixes", () => {
+  assert.strictEqual(normalizeCodec("U64"), "uint64");
+  assert.strictEqual(normalizeCodec("Float32LE"), "float32-dcba");
+  assert.strictEqual(normalizeCodec("U32SW"), "uint32-cdab");
+  assert.strictEqual(normalizeCodec("float32:cdab"), "float32-cdab");
+  assert.strictEqual(getCodec("Bool").name, "boolean");
+  assert.strictEqual(getCodec("nope"), null);
+});
+
+test("float32 decodes in every word order", () => {
+  const wire = { abcd: [0x4148, 0x0000], cdab: [0x0000, 0x4148], badc: [0x4841, 0x0000], dcba: [0x0000, 0x4841] };
+  for (const order of WORD_ORDERS) {
+    assert.strictEqual(decodeRegisters(wire[order], `Float32-${order}`).value, 12.5, order);
+    assert.deepStrictEqual(encodeValue(12.5, `Float32-${order}`, 2), wire[order], order);
+  }
+});
+
+test("64-bit values beyond 2^53 stay exact as BigInts", () => {
+  const max = decodeRegisters([0xffff, 0xffff, 0xffff, 0xffff], "U64");
+  assert.strictEqual(max.value, 2n ** 64n - 1n);
+  assert.strictEqual(decodeRegisters([0xffff, 0xffff, 0xffff, 0xffff], "I64").value, -1);
+  assert.strictEqual(decodeRegisters([0, 0, 0x689c, 0x9329], "U64").value, 1755091753);
+  assert.deepStrictEqual(encodeValue("18446744073709551615", "U64", 4), [0xffff, 0xffff, 0xffff, 0xffff]);
+  assert.deepStrictEqual(encodeValue(2n ** 63n, "U64", 4), [0x8000, 0, 0, 0]);
+});
+
+test("Scale and Offset apply on decode and are undone on encode", () => {
+  const field = { Codec: "I16", Size: 1, Scale: 0.1, Offset: -40 };
+  assert.strictEqual(decodeField([500], field).value, 10);
+  assert.deepStrictEqual(encodeValue(10, "I16", 1, { scale: 0.1, offset: -40 }), [500]);
+  assert.strictEqual(decodeRegisters([0xfffe], "I16").value, -2);
+});
+
+test("strings, hex and booleans", () => {
+  assert.strictEqual(decodeRegisters([0x5472, 0x6163, 0x6b00, 0], "ascii").value, "Track");
+  assert.deepStrictEqual(encodeValue("Track", "ascii", 4), [0x5472, 0x6163, 0x6b00, 0]);
+  assert.strictEqual(decodeRegisters([0x00ab, 0xcdef], "hex").value, "0xABCDEF");
+  assert.strictEqual(decodeRegisters([0, 0], "hex").value, "0x00");
+  assert.deepStrictEqual(encodeValue("0xABCDEF", "hex", 2), [0x00ab, 0xcdef]);
+  assert.strictEqual(decodeRegisters([2], "Bool").value, 1);
+  assert.strictEqual(decodeRegisters([0], "Bool").value, 0);
+  assert.strictEqual(registersToHex([1, 0xbeef]), "0001BEEF");
+});
+
+test("combinedHex drops leading zeros and pads fixed-width codecs back to their width", () => {
+  assert.strictEqual(combinedHex([0x12, 0x3456], "U16"), "123456");
+  assert.strictEqual(combinedHex([1], "U16"), "0001");
+  assert.strictEqual(combinedHex([0, 1], "U32"), "00000001");
+  assert.strictEqual(combinedHex([0, 0, 0, 1], "U64"), "0000000000000001");
+  assert.strictEqual(combinedHex([0x0013, 0xb566], "hex"), "13B566");
+  assert.strictEqual(combinedHex([0x5472, 0], "ascii"), "54720000");
+  assert.strictEqual(combinedHex([0, 0], "ascii"), "00");
+});
+
+test("bad codecs and short reads come back as statuses, not throws", () => {
+  assert.strictEqual(decodeRegisters([1], "nope").status, DECODE_STATUS.UNKNOWN_CODEC);
+  assert.strictEqual(decodeRegisters([1], "U32").status, DECODE_STATUS.INSUFFICIENT_DATA);
+  assert.throws(() => encodeValue(1, "nope", 1), /Unknown codec/);
+  assert.throws(() => encodeValue(1, "U32", 1), /needs 2 registers/);
+});
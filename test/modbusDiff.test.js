@@ -0,0 +1,52 @@
+// modbusDiff.test.js
+// Snapshots built from report rows, and the diff between two of them.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildSnapshot } = require("../modbusSnapshot");
+const { diffSnapshots } = require("../modbusDiff");
+const { row } = require("./fixtures");
+
+const TOLERANCES = { default: 0, ignore: ["Last Reported"], fields: { "Battery Voltage": 0.1, "Solar Voltage": "5%" } };
+
+const snapshot = (rows) => buildSnapshot("10.0.0.1", [{ mode: "ttid", reports: [{ type: "row", rows }] }], new Date("2025-08-13T13:30:00Z"));
+
+test("buildSnapshot keeps values and errors per device, BigInts as strings", () => {
+  const snap = snapshot([
+    row(600, "Device Type", "Tracker"),
+    row(600, "Serial", 2n ** 60n),
+    row(600, "RSSI", "", { CombinedHex: "Error: Timed out" }),
+    row(2, "Device Type", ""),
+  ]);
+  const device = snap.devices["ttid/row/TTID 600"];
+  assert.strictEqual(device.present, true);
+  assert.strictEqual(device.values.Serial, "1152921504606846976");
+  assert.deepStrictEqual(device.errors, { RSSI: "Timed out" });
+  assert.strictEqual(snap.devices["ttid/row/TTID 2"].present, false);
+});
+
+test("diffSnapshots applies tolerances and reports added, removed and changed devices", () => {
+  const before = snapshot([
+    row(600, "Device Type", "Tracker"), row(600, "Battery Voltage", 13.5), row(600, "Solar Voltage", 40),
+    row(600, "Last Reported", 100), row(600, "FW Rev", "8.4"), row(600, "RSSI", -70),
+    row(576, "Device Type", "Tracker"),
+  ]);
+  const after = snapshot([
+    row(600, "Device Type", "Tracker"), row(600, "Battery Voltage", 13.55), row(600, "Solar Voltage", 43),
+    row(600, "Last Reported", 200), row(600, "FW Rev", "8.5"), row(600, "RSSI", "", { CombinedHex: "Error: Timed out" }),
+    row(601, "Device Type", "Weather"),
+  ]);
+
+  const { rows, summary } = diffSnapshots(before, after, TOLERANCES);
+  assert.deepStrictEqual(rows.map(r => [r.Change, r.Device, r.Field]), [
+    ["removed", "TTID 576", ""],
+    ["delta", "TTID 600", "Solar Voltage"],
+    ["changed", "TTID 600", "FW Rev"],
+    ["changed", "TTID 600", "RSSI"],
+    ["added", "TTID 601", ""],
+  ]);
+  assert.strictEqual(rows[1].Delta, 3);
+  assert.strictEqual(rows[3].After, "Error: Timed out");
+  assert.strictEqual(summary.added, 1);
+  assert.strictEqual(summary.removed, 1);
+});
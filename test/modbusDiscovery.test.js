@@ -0,0 +1,88 @@
+// modbusDiscovery.test.js
+// Slot discovery against the simulator on localhost, and the inventory it's saved to.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSimulator } = require("../modbusSimulator");
+const { discoverDevices, saveInventory, loadInventory, inventoryTargets, defaultInventoryPath } = require("../modbusDiscovery");
+
+const PORT = 15502;
+const FLEET = {
+  nc: { "System ID": "TRAK" },
+  devices: [
+    { ttid: 1, type: "repeater", position: 0 },
+    { ttid: 5, type: "tracker", position: 1 },
+    { ttid: 120, type: "tracker", position: 2 },
+    { ttid: 3, type: "weather", position: 3 },
+  ],
+};
+const SCHEDULER = { concurrency: 4, timeoutMs: 1000, retries: 0 };
+
+const simulator = createSimulator(FLEET);
+test.before(() => simulator.start({ host: "127.0.0.1", port: PORT }));
+test.after(() => simulator.stop());
+
+const discover = (mode) => discoverDevices({ site: "127.0.0.1", port: PORT, mode, scheduler: SCHEDULER });
+const slots = (devices, key) => devices.map(d => [d[key], d.type ?? d.group, d.unitId]);
+
+test("discoverDevices finds TTID devices and stops once the NC's assets are found", async () => {
+  simulator.setMode("ttid");
+  const { totalAssets, scanned, devices } = await discover("ttid");
+  assert.strictEqual(totalAssets, 4);
+  assert.deepStrictEqual(slots(devices, "ttid"), [[3, "weather", 101], [1, "repeater", 102], [5, "row", 1], [120, "row", 2]]);
+  // weather and repeater TTIDs 1..128, then row units 1 and 2
+  assert.strictEqual(scanned, 128 * 2 + 200);
+  assert.ok(devices.every(d => d.deviceType));
+});
+
+test("discoverDevices scans legacy layouts by position", async () => {
+  simulator.setMode("legacy-unsorted");
+  const unsorted = await discover("legacy-unsorted");
+  assert.deepStrictEqual(unsorted.devices.map(d => d.position), [0, 1, 2, 3]);
+  assert.strictEqual(unsorted.scanned, 128);
+
+  simulator.setMode("legacy-sorted");
+  const sorted = await discover("legacy-sorted");
+  assert.deepStrictEqual(slots(sorted.devices, "position"), [[0, "legacy-tracker", 1], [1, "legacy-tracker", 1], [0, "legacy-repeater", 2], [0, "legacy-weather", 3]]);
+  // Each group stops at the first batch with an empty slot
+  assert.strictEqual(sorted.scanned, 12);
+});
+
+test("discoverDevices rejects an unknown mode", async () => {
+  await assert.rejects(discover("sorted"), /Unknown Modbus mode "sorted"/);
+});
+
+test("saveInventory keeps the other modes and inventoryTargets lists what the readers take", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "modbus-inventory-"));
+  try {
+    const file = defaultInventoryPath("10.0.0.1", dir);
+    assert.strictEqual(path.basename(file), "10.0.0.1_inventory.json");
+
+    const at = new Date("2025-08-13T13:30:00Z");
+    saveInventory(file, "10.0.0.1", "ttid", {
+      totalAssets: 3,
+      devices: [
+        { ttid: 5, type: "row", unitId: 1 }, { ttid: 3, type: "weather", unitId: 101 }, { ttid: 1, type: "repeater", unitId: 102 },
+      ],
+    }, at);
+    saveInventory(file, "10.0.0.1", "legacy-sorted", {
+      totalAssets: null,
+      devices: [{ position: 0, group: "legacy-tracker" }, { position: 0, group: "legacy-repeater" }, { position: 0, group: "legacy-weather" }],
+    }, at);
+
+    const inventory = loadInventory(file);
+    assert.deepStrictEqual(Object.keys(inventory.modes), ["ttid", "legacy-sorted"]);
+    assert.strictEqual(inventory.modes.ttid.discoveredAt, "2025-08-13T13:30:00.000Z");
+    assert.deepStrictEqual(inventoryTargets(inventory, "ttid"), { row: [5], weather: [3], repeater: [1] });
+    assert.deepStrictEqual(inventoryTargets(inventory, "legacy-sorted"), { "legacy-tracker": [0], "legacy-weather": [0] });
+    assert.strictEqual(inventoryTargets(inventory, "legacy-unsorted"), null);
+
+    fs.writeFileSync(file, JSON.stringify({ devices: [] }));
+    assert.throws(() => loadInventory(file), /is not a device inventory/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
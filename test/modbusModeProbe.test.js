@@ -0,0 +1,58 @@
+// modbusModeProbe.test.js
+// Confirmation timing settings, and probing the register layout of the simulator on localhost.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulator } = require("../modbusSimulator");
+const { probeModbusMode, confirmModbusMode, confirmOptionsFromEnv } = require("../modbusModeProbe");
+
+const PORT = 15505;
+const FLEET = {
+  nc: { "System ID": "TRAK" },
+  devices: [
+    { ttid: 5, type: "tracker", position: 0 },
+    { ttid: 3, type: "weather", position: 1 },
+  ],
+};
+const SCHEDULER = { timeoutMs: 1000, retries: 0 };
+const SETTINGS = ["MODE_CONFIRM_TIMEOUT_MS", "MODE_CONFIRM_POLL_MS"];
+
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(SETTINGS.map(name => [name, process.env[name]]));
+  for (const name of SETTINGS) delete process.env[name];
+  Object.assign(process.env, values);
+  try {
+    return fn();
+  } finally {
+    for (const name of SETTINGS) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  }
+}
+
+const simulator = createSimulator(FLEET);
+test.before(() => simulator.start({ host: "127.0.0.1", port: PORT }));
+test.after(() => simulator.stop());
+
+test("confirmOptionsFromEnv falls back to the defaults and rejects a zero poll interval", () => {
+  withEnv({}, () => assert.deepStrictEqual(confirmOptionsFromEnv(), { timeoutMs: 30000, pollMs: 1000 }));
+  withEnv({ MODE_CONFIRM_POLL_MS: "0" }, () => assert.throws(() => confirmOptionsFromEnv(), /MODE_CONFIRM_POLL_MS must be an integer of at least 1, got "0"/));
+  withEnv({ MODE_CONFIRM_TIMEOUT_MS: "soon" }, () => assert.throws(() => confirmOptionsFromEnv(), /MODE_CONFIRM_TIMEOUT_MS/));
+});
+
+test("confirmModbusMode reports bad timing instead of polling", async () => {
+  const result = await confirmModbusMode("ttid", { site: "127.0.0.1", port: PORT, timeoutMs: 1000, pollMs: 0 });
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.attempts, 0);
+  assert.match(result.reason, /pollMs 0/);
+});
+
+test("probeModbusMode tells the layouts apart", async () => {
+  simulator.setMode("ttid");
+  assert.deepStrictEqual((await probeModbusMode({ site: "127.0.0.1", port: PORT, slots: 2, scheduler: SCHEDULER })).modes, ["ttid"]);
+  simulator.setMode("legacy-unsorted");
+  assert.deepStrictEqual((await probeModbusMode({ site: "127.0.0.1", port: PORT, slots: 2, scheduler: SCHEDULER })).modes, ["legacy-unsorted"]);
+  simulator.setMode("legacy-sorted");
+  assert.deepStrictEqual((await probeModbusMode({ site: "127.0.0.1", port: PORT, slots: 2, scheduler: SCHEDULER })).modes, ["legacy-sorted"]);
+});
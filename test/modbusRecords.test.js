@@ -0,0 +1,74 @@
+// modbusRecords.test.js
+// Typed per-field records built from report rows, and the NDJSON/JSON files they're written to.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { typedValue, buildRecords, writeRecords, parseRecordFormats, READ_ERROR } = require("../modbusRecords");
+const { row } = require("./fixtures");
+
+const READ_AT = new Date("2025-08-13T13:30:00Z");
+
+test("typedValue keeps numbers and strings, and writes BigInts as strings", () => {
+  assert.deepStrictEqual(typedValue(12.6), { value: 12.6, type: "number" });
+  assert.deepStrictEqual(typedValue("8.4"), { value: "8.4", type: "string" });
+  assert.deepStrictEqual(typedValue(2n ** 60n), { value: "1152921504606846976", type: "bigint" });
+  assert.deepStrictEqual(typedValue(""), { value: "", type: "string" });
+  assert.deepStrictEqual(typedValue(null), { value: null, type: null });
+});
+
+test("typedValue turns epoch fields into ISO timestamps and durations into seconds", () => {
+  assert.deepStrictEqual(typedValue(1755091760, "epoch_s"), { value: "2025-08-13T13:29:20.000Z", type: "timestamp", epoch: 1755091760 });
+  assert.deepStrictEqual(typedValue(0, "epoch_s"), { value: null, type: "timestamp", epoch: 0 });
+  assert.deepStrictEqual(typedValue(1500, "duration_ms"), { value: 1.5, type: "duration" });
+});
+
+test("buildRecords writes one record per field with the device's type and its error", () => {
+  const categories = [{
+    mode: "ttid",
+    reports: [{
+      type: "row",
+      rows: [
+        row(600, "Device Type", "Tracker", { UnitID: 6, StartingAddress: 0, Size: 8, Codec: "Asciiz", Registers: [0x5472] }),
+        row(600, "RSSI", "", { UnitID: 6, StartingAddress: 40, Size: 1, CombinedHex: "Error: Timed out" }),
+        row(600, "Serial", "", { UnitID: 6, StartingAddress: 50, Size: 1, DecodeStatus: "insufficient_data", DecodeError: "Not enough registers" }),
+        { ID: "=".repeat(20), UnitID: "", StartingAddress: "", Size: "" },
+      ],
+    }],
+  }];
+
+  const records = buildRecords("10.0.0.1", categories, READ_AT);
+  assert.strictEqual(records.length, 3);
+  assert.deepStrictEqual(records[0], {
+    site: "10.0.0.1", mode: "ttid", report: "row", device: "TTID 600", ttid: 600, deviceType: "Tracker", map: null,
+    unitId: 6, field: "Device Type", address: 0, size: 8, codec: "ascii", registers: [0x5472],
+    value: "Tracker", type: "string", status: "ok", error: null, readAt: "2025-08-13T13:30:00.000Z",
+  });
+  assert.strictEqual(records[1].status, READ_ERROR);
+  assert.deepStrictEqual(records[1].error, { kind: "read", message: "Timed out" });
+  assert.strictEqual(records[1].value, null);
+  assert.strictEqual(records[2].status, "insufficient_data");
+  assert.deepStrictEqual(records[2].error, { kind: "decode", status: "insufficient_data", message: "Not enough registers" });
+});
+
+test("writeRecords writes NDJSON and JSON, and rejects unknown formats", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "modbus-records-"));
+  try {
+    const records = [{ field: "A", value: 1 }, { field: "B", value: "x" }];
+    const [ndjson, json] = writeRecords(records, dir, "10.0.0.1", ["ndjson", "json"]);
+    assert.strictEqual(path.basename(ndjson), "10.0.0.1_records.ndjson");
+    assert.strictEqual(fs.readFileSync(ndjson, "utf8"), '{"field":"A","value":1}\n{"field":"B","value":"x"}\n');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(json, "utf8")), records);
+    assert.throws(() => writeRecords(records, dir, "site", ["csv"]), /Unknown record format "csv"/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("parseRecordFormats splits the setting and turns records off with none", () => {
+  assert.deepStrictEqual(parseRecordFormats("NDJSON, json"), ["ndjson", "json"]);
+  assert.deepStrictEqual(parseRecordFormats("ndjson,none"), []);
+  assert.deepStrictEqual(parseRecordFormats(undefined), []);
+});
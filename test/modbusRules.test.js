@@ -0,0 +1,80 @@
+// modbusRules.test.js
+// Field rule checks and their evaluation over reader rows.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { checkRule, applyRules, applyReportRules, mergeRuleSummaries } = require("../modbusRules");
+const { row } = require("./fixtures");
+
+const NOW_SEC = Date.parse("2025-08-13T13:30:00Z") / 1000;
+
+test("checkRule covers Min/Max, Allowed, NonEmpty and MaxAgeSec", () => {
+  assert.strictEqual(checkRule({ Min: 11.5, Max: 15 }, 12.6), null);
+  assert.strictEqual(checkRule({ Min: 11.5 }, 10), "10 is below 11.5");
+  assert.strictEqual(checkRule({ Max: 15 }, "abc"), "abc is not a number");
+  assert.strictEqual(checkRule({ Allowed: [0, 1] }, 2), "2 is not one of 0, 1");
+  assert.strictEqual(checkRule({ NonEmpty: true }, "  "), "is empty");
+  assert.strictEqual(checkRule({ MaxAgeSec: 3600 }, NOW_SEC - 60, NOW_SEC), null);
+  assert.strictEqual(checkRule({ MaxAgeSec: 3600 }, NOW_SEC - 7200, NOW_SEC), "is 2h 0m old (limit 1h 0m)");
+  assert.strictEqual(checkRule({ MaxAgeSec: 3600 }, 0, NOW_SEC), "has never been set");
+  assert.strictEqual(checkRule({ MaxAgeSec: 3600 }, (NOW_SEC - 90) * 1000, NOW_SEC, "epoch_ms"), null);
+});
+
+test("applyRules marks failing rows and skips empty slots and unread fields", () => {
+  const rows = [
+    row(600, "Device Type", "Tracker"),
+    row(600, "Battery Voltage", 10.9),
+    row(600, "Charger Current", 2),
+    row(576, "Device Type", "Weather"),
+    row(576, "Battery Voltage", 3),
+    row(2, "Device Type", ""),
+    row(2, "Battery Voltage", 0),
+    row(601, "Device Type", "Tracker"),
+    row(601, "Battery Voltage", "", { DecodeStatus: "decode_error" }),
+  ];
+  const rules = [
+    { Spec: "assets", ID: "Battery Voltage", DeviceTypes: ["Tracker"], Min: 11.5, Critical: true },
+    { Spec: "assets", ID: "Charger Current", Max: 10 },
+    { Spec: "nc", ID: "Battery Voltage", Min: 100 },
+  ];
+
+  const summary = applyRules(rows, rules, { spec: "assets", now: NOW_SEC });
+  assert.deepStrictEqual({ ...summary, devices: Object.keys(summary.devices) }, { checked: 2, passed: 1, failed: 1, critical: 1, devices: ["TTID 600"] });
+  assert.strictEqual(rows[1].RuleStatus, "critical");
+  assert.strictEqual(rows[1].RuleMessage, "10.9 is below 11.5");
+  assert.strictEqual(rows[2].RuleStatus, "pass");
+  assert.strictEqual(rows[4].RuleStatus, undefined);
+  assert.strictEqual(rows[8].RuleStatus, undefined);
+});
+
+test("applyReportRules measures MaxAgeSec from the NC clock, not the run time", () => {
+  // The NC's clock is a year behind the run; its devices reported a minute and two hours before it
+  const ncTime = NOW_SEC - 365 * 86400;
+  const reports = [
+    { spec: "nc", rows: [], devices: [{ key: "NC", rows: [row("", "Poll Response Time", ncTime, { Semantic: "epoch_s" })] }] },
+    {
+      spec: "assets",
+      rows: [
+        row(600, "Device Type", "Tracker"),
+        row(600, "Last Reported", ncTime - 60, { Semantic: "epoch_s" }),
+        row(601, "Device Type", "Tracker"),
+        row(601, "Last Reported", ncTime - 7200, { Semantic: "epoch_s" }),
+      ],
+    },
+  ];
+  reports[1].devices = [{ key: "TTID 600", rows: reports[1].rows.slice(0, 2) }, { key: "TTID 601", rows: reports[1].rows.slice(2) }];
+
+  applyReportRules(reports, [{ Spec: "assets", ID: "Last Reported", MaxAgeSec: 3600, Critical: true }]);
+  assert.deepStrictEqual(reports[0].rules, { checked: 0, passed: 0, failed: 0, critical: 0, devices: {} });
+  assert.deepStrictEqual(Object.keys(reports[1].rules.devices), ["TTID 601"]);
+  assert.strictEqual(reports[1].rows[3].RuleMessage, "is 2h 0m old (limit 1h 0m)");
+});
+
+test("mergeRuleSummaries adds up counts and failing devices", () => {
+  const total = mergeRuleSummaries([
+    { checked: 3, passed: 2, failed: 1, critical: 0, devices: { "TTID 1": {} } },
+    null,
+    { checked: 2, passed: 0, failed: 2, critical: 1, devices: 2 },
+  ]);
+  assert.deepStrictEqual(total, { checked: 5, passed: 2, failed: 3, critical: 1, devices: 3 });
+});
@@ -0,0 +1,87 @@
+// modbusScheduler.test.js
+// Polling settings, the order-preserving concurrent map and closing the pool (against a bare local socket).
+
+const test = require("node:test");
+const assert = require("node:assert");
+const net = require("net");
+const { schedulerOptionsFromEnv, createModbusPool, mapConcurrent } = require("../modbusScheduler");
+
+const SETTINGS = ["MODBUS_CONCURRENCY", "MODBUS_TIMEOUT_MS", "MODBUS_RETRIES", "MODBUS_RETRY_BACKOFF_MS"];
+
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(SETTINGS.map(name => [name, process.env[name]]));
+  for (const name of SETTINGS) delete process.env[name];
+  Object.assign(process.env, values);
+  try {
+    return fn();
+  } finally {
+    for (const name of SETTINGS) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  }
+}
+
+test("schedulerOptionsFromEnv falls back to the defaults", () => {
+  withEnv({}, () => assert.deepStrictEqual(schedulerOptionsFromEnv(), { concurrency: 4, timeoutMs: 3000, retries: 2, backoffMs: 250 }));
+  withEnv({ MODBUS_CONCURRENCY: "8", MODBUS_RETRIES: "0" }, () => {
+    const options = schedulerOptionsFromEnv();
+    assert.strictEqual(options.concurrency, 8);
+    assert.strictEqual(options.retries, 0);
+  });
+});
+
+test("schedulerOptionsFromEnv rejects settings that aren't integers in range", () => {
+  withEnv({ MODBUS_CONCURRENCY: "abc" }, () => assert.throws(() => schedulerOptionsFromEnv(), /MODBUS_CONCURRENCY must be an integer of at least 1, got "abc"/));
+  withEnv({ MODBUS_CONCURRENCY: "0" }, () => assert.throws(() => schedulerOptionsFromEnv(), /MODBUS_CONCURRENCY/));
+  withEnv({ MODBUS_RETRIES: "-1" }, () => assert.throws(() => schedulerOptionsFromEnv(), /MODBUS_RETRIES/));
+  withEnv({ MODBUS_TIMEOUT_MS: "2.5" }, () => assert.throws(() => schedulerOptionsFromEnv(), /MODBUS_TIMEOUT_MS/));
+});
+
+test("createModbusPool refuses a pool size that isn't a positive integer", () => {
+  withEnv({}, () => {
+    assert.throws(() => createModbusPool({ site: "127.0.0.1", concurrency: NaN }), /concurrency must be a positive integer/);
+    assert.throws(() => createModbusPool({ site: "127.0.0.1", concurrency: 0 }), /concurrency must be a positive integer/);
+  });
+});
+
+test("mapConcurrent keeps input order and the in-flight limit", async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await mapConcurrent([30, 5, 20, 1, 10], 2, async (ms, i) => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    inFlight--;
+    return i * 10;
+  });
+  assert.deepStrictEqual(results, [0, 10, 20, 30, 40]);
+  assert.strictEqual(peak, 2);
+});
+
+test("close() rejects tasks still waiting for a connection", async () => {
+  // A bare TCP listener is enough: the pool only needs its socket to connect
+  const server = net.createServer(socket => socket.on("error", () => {}));
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const pool = withEnv({}, () => createModbusPool({ site: "127.0.0.1", port: server.address().port, concurrency: 1 }));
+
+  try {
+    let started;
+    let finish;
+    const running = new Promise(resolve => { started = resolve; });
+    const busy = pool.run(1, () => {
+      started();
+      return new Promise(resolve => { finish = resolve; });
+    });
+    await running;
+    const queued = pool.run(1, async () => "ran");
+
+    pool.close();
+    await assert.rejects(queued, /closed while waiting for a connection/);
+    finish("done");
+    assert.strictEqual(await busy, "done");
+    await assert.rejects(pool.run(1, async () => "ran"), /pool is closed/);
+  } finally {
+    pool.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,94 @@
+// modbusSpecRegistry.test.js
+// Firmware ranges, register map selection and identity-first page reads against a fake client.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { encodeField } = require("../modbusCodec");
+const {
+  loadSpecRegistry, checkSpecRegistry, identityFields, selectSpecMap, matchesFirmware, compareVersions, readDevicePage, failedDevicePage,
+} = require("../modbusSpecRegistry");
+
+const registry = checkSpecRegistry(loadSpecRegistry());
+
+test("compareVersions compares dotted versions numerically", () => {
+  assert.strictEqual(compareVersions("8.10", "8.9"), 1);
+  assert.strictEqual(compareVersions("8.4", "8.4.0"), 0);
+  assert.strictEqual(compareVersions("v7.2", "8"), -1);
+});
+
+test("matchesFirmware checks every term of a range", () => {
+  assert.ok(matchesFirmware("8.4.1", ">=8.4 <9"));
+  assert.ok(!matchesFirmware("9.0", ">=8.4 <9"));
+  assert.ok(matchesFirmware("8.4", "8.4"));
+  assert.ok(matchesFirmware("anything", undefined));
+  assert.ok(!matchesFirmware("", ">=1"));
+});
+
+test("selectSpecMap picks by device type, falling back to the last map of the spec", () => {
+  assert.strictEqual(selectSpecMap(registry, "assets", { deviceType: "Tracker" }).name, "tracker_assets");
+  assert.strictEqual(selectSpecMap(registry, "assets", { deviceType: "weather station" }).name, "weather_assets");
+  assert.strictEqual(selectSpecMap(registry, "assets", { deviceType: "" }).name, "unsorted_assets");
+  assert.strictEqual(selectSpecMap(registry, "nc", { deviceType: "TRAK" }).name, "unsorted_nc");
+});
+
+test("selectSpecMap honours firmware ranges in registry order", () => {
+  const maps = [
+    { Spec: "assets", DeviceTypes: ["Tracker"], Firmware: ">=9", name: "tracker_v9" },
+    { Spec: "assets", DeviceTypes: ["Tracker"], name: "tracker" },
+    { Spec: "assets", name: "fallback" },
+  ];
+  assert.strictEqual(selectSpecMap(maps, "assets", { deviceType: "Tracker", firmware: "9.1" }).name, "tracker_v9");
+  assert.strictEqual(selectSpecMap(maps, "assets", { deviceType: "Tracker", firmware: "8.7" }).name, "tracker");
+  assert.strictEqual(selectSpecMap(maps, "assets", { deviceType: "Tracker" }).name, "tracker");
+});
+
+test("loadSpecRegistry needs a fallback map per spec", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "modbus-registry-"));
+  const file = path.join(dir, "spec_registry.json");
+  try {
+    fs.writeFileSync(file, JSON.stringify([{ Spec: "assets", DeviceTypes: ["Tracker"], File: "tracker_assets.json" }, { Spec: "nc", File: "unsorted_nc.json" }]));
+    assert.throws(() => loadSpecRegistry(file), /last "assets" map must have no DeviceTypes or Firmware/);
+    fs.writeFileSync(file, JSON.stringify([{ Spec: "assets", File: "a.json", Firmware: "newest" }]));
+    assert.throws(() => loadSpecRegistry(file), /isn't a range/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+/** Client serving one 512-register page with the given identity values */
+function fakeClient(pageStart, values) {
+  const page = new Array(512).fill(0);
+  for (const { field, value } of values) encodeField(value, field).forEach((reg, i) => { page[Number(field.BaseReg) + i] = reg; });
+  const reads = [];
+  return {
+    reads,
+    readHoldingRegisters: async (address, length) => {
+      reads.push([address, length]);
+      return { data: page.slice(address - pageStart, address - pageStart + length) };
+    },
+  };
+}
+
+test("readDevicePage reads the identity first and decodes with the map it selects", async () => {
+  const [deviceType] = identityFields(registry, "assets").filter(i => i.key === "deviceType").map(i => i.field);
+  const client = fakeClient(1024, [{ field: deviceType, value: "Weather" }]);
+
+  const page = await readDevicePage(client, 1024, registry, "assets");
+  assert.strictEqual(page.map.name, "weather_assets");
+  assert.strictEqual(page.identity.deviceType, "Weather");
+  assert.ok(page.fields.every(f => page.pageReads.get(f)?.data));
+
+  const only = await readDevicePage(client, 1024, registry, "assets", { only: f => f.ID === "Last Reported" });
+  assert.deepStrictEqual(only.fields.map(f => f.ID), ["Last Reported"]);
+});
+
+test("failedDevicePage fails every field of the fallback map", () => {
+  const error = new Error("Timed out");
+  const page = failedDevicePage(registry, "nc", error, { only: f => f.ID === "System ID" });
+  assert.strictEqual(page.map.name, "unsorted_nc");
+  assert.deepStrictEqual(page.fields.map(f => f.ID), ["System ID"]);
+  assert.strictEqual(page.pageReads.get(page.fields[0]).error, error);
+});
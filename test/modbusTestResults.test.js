@@ -0,0 +1,57 @@
+// modbusTestResults.test.js
+// Test suites built from a report run, and their JUnit XML and TAP forms.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildTestSuites, toJUnitXml, toTap } = require("../modbusTestResults");
+const { row } = require("./fixtures");
+
+const categories = [{
+  mode: "ttid",
+  category: "TTID",
+  reports: [{
+    deviceType: "Row Box",
+    rows: [
+      row(600, "Device Type", "Tracker"),
+      row(600, "Battery Voltage", 10.9, { RuleStatus: "critical", RuleMessage: "10.9 is below 11.5" }),
+      row(601, "Device Type", "Tracker"),
+      row(601, "RSSI", "", { CombinedHex: "Error: Timed out" }),
+      row(2, "Device Type", ""),
+    ],
+  }],
+}];
+
+const suites = buildTestSuites("10.0.0.1", { categories, errors: [{ type: "Legacy Sorted", error: "mode switch refused" }] });
+
+test("buildTestSuites has a case per device plus one per failing read or rule", () => {
+  const [ttid, failed] = suites;
+  assert.deepStrictEqual(ttid.cases.map(c => c.name), [
+    "TTID mode read",
+    "Row Box TTID 600",
+    "Row Box TTID 600 / Battery Voltage rule",
+    "Row Box TTID 601",
+    "Row Box TTID 601 / RSSI read",
+    "Row Box TTID 2",
+  ]);
+  assert.strictEqual(ttid.cases[1].failure.type, "critical-rule");
+  assert.strictEqual(ttid.cases[5].skipped, "empty slot");
+  assert.strictEqual(failed.cases[0].failure.message, "mode switch refused");
+});
+
+test("toJUnitXml counts failures and skips and escapes text", () => {
+  const xml = toJUnitXml([{ name: "a & b", cases: [{ classname: "x", name: "<x>", failure: { type: "read", message: "\"bad\"\x01", details: "" } }, { classname: "x", name: "ok" }] }], { timestamp: new Date("2025-08-13T13:30:00Z") });
+  assert.match(xml, /<testsuites name="modbus" tests="2" failures="1" skipped="0" errors="0">/);
+  assert.match(xml, /<testsuite name="a &amp; b" tests="2" failures="1" skipped="0" errors="0" timestamp="2025-08-13T13:30:00">/);
+  assert.match(xml, /<testcase classname="x" name="&lt;x&gt;">/);
+  assert.match(xml, /message="&quot;bad&quot;"/);
+  assert.match(xml, /<testcase classname="x" name="ok"\/>/);
+});
+
+test("toTap numbers every case and marks skips and failures", () => {
+  const tap = toTap(suites).split("\n");
+  assert.strictEqual(tap[0], "TAP version 13");
+  assert.strictEqual(tap[1], "1..7");
+  assert.ok(tap.includes("not ok 2 - 10.0.0.1 TTID: Row Box TTID 600"));
+  assert.ok(tap.includes("ok 6 - 10.0.0.1 TTID: Row Box TTID 2 # SKIP empty slot"));
+  assert.ok(tap.includes('  message: "10.9 is below 11.5"'));
+});
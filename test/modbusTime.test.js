@@ -0,0 +1,76 @@
+// modbusTime.test.js
+// Time semantics, durations, and Last Reported compared with the NC clock.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { semanticSeconds, formatDuration, formatSemantic, staleAfterSecFromEnv, ncClock, markStaleDevices } = require("../modbusTime");
+const { row } = require("./fixtures");
+
+const RUN_TIME = 1755091800;
+
+const device = (key, rows) => ({ key, rows });
+const ncReport = (rows) => ({ devices: [device("NC", rows)] });
+
+test("semanticSeconds and formatDuration", () => {
+  assert.strictEqual(semanticSeconds(1500, "duration_ms"), 1.5);
+  assert.strictEqual(semanticSeconds(1755091760, "epoch_s"), 1755091760);
+  assert.strictEqual(semanticSeconds(12, undefined), null);
+  assert.strictEqual(semanticSeconds("", "epoch_s"), null);
+  assert.strictEqual(formatDuration(605220), "7d 0h 7m");
+  assert.strictEqual(formatDuration(7320), "2h 2m");
+  assert.strictEqual(formatDuration(250), "4m 10s");
+  assert.strictEqual(formatDuration(-12), "-12s");
+  assert.strictEqual(formatSemantic(0, "epoch_s").text, "never");
+  assert.strictEqual(formatSemantic(1755091774, "epoch_s").text, "2025-08-13T13:29:34Z");
+});
+
+test("staleAfterSecFromEnv only takes a positive number", () => {
+  assert.strictEqual(staleAfterSecFromEnv(""), 3600);
+  assert.strictEqual(staleAfterSecFromEnv("90"), 90);
+  assert.throws(() => staleAfterSecFromEnv("-5"), /STALE_AFTER_SEC must be a positive number/);
+  assert.throws(() => staleAfterSecFromEnv("soon"), /STALE_AFTER_SEC must be a positive number/);
+});
+
+test("ncClock prefers Poll Response Time, then GPS Fix Time, then the run time", () => {
+  const poll = row("", "Poll Response Time", 1755091774, { Semantic: "epoch_s" });
+  const gps = row("", "GPS Fix Time", 1755091700, { Semantic: "epoch_s" });
+
+  assert.deepStrictEqual(ncClock([ncReport([gps, poll])], RUN_TIME), { seconds: 1755091774, source: "NC Poll Response Time" });
+  assert.deepStrictEqual(ncClock([ncReport([gps])], RUN_TIME), { seconds: 1755091700, source: "NC GPS Fix Time" });
+  // An unread or unset clock field doesn't count
+  const failed = row("", "Poll Response Time", "", { CombinedHex: "Error: Timed out" });
+  assert.deepStrictEqual(ncClock([ncReport([failed, row("", "GPS Fix Time", 0)])], RUN_TIME), { seconds: RUN_TIME, source: "run time" });
+});
+
+test("markStaleDevices flags devices lagging the NC clock and skips unset Last Reported", () => {
+  const reports = [
+    ncReport([row("", "Poll Response Time", 1755091774, { Semantic: "epoch_s" })]),
+    {
+      devices: [
+        device("TTID 600", [row(600, "Last Reported", 1755091760)]),
+        device("TTID 601", [row(601, "Last Reported", 1755080000)]),
+        device("TTID 602", [row(602, "Last Reported", 0)]),
+        device("TTID 603", [row(603, "Last Reported", "", { CombinedHex: "Error: Timed out" })]),
+      ],
+    },
+  ];
+
+  const summary = markStaleDevices(reports, { staleAfterSec: 3600, now: RUN_TIME });
+  assert.strictEqual(summary.clockSource, "NC Poll Response Time");
+  assert.strictEqual(summary.checked, 2);
+  assert.deepStrictEqual(summary.devices, [{ key: "TTID 601", lagSec: 11774 }]);
+  assert.deepStrictEqual(reports[1].staleness, { checked: 2, stale: 1 });
+  assert.strictEqual(reports[1].devices[0].rows[0].LagSec, 14);
+  assert.strictEqual(reports[1].devices[0].rows[0].Stale, false);
+  assert.strictEqual(reports[1].devices[1].rows[0].Stale, true);
+  assert.strictEqual(reports[1].devices[2].rows[0].Stale, undefined);
+});
+
+test("markStaleDevices falls back to the run time without an NC clock", () => {
+  const reports = [{ devices: [device("Position 0", [row("", "Last Reported", RUN_TIME - 30, { Position: 0 })])] }];
+  const summary = markStaleDevices(reports, { staleAfterSec: 60, now: RUN_TIME });
+  assert.strictEqual(summary.clockSource, "run time");
+  assert.strictEqual(summary.clock, RUN_TIME);
+  assert.strictEqual(summary.stale, 0);
+  assert.strictEqual(reports[0].devices[0].rows[0].LagSec, 30);
+});
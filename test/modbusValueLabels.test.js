@@ -0,0 +1,64 @@
+// modbusValueLabels.test.js
+// Enum and bit-flag labels, from inline tables and named ones in a value tables file.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadValueTables, labelValue, labelColumns, checkFieldTables, valueLabelHtml } = require("../modbusValueLabels");
+
+const MODE = { Enum: { "0": "Off", "2": "Mode Two" } };
+const FLAGS = { Bits: { "0": "Flag A", "1": "Flag B", "2": "Flag C" } };
+const TABLES = { flags: FLAGS, mode: MODE };
+
+test("labelValue names enum values and flags unknown ones", () => {
+  assert.deepStrictEqual(labelValue(2, MODE, {}), { label: "Mode Two" });
+  assert.deepStrictEqual(labelValue(9, MODE, {}), { label: "Unknown (9)" });
+});
+
+test("labelValue joins the names of the set bits", () => {
+  const { label, bits } = labelValue(5, FLAGS, {});
+  assert.strictEqual(label, "Flag A / Flag C");
+  assert.deepStrictEqual(bits.map(b => b.set), [true, false, true]);
+  assert.strictEqual(labelValue(0, FLAGS, {}).label, "None");
+  assert.strictEqual(labelValue(1024 + 2, FLAGS, {}).label, "Flag B / Bit 10");
+});
+
+test("labelValue handles 64-bit values and skips values it can't label", () => {
+  assert.strictEqual(labelValue(2n ** 63n + 1n, FLAGS, {}).label, "Flag A / Bit 63");
+  assert.strictEqual(labelValue(true, FLAGS, {}).label, "Flag A");
+  assert.strictEqual(labelValue(1.5, FLAGS, {}), null);
+  assert.strictEqual(labelValue("", FLAGS, {}), null);
+  assert.strictEqual(labelValue(3, { Codec: "U16" }, {}), null);
+});
+
+test("named tables come from the value tables file, and there are none without one", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "value-tables-"));
+  try {
+    const file = path.join(dir, "value_tables.json");
+    fs.writeFileSync(file, JSON.stringify(TABLES));
+    assert.strictEqual(labelValue(7, { Bits: "flags" }, loadValueTables(file)).label, "Flag A / Flag B / Flag C");
+    assert.deepStrictEqual(loadValueTables(path.join(dir, "missing.json")), {});
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  assert.deepStrictEqual(labelColumns(2, MODE), { DecodedLabel: "Mode Two" });
+  assert.deepStrictEqual(labelColumns(2, { Codec: "U16" }), {});
+});
+
+test("checkFieldTables reports unknown tables and bad keys", () => {
+  assert.deepStrictEqual(checkFieldTables({ Bits: "flags" }, TABLES), []);
+  assert.deepStrictEqual(checkFieldTables({ Bits: "nope" }, TABLES), ['unknown Bits table "nope"']);
+  assert.deepStrictEqual(checkFieldTables({ Enum: { a: "A" } }, {}), ['Enum key "a" is not an integer']);
+  assert.deepStrictEqual(checkFieldTables({ Bits: { "64": "Past the end" } }, {}), ['Bits key "64" is not a bit number (0–63)']);
+  assert.ok(checkFieldTables({ Enum: {}, Bits: {} }, {}).includes("has both Enum and Bits"));
+});
+
+test("valueLabelHtml escapes labels and bit names", () => {
+  const field = { Bits: { "0": "<b>Heater & Fan</b>" } };
+  const { label, bits } = labelValue(1, field, {});
+  const html = valueLabelHtml({ DecodedLabel: label, DecodedBits: bits }, 1);
+  assert.ok(!html.includes("<b>"));
+  assert.ok(html.includes("&lt;b>Heater &amp; Fan&lt;/b>"));
+});
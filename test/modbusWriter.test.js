@@ -0,0 +1,128 @@
+// modbusWriter.test.js
+// Write planning against the real allow-list and register maps, and guarded writes against the
+// simulator on localhost.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadWritableFields, planWrite, resolveTarget, writeRegister } = require("../modbusWriter");
+const { loadSpecRegistry } = require("../modbusSpecRegistry");
+const { createSimulator } = require("../modbusSimulator");
+
+const PORT = 15503;
+const HTTP_PORT = 15504;
+const GRAPHQL = { url: `http://127.0.0.1:${HTTP_PORT}/graphql` };
+const FLEET = {
+  nc: { "System ID": "TRAK" },
+  devices: [
+    { ttid: 600, type: "tracker", position: 0 },
+    { ttid: 2, type: "weather", position: 1 },
+    { ttid: 601, type: "tracker", populated: false },
+  ],
+};
+
+const registry = loadSpecRegistry();
+const map = (name) => registry.find(m => m.name === name);
+
+const simulator = createSimulator(FLEET);
+const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), "modbus-writer-"));
+const auditPath = path.join(auditDir, "audit.log");
+test.before(() => simulator.start({ host: "127.0.0.1", port: PORT, httpPort: HTTP_PORT }));
+test.after(async () => {
+  await simulator.stop();
+  fs.rmSync(auditDir, { recursive: true, force: true });
+});
+
+const write = (target, field, value, options = {}) => writeRegister({
+  site: "127.0.0.1", port: PORT, target, field, value, graphql: GRAPHQL, auditPath, verifyDelayMs: 0, ...options,
+});
+
+// Switches the simulator's Modbus writes on or off through its GraphQL endpoint
+async function setWrites(enabled) {
+  const res = await fetch(GRAPHQL.url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({
+      query: "mutation updateModbusServiceConfig($modbusServiceConfigData: ModbusServiceConfigInput) { updateModbusServiceConfig(configData: $modbusServiceConfigData) { __typename } }",
+      variables: { modbusServiceConfigData: { enableModbusWrites: enabled } },
+    }),
+  });
+  assert.ok(res.ok);
+}
+
+test("loadWritableFields lists the allow-list by spec", () => {
+  const fields = loadWritableFields(registry);
+  assert.ok(fields.has("assets:requested angle"));
+  assert.ok(fields.has("nc:tracking enabled"));
+  assert.strictEqual(fields.get("assets:requested angle").Max, 60);
+});
+
+test("resolveTarget addresses TTID and legacy targets", () => {
+  assert.deepStrictEqual(resolveTarget({ position: 3, unitId: 0 }), { unitId: 0, pageStart: 1536, spec: "nc", addressing: "legacy", label: "Position 3 (unit 0)" });
+  assert.strictEqual(resolveTarget({ ttid: 600, type: "row" }).addressing, "ttid");
+  assert.throws(() => resolveTarget({}), /needs a ttid or a position/);
+});
+
+test("planWrite encodes the value at the field's address in the device's map", () => {
+  const plan = planWrite({ ttid: 600, type: "row" }, "Requested Angle", 12.5, { map: map("tracker_assets"), registry });
+  assert.strictEqual(plan.unitId, 6);
+  assert.strictEqual(plan.map, "tracker_assets");
+  assert.strictEqual(plan.address, resolveTarget({ ttid: 600, type: "row" }).pageStart + 84);
+  assert.deepStrictEqual(plan.registers, [0x4148, 0x0000]);
+  assert.strictEqual(plan.bytes, "41480000");
+});
+
+test("planWrite rejects fields off the allow-list or the map, and values out of bounds", () => {
+  const options = { map: map("tracker_assets"), registry };
+  assert.throws(() => planWrite({ ttid: 600, type: "row" }, "Device Type", 1, options), /not a writable assets register/);
+  assert.throws(() => planWrite({ ttid: 600, type: "row" }, "Requested Angle", 61, options), /above the maximum of 60/);
+  assert.throws(() => planWrite({ ttid: 600, type: "row" }, "Requested Angle", "flat", options), /needs a number/);
+  assert.throws(() => planWrite({ ttid: 2, type: "weather" }, "Requested Angle", 10, { map: map("weather_assets"), registry }),
+    /decoded with weather_assets, which has no "Requested Angle" register/);
+});
+
+test("writeRegister refuses while writes are disabled, but still dry-runs", async () => {
+  simulator.setMode("ttid");
+  const refused = await write({ ttid: 600, type: "row" }, "Requested Angle", 12.5);
+  assert.strictEqual(refused.status, "refused");
+  assert.match(refused.reason, /writes are disabled/);
+
+  const dryRun = await write({ ttid: 600, type: "row" }, "Requested Angle", 12.5, { dryRun: true });
+  assert.strictEqual(dryRun.status, "dry-run");
+  assert.strictEqual(dryRun.plan.map, "tracker_assets");
+  const audit = fs.readFileSync(auditPath, "utf8").trim().split("\n").map(line => JSON.parse(line));
+  assert.deepStrictEqual(audit.slice(-2).map(a => a.status), ["refused", "dry-run"]);
+});
+
+test("writeRegister only writes what the target's map and the NC's mode allow", async () => {
+  simulator.setMode("ttid");
+  await setWrites(true);
+  try {
+    const written = await write({ ttid: 600, type: "row" }, "Requested Angle", 12.5);
+    assert.strictEqual(written.status, "verified");
+    assert.strictEqual(written.readBack.value, 12.5);
+
+    const weather = await write({ ttid: 2, type: "weather" }, "Requested Angle", 12.5);
+    assert.strictEqual(weather.status, "rejected");
+    assert.match(weather.error, /weather_assets, which has no "Requested Angle"/);
+
+    const empty = await write({ ttid: 601, type: "row" }, "Requested Angle", 12.5);
+    assert.strictEqual(empty.status, "refused");
+    assert.match(empty.reason, /No device at TTID 601/);
+
+    const legacy = await write({ position: 0, unitId: 1 }, "Requested Angle", 12.5);
+    assert.strictEqual(legacy.status, "refused");
+    assert.match(legacy.reason, /legacy position addressing, but the NC is in ttid mode/);
+
+    simulator.setMode("legacy-unsorted");
+    assert.strictEqual((await write({ position: 0, unitId: 1 }, "Requested Angle", -5)).status, "verified");
+    const ttid = await write({ ttid: 600, type: "row" }, "Requested Angle", 12.5);
+    assert.match(ttid.reason, /TTID addressing, but the NC is in legacy-unsorted mode/);
+    const nc = await write({ position: 0, unitId: 0 }, "Tracking Enabled", 1, { dryRun: true });
+    assert.strictEqual(nc.plan.address, 47);
+  } finally {
+    await setWrites(false);
+  }
+});